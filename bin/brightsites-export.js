@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+// Headless export: runs the same pipeline as the web UI and writes the file to disk or stdout.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const { parseArgs } = require('util');
+// before ./lib: DATA_DIR and SECRETS_KEY may come from .env
+require('dotenv').config();
+const { prepareRun, describeRun, runReport } = require('../lib/pipeline');
+const { listReports } = require('../lib/reports');
+const { listProfileReports } = require('../lib/profiles');
+const { listTemplates } = require('../lib/templates');
+const { listStores } = require('../lib/stores');
+const { isPreset, PRESETS } = require('../lib/dates');
+const { FORMATS, normalizeFormat, exportFilename, writeExport } = require('../lib/export');
+const { recordAudit } = require('../lib/audit');
+const { recordRun } = require('../lib/history');
+
+// exit codes
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_PARTIAL = 3;
+
+const USAGE = `Usage: brightsites-export --store <key> [options]
+
+Options:
+  -s, --store <key>        store key; repeat or comma-separate for a combined export, or "all"
+  -r, --report <name>      report type (default "Needed Excel"); see --list-reports
+  -t, --template <id>      saved report template instead of a report type; see --list-templates
+      --start <YYYY-MM-DD> start date (needs --end), from midnight in the store's timezone
+      --end <YYYY-MM-DD>   end date, included
+  -p, --preset <name>      relative date window instead of --start/--end, in the store's
+                           timezone: ${PRESETS.join(', ')} or last<N> (days)
+      --date-filter <f>    created_at (default) or updated_at
+      --status <status>    only orders with this status
+      --source <src>       live (default) or cache for an offline run
+      --normalize          ISO country codes, state codes, postal code formats and E.164 phones
+      --allocation <mode>  line (default) or split: one row per line item and shipment
+      --expand-options     a column per product option and personalization attribute
+  -c, --columns <list>     comma-separated columns to include (default: all)
+  -f, --format <fmt>       ${Object.keys(FORMATS).join(', ')} (default csv)
+      --bom                prefix CSV output with a UTF-8 BOM for Excel
+  -o, --output <path>      file or directory to write; "-" or omitted writes to stdout
+  -q, --quiet              no progress on stderr
+      --list-stores        print configured store keys and exit
+      --list-reports       print report types and exit
+      --list-templates     print saved report templates and exit
+  -h, --help               show this help
+
+Exit codes: 0 success, 1 failure, 2 invalid arguments, 3 finished but some orders failed.`;
+
+const OPTIONS = {
+  store: { type: 'string', short: 's', multiple: true },
+  report: { type: 'string', short: 'r' },
+  template: { type: 'string', short: 't' },
+  start: { type: 'string' },
+  end: { type: 'string' },
+  preset: { type: 'string', short: 'p' },
+  'date-filter': { type: 'string' },
+  status: { type: 'string' },
+  source: { type: 'string' },
+  normalize: { type: 'boolean' },
+  allocation: { type: 'string' },
+  'expand-options': { type: 'boolean' },
+  columns: { type: 'string', short: 'c' },
+  format: { type: 'string', short: 'f' },
+  bom: { type: 'boolean' },
+  output: { type: 'string', short: 'o' },
+  quiet: { type: 'boolean', short: 'q' },
+  'list-stores': { type: 'boolean' },
+  'list-reports': { type: 'boolean' },
+  'list-templates': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+function usageError(message) {
+  const err = new Error(message);
+  err.exitCode = EXIT_USAGE;
+  return err;
+}
+
+// turn CLI flags into the same request body the web UI posts
+function buildRunBody(values) {
+  const storeKeys = (values.store || []).flatMap((s) => s.split(',')).map((s) => s.trim()).filter(Boolean);
+  if (!storeKeys.length) throw usageError('--store is required (use --list-stores to see configured stores)');
+  const body = {
+    reportType: values.report,
+    templateId: values.template,
+    dateFilterType: values['date-filter'],
+    status: values.status,
+    source: values.source,
+    normalizeAddresses: !!values.normalize,
+    allocation: values.allocation,
+    expandOptions: !!values['expand-options'],
+  };
+  if (storeKeys.includes('all')) body.storeKey = 'all';
+  else if (storeKeys.length > 1) body.storeKeys = storeKeys;
+  else body.storeKey = storeKeys[0];
+
+  if (values.preset) {
+    if (!isPreset(values.preset)) throw usageError(`unknown --preset '${values.preset}'. Use one of: ${PRESETS.join(', ')} or last<N>`);
+    body.datePreset = values.preset;
+  } else if (values.start || values.end) {
+    if (!values.start || !values.end) throw usageError('--start and --end must be given together');
+    body.start = values.start;
+    body.end = values.end;
+  }
+  return body;
+}
+
+function progressReporter(quiet) {
+  if (quiet) return () => {};
+  let last = '';
+  return ({ phase, resource = 'orders', orders, done, total }) => {
+    let line = '';
+    if (phase === 'listing') line = `listing ${resource}: ${orders || 0}`;
+    else if (phase === 'enriching') line = `enriching ${resource}: ${done || 0}/${total || 0}`;
+    else if (phase === 'building') line = 'building rows';
+    if (!line || line === last) return;
+    last = line;
+    if (process.stderr.isTTY) process.stderr.write(`\r\x1b[K${line}`);
+    else if (phase !== 'enriching' || done === total || done % 50 === 0) process.stderr.write(`${line}\n`);
+  };
+}
+
+function openOutput(output, filename) {
+  if (!output || output === '-') return { stream: process.stdout, target: 'stdout' };
+  let target = output;
+  if (fs.existsSync(output) && fs.statSync(output).isDirectory()) target = path.join(output, filename);
+  return { stream: fs.createWriteStream(target), target };
+}
+
+async function main(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: false }));
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+  if (values['list-stores']) {
+    listStores().filter((s) => !s.disabled).forEach((s) => process.stdout.write(`${s.key}\t${s.label}\n`));
+    return EXIT_OK;
+  }
+  if (values['list-reports']) {
+    listReports().concat(listProfileReports()).forEach((r) => process.stdout.write(`${r.name}\t${r.description}\n`));
+    return EXIT_OK;
+  }
+  if (values['list-templates']) {
+    listTemplates().forEach((t) => process.stdout.write(`${t.id}\t${t.name}${t.builtIn ? ' (built-in)' : ''}\n`));
+    return EXIT_OK;
+  }
+
+  const format = normalizeFormat(values.format);
+  if (!format) throw usageError(`unknown --format '${values.format}'. Use one of: ${Object.keys(FORMATS).join(', ')}`);
+  const body = buildRunBody(values);
+  let run;
+  try {
+    run = prepareRun(body);
+  } catch (err) {
+    if (err.status === 400) throw usageError(err.message);
+    throw err;
+  }
+
+  const quiet = !!values.quiet;
+  const startedAt = new Date().toISOString();
+  const result = await runReport(run, { onProgress: progressReporter(quiet) });
+  if (!quiet && process.stderr.isTTY) process.stderr.write('\n');
+
+  const params = Object.assign({}, body, run.range, { storeKey: run.storeKey, reportType: run.report.name });
+  const { stream, target } = openOutput(values.output, exportFilename(params, format));
+  const finished = stream === process.stdout ? Promise.resolve() : new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+  await writeExport(stream === process.stdout ? nonClosing(stream) : stream, result, {
+    format,
+    columns: values.columns,
+    bom: !!values.bom,
+    sheetName: run.report.name,
+  });
+  await finished;
+  // the CLI runs with the server's store tokens, so its exports go in the same audit log
+  // and export history
+  recordRun({
+    kind: 'cli',
+    user: `cli:${osUser()}`,
+    params: describeRun(run, body),
+    startedAt,
+    file: { name: stream === process.stdout ? exportFilename(params, format) : path.basename(target), format, columns: values.columns, bom: !!values.bom },
+  }, result);
+  recordAudit({
+    action: 'download',
+    user: `cli:${osUser()}`,
+    storeKeys: run.stores ? run.stores.map((s) => s.storeKey) : [run.storeKey],
+    reportType: run.report.name,
+    templateId: run.report.templateId || undefined,
+    format,
+    rows: result.meta.rows,
+    target,
+  });
+
+  const errors = result.meta.errors || [];
+  if (!quiet) {
+    process.stderr.write(`${result.meta.orders} ${result.meta.resource || 'orders'}, ${result.meta.rows} rows written to ${target}\n`);
+    errors.forEach((e) => {
+      let what = 'store';
+      if (e.order) what = `order ${e.order}`;
+      else if (e.product) what = `product ${e.product}`;
+      process.stderr.write(`failed: ${e.store ? `[${e.store}] ` : ''}${what}: ${e.type} - ${e.error}\n`);
+    });
+    // rows an import profile's target would refuse (see lib/profiles.js)
+    (result.diagnostics || []).forEach((d, i) => {
+      if (d.rejections) process.stderr.write(`rejected: row ${i + 1}: ${d.rejections.join('; ')}\n`);
+    });
+  }
+  return errors.length ? EXIT_PARTIAL : EXIT_OK;
+}
+
+// os.userInfo() throws when the uid has no passwd entry (some containers)
+function osUser() {
+  try {
+    return os.userInfo().username;
+  } catch (err) {
+    return process.env.USER || 'unknown';
+  }
+}
+
+// writers end their stream when done; stdout must stay open
+function nonClosing(stream) {
+  return new Writable({
+    write(chunk, encoding, cb) {
+      stream.write(chunk, encoding, cb);
+    },
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => { process.exitCode = code; })
+    .catch((err) => {
+      process.stderr.write(`brightsites-export: ${err.message}\n`);
+      if (err.exitCode === EXIT_USAGE) process.stderr.write('Run with --help for usage.\n');
+      process.exitCode = err.exitCode || EXIT_FAILED;
+    });
+}
+
+module.exports = { main, buildRunBody };
@@ -0,0 +1,80 @@
+// Grouping and summing for the aggregate reports (see `aggregate` in ./reports). Facts are
+// plain objects, one per order or line item; money is summed in cents so totals don't drift.
+const { zonedParts } = require('./dates');
+
+function amount(v) {
+  const n = Number(v);
+  return v === '' || v === undefined || v === null || Number.isNaN(n) ? 0 : n;
+}
+
+function cents(v) {
+  return Math.round(amount(v) * 100);
+}
+
+function money(totalCents) {
+  return (totalCents / 100).toFixed(2);
+}
+
+// ISO-8601 week, e.g. 2024-W01 (weeks start on Monday; week 1 holds the first Thursday)
+function isoWeek(d) {
+  const day = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+const PERIODS = {
+  day: (d) => d.toISOString().slice(0, 10),
+  week: isoWeek,
+  month: (d) => d.toISOString().slice(0, 7),
+};
+
+// the day, week or month `value` falls in, in `timeZone` (blank: the server's)
+function periodKey(value, period, timeZone = '') {
+  const d = new Date(value);
+  if (!value || Number.isNaN(d.getTime())) return '';
+  const p = zonedParts(d, timeZone);
+  return PERIODS[period](new Date(Date.UTC(p.year, p.month - 1, p.day)));
+}
+
+// Group `facts` by the values `keyOf` returns (an array) and sum the `sums` fields in cents.
+// `distinct` fields are counted once per value. Groups come back in first-seen order.
+function groupFacts(facts, keyOf, { sums = [], distinct = [] } = {}) {
+  const groups = new Map();
+  facts.forEach((fact) => {
+    const key = keyOf(fact);
+    const id = JSON.stringify(key);
+    let group = groups.get(id);
+    if (!group) {
+      group = { key, count: 0, sums: {}, distinct: {} };
+      sums.forEach((f) => { group.sums[f] = 0; });
+      distinct.forEach((f) => { group.distinct[f] = new Set(); });
+      groups.set(id, group);
+    }
+    group.count += 1;
+    sums.forEach((f) => { group.sums[f] += cents(fact[f]); });
+    distinct.forEach((f) => { group.distinct[f].add(fact[f]); });
+  });
+  return Array.from(groups.values());
+}
+
+// [a, b] key arrays compared element by element; '' sorts last
+function compareKeys(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] === b[i]) continue;
+    if (a[i] === '') return 1;
+    if (b[i] === '') return -1;
+    return String(a[i]).localeCompare(String(b[i]));
+  }
+  return 0;
+}
+
+module.exports = {
+  amount,
+  money,
+  periodKey,
+  groupFacts,
+  compareKeys,
+};
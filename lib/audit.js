@@ -0,0 +1,45 @@
+const fs = require('fs');
+const { dataPath, ensureDir } = require('./storage');
+
+// One JSON object per line, appended and never rewritten, so entries can't be edited
+// through the app. Every export (run, result view, download, schedule, CLI) and every
+// sign-in and user change is recorded.
+const AUDIT_FILE = dataPath('audit.log');
+
+function recordAudit(event) {
+  const entry = Object.assign({ at: new Date().toISOString() }, event);
+  try {
+    ensureDir(dataPath());
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n');
+  } catch (err) {
+    // an export must not fail because the log can't be written, but it must not go unnoticed
+    console.error('audit log write failed', err.message, entry);
+  }
+  return entry;
+}
+
+// newest first; `user` and `action` narrow the list
+function readAudit({ limit = 200, user, action } = {}) {
+  let text = '';
+  try {
+    text = fs.readFileSync(AUDIT_FILE, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const entries = [];
+  const lines = text.split('\n');
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+    if (!lines[i]) continue;
+    let entry;
+    try { entry = JSON.parse(lines[i]); } catch (e) { continue; }
+    if (user && entry.user !== user) continue;
+    if (action && entry.action !== action) continue;
+    entries.push(entry);
+  }
+  return entries;
+}
+
+module.exports = {
+  recordAudit,
+  readAudit,
+};
@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { badRequest, unauthorized, forbidden, httpError } = require('./errors');
+
+const USERS_FILE = dataPath('users.json');
+
+// each role can do everything the ones before it can:
+//   exporter: run reports and download their own exports
+//   manager: also edit templates and schedules and sync the cache
+//   admin: also manage users and read the audit log
+const ROLES = ['exporter', 'manager', 'admin'];
+const PROVIDERS = ['local', 'oidc'];
+// "every store", including ones added later
+const ALL_STORES = '*';
+
+const SESSION_COOKIE = 'bse_session';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+// failed sign-ins per username before it is locked for LOCKOUT_MS
+const MAX_FAILURES = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+const sessions = new Map();
+const failures = new Map();
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// compared in constant time so a token can't be guessed byte by byte
+function sameToken(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && x.length > 0 && crypto.timingSafeEqual(x, y);
+}
+
+function loadUsers() {
+  return readJson(USERS_FILE, []);
+}
+
+function saveUsers(users) {
+  writeJson(USERS_FILE, users);
+}
+
+// password hashes never leave this module
+function publicUser(user) {
+  const out = Object.assign({}, user);
+  delete out.passwordHash;
+  return out;
+}
+
+function listUsers() {
+  return loadUsers().map(publicUser);
+}
+
+function getUser(id) {
+  const user = loadUsers().find((u) => u.id === id);
+  return user ? publicUser(user) : null;
+}
+
+function findUser(username) {
+  const wanted = String(username || '').toLowerCase();
+  return loadUsers().find((u) => u.username.toLowerCase() === wanted) || null;
+}
+
+function normalizeStores(stores) {
+  if (stores === ALL_STORES) return [ALL_STORES];
+  if (typeof stores === 'string') stores = stores.split(',');
+  if (!Array.isArray(stores)) return [];
+  return Array.from(new Set(stores.map((s) => String(s).trim()).filter(Boolean)));
+}
+
+// Validate user input into a stored user. `previous` is the user being updated, if any.
+function buildUser(input = {}, previous = null) {
+  const merged = Object.assign({}, previous || {}, input);
+  const username = String(merged.username || '').trim();
+  if (!/^[\w.@+-]{2,64}$/.test(username)) throw badRequest('username must be 2-64 letters, digits or . _ @ + -');
+  const clash = findUser(username);
+  if (clash && (!previous || clash.id !== previous.id)) throw badRequest(`user '${username}' already exists`);
+  const role = merged.role || 'exporter';
+  if (!ROLES.includes(role)) throw badRequest(`role must be one of ${ROLES.join(', ')}`);
+  const provider = merged.provider || 'local';
+  if (!PROVIDERS.includes(provider)) throw badRequest(`provider must be one of ${PROVIDERS.join(', ')}`);
+
+  let passwordHash = previous ? previous.passwordHash : undefined;
+  if (input.password !== undefined && input.password !== '') {
+    if (String(input.password).length < MIN_PASSWORD_LENGTH) throw badRequest(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    passwordHash = hashPassword(input.password);
+  }
+  if (provider === 'local' && !passwordHash) throw badRequest('password is required for local users');
+  if (provider === 'oidc') passwordHash = undefined;
+
+  return {
+    id: (previous && previous.id) || crypto.randomUUID(),
+    username,
+    name: String(merged.name || ''),
+    email: String(merged.email || ''),
+    role,
+    stores: normalizeStores(merged.stores),
+    provider,
+    // the identity provider's subject, linked on the first SSO sign-in
+    subject: provider === 'oidc' ? (merged.subject || undefined) : undefined,
+    disabled: !!merged.disabled,
+    passwordHash,
+    createdAt: (previous && previous.createdAt) || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// at least one enabled admin must remain so the app can still be managed
+function assertAdminRemains(users) {
+  if (!users.some((u) => u.role === 'admin' && !u.disabled)) throw badRequest('at least one enabled admin is required');
+}
+
+function createUser(input) {
+  const user = buildUser(input);
+  saveUsers(loadUsers().concat(user));
+  return publicUser(user);
+}
+
+function updateUser(id, input) {
+  const users = loadUsers();
+  const idx = users.findIndex((u) => u.id === id);
+  if (idx < 0) return null;
+  users[idx] = buildUser(input, users[idx]);
+  assertAdminRemains(users);
+  saveUsers(users);
+  // a disabled user or a new password ends existing sessions
+  if (users[idx].disabled || (input.password !== undefined && input.password !== '')) destroyUserSessions(id);
+  return publicUser(users[idx]);
+}
+
+function deleteUser(id) {
+  const users = loadUsers();
+  const next = users.filter((u) => u.id !== id);
+  if (next.length === users.length) return false;
+  assertAdminRemains(next);
+  saveUsers(next);
+  destroyUserSessions(id);
+  return true;
+}
+
+// First start: create an admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no users.
+function ensureBootstrapAdmin() {
+  if (loadUsers().length) return null;
+  if (!process.env.ADMIN_PASSWORD) {
+    console.warn('No users configured. Set ADMIN_PASSWORD (and optionally ADMIN_USERNAME) to create the first admin.');
+    return null;
+  }
+  const user = createUser({
+    username: process.env.ADMIN_USERNAME || 'admin',
+    password: process.env.ADMIN_PASSWORD,
+    role: 'admin',
+    stores: ALL_STORES,
+  });
+  console.log(`Created admin user '${user.username}'`);
+  return user;
+}
+
+function checkLockout(username) {
+  const key = String(username || '').toLowerCase();
+  const entry = failures.get(key);
+  if (entry && entry.count >= MAX_FAILURES && Date.now() - entry.since < LOCKOUT_MS) {
+    throw httpError(429, 'too many failed sign-ins; try again later');
+  }
+  if (entry && Date.now() - entry.since >= LOCKOUT_MS) failures.delete(key);
+}
+
+function recordFailure(username) {
+  const key = String(username || '').toLowerCase();
+  const entry = failures.get(key) || { count: 0, since: Date.now() };
+  entry.count += 1;
+  failures.set(key, entry);
+}
+
+// Local sign-in. Throws 401 on a bad username or password (without saying which).
+function authenticate(username, password) {
+  checkLockout(username);
+  const user = findUser(username);
+  // hash anyway so unknown usernames take as long as wrong passwords
+  const ok = verifyPassword(password, user && user.provider === 'local' ? user.passwordHash : hashPassword('x'));
+  if (!user || user.disabled || user.provider !== 'local' || !ok) {
+    recordFailure(username);
+    throw unauthorized('invalid username or password');
+  }
+  failures.delete(String(username).toLowerCase());
+  return publicUser(user);
+}
+
+// SSO sign-in: only users an admin created with provider "oidc" may sign in. They are matched
+// on the linked subject, or on email (then username) for the first sign-in.
+function oidcUser(claims) {
+  const users = loadUsers();
+  const email = String(claims.email || '').toLowerCase();
+  const user = users.find((u) => u.provider === 'oidc' && u.subject && u.subject === claims.sub)
+    || users.find((u) => u.provider === 'oidc' && !u.subject && email && (u.email.toLowerCase() === email || u.username.toLowerCase() === email));
+  if (!user || user.disabled) throw forbidden('this account has no access to the exporter; ask an admin to add it');
+  if (!user.subject) {
+    user.subject = claims.sub;
+    saveUsers(users);
+  }
+  return publicUser(user);
+}
+
+function createSession(user) {
+  const session = {
+    id: crypto.randomBytes(32).toString('hex'),
+    // sent back by the UI in X-CSRF-Token on every state-changing request
+    csrfToken: crypto.randomBytes(32).toString('hex'),
+    userId: user.id,
+    expiresAt: Date.now() + SESSION_TTL_MS,
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+function getSession(id) {
+  const session = id ? sessions.get(id) : null;
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(id);
+    return null;
+  }
+  return session;
+}
+
+function destroySession(id) {
+  sessions.delete(id);
+}
+
+function destroyUserSessions(userId) {
+  sessions.forEach((s, id) => { if (s.userId === userId) sessions.delete(id); });
+}
+
+function parseCookies(header) {
+  const out = {};
+  String(header || '').split(';').forEach((part) => {
+    const idx = part.indexOf('=');
+    if (idx <= 0) return;
+    try {
+      out[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (err) {
+      // a badly encoded cookie (another app's, say) is skipped rather than failing the request
+    }
+  });
+  return out;
+}
+
+// HttpOnly so scripts can't read it; SameSite=Lax so other sites can't post with it
+function sessionCookie(session) {
+  const parts = [`${SESSION_COOKIE}=${session ? session.id : ''}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+  parts.push(`Max-Age=${session ? Math.floor(SESSION_TTL_MS / 1000) : 0}`);
+  if (process.env.COOKIE_SECURE === '1') parts.push('Secure');
+  return parts.join('; ');
+}
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Express middleware: sets req.user and req.session, or answers 401. State-changing
+// requests must also carry the session's CSRF token.
+function requireAuth(req, res, next) {
+  const session = getSession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  const user = session ? loadUsers().find((u) => u.id === session.userId) : null;
+  if (!session || !user || user.disabled) return res.status(401).json({ error: unauthorized().message });
+  if (!SAFE_METHODS.includes(req.method) && !sameToken(req.get('x-csrf-token'), session.csrfToken)) {
+    return res.status(403).json({ error: 'missing or invalid CSRF token' });
+  }
+  req.session = session;
+  req.user = publicUser(user);
+  return next();
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `requires the ${role} role` });
+    return next();
+  };
+}
+
+// the subset of `stores` (key -> store) the user may export from
+function storesFor(user, stores) {
+  if (!user) return {};
+  if (user.stores.includes(ALL_STORES)) return stores;
+  const out = {};
+  user.stores.forEach((k) => { if (stores[k]) out[k] = stores[k]; });
+  return out;
+}
+
+function canAccessStores(user, storeKeys) {
+  if (!user) return false;
+  if (user.stores.includes(ALL_STORES)) return true;
+  return storeKeys.length > 0 && storeKeys.every((k) => k !== 'all' && user.stores.includes(k));
+}
+
+module.exports = {
+  ROLES,
+  ALL_STORES,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  ensureBootstrapAdmin,
+  authenticate,
+  oidcUser,
+  createSession,
+  destroySession,
+  sessionCookie,
+  requireAuth,
+  requireRole,
+  hasRole,
+  storesFor,
+  canAccessStores,
+};
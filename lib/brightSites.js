@@ -1,32 +1,93 @@
 const fetch = require('node-fetch');
-const dotenv = require('dotenv');
-dotenv.config();
-
-const SUBDOMAIN = process.env.BRIGHTSITES_SUBDOMAIN;
-const TOKEN = process.env.BRIGHTSITES_API_TOKEN;
-if (!SUBDOMAIN || !TOKEN) {
-  // don't throw here to allow local dev, but warn
-  console.warn('BRIGHTSITES_SUBDOMAIN or BRIGHTSITES_API_TOKEN not set in env');
+const {
+  BrightSitesError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  AuthError,
+  NotFoundError,
+  ClientError,
+} = require('./errors');
+const { abortError, sleep, limiterFor } = require('./throttle');
+
+const MAX_RETRIES = process.env.BRIGHTSITES_MAX_RETRIES !== undefined ? Number(process.env.BRIGHTSITES_MAX_RETRIES) : 4;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
+
+// {subdomain} is replaced by the store's; BRIGHTSITES_API_BASE points the app somewhere else,
+// e.g. the mock API in test/mock-api.js: http://127.0.0.1:4010/{subdomain}/api/v2.6.1
+const DEFAULT_API_BASE = 'https://{subdomain}.mybrightsites.com/api/v2.6.1';
+
+// every call names its store (see ./stores); there is no default store
+function apiBase(opts = {}) {
+  if (!opts.subdomain) throw new Error('store subdomain is required');
+  return (process.env.BRIGHTSITES_API_BASE || DEFAULT_API_BASE).replace('{subdomain}', opts.subdomain).replace(/\/+$/, '');
 }
 
-const BASE = `https://${SUBDOMAIN}.mybrightsites.com/api/v2.6.1`;
+// "full jitter" exponential backoff: random delay up to base * 2^attempt, capped
+function backoffDelay(attempt) {
+  return Math.round(Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt));
+}
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) return Math.round(Number(value) * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
 }
 
-async function safeFetch(url, opts = {}, retries = 2, delay = 500) {
-  for (let i = 0; i <= retries; i++) {
+function errorForResponse(res, body, path) {
+  const message = `HTTP ${res.status} ${res.statusText} on ${path}${body ? ` - ${String(body).slice(0, 200)}` : ''}`;
+  const opts = { httpStatus: res.status, path };
+  if (res.status === 429) {
+    return new RateLimitError(message, Object.assign({ retryAfterMs: parseRetryAfter(res.headers.get('retry-after')) }, opts));
+  }
+  if (res.status >= 500) return new ServerError(message, opts);
+  if (res.status === 401 || res.status === 403) return new AuthError(message, opts);
+  if (res.status === 404) return new NotFoundError(message, opts);
+  return new ClientError(message, opts);
+}
+
+// a 200 that isn't JSON won't get better by asking again
+function parseBody(text, res, path) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new ClientError(`HTTP ${res.status} on ${path} - response is not JSON`, { httpStatus: res.status, path });
+  }
+}
+
+// GET `path` on the store API within its rate budget, retrying 429/5xx/network errors with
+// backoff (honouring Retry-After). Throws a typed error from ./errors once retries run out.
+async function apiGet(path, params = {}, opts = {}) {
+  const qs = new URLSearchParams();
+  Object.entries(Object.assign({}, params, { token: opts.token })).forEach(([k, v]) => {
+    if (v !== undefined && v !== null && v !== '') qs.append(k, String(v));
+  });
+  const url = `${apiBase(opts)}${path}?${qs.toString()}`;
+  const limiter = limiterFor(opts.subdomain, opts.rps);
+  const retries = opts.retries !== undefined ? opts.retries : MAX_RETRIES;
+  for (let attempt = 0; ; attempt++) {
+    // never retry once the caller has given up on the request
+    if (opts.signal && opts.signal.aborted) throw abortError();
+    await limiter.acquire(opts.signal);
+    let err;
     try {
-      const res = await fetch(url, opts);
-      if (res.ok) return res;
+      const res = await fetch(url, { method: 'GET', signal: opts.signal });
+      if (res.ok) return parseBody(await res.text(), res, path);
       const txt = await res.text().catch(() => '');
-      const err = new Error(`HTTP ${res.status} ${res.statusText} - ${txt}`);
-      if (i === retries) throw err;
-    } catch (err) {
-      if (i === retries) throw err;
+      err = errorForResponse(res, txt, path);
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      // node-fetch messages hold the full URL, and with it the token: only the code is kept
+      const code = e.code || e.type || e.name || 'network error';
+      err = e instanceof BrightSitesError ? e : new NetworkError(`request failed (${code}) on ${path}`, { path, code });
     }
-    await sleep(delay);
+    if (!err.retryable || attempt >= retries) throw err;
+    const wait = (err.retryAfterMs !== null && err.retryAfterMs !== undefined) ? err.retryAfterMs : backoffDelay(attempt);
+    if (err instanceof RateLimitError) limiter.pause(wait);
+    await sleep(wait, opts.signal);
   }
 }
 
@@ -34,18 +95,7 @@ async function fetchAllPages(path, params = {}, pageSize = 200, opts = {}) {
   const out = [];
   let page = 1;
   while (true) {
-  const token = opts.token || TOKEN;
-  const subdomain = opts.subdomain || SUBDOMAIN;
-  const base = subdomain ? `https://${subdomain}.mybrightsites.com/api/v2.6.1` : BASE;
-  const p = Object.assign({}, params, { page, per_page: pageSize, token });
-    const qs = new URLSearchParams();
-    Object.entries(p).forEach(([k, v]) => {
-      if (v !== undefined && v !== null && v !== '') qs.append(k, String(v));
-    });
-  const url = `${base}${path}?${qs.toString()}`;
-    const res = await safeFetch(url, { method: 'GET' });
-    if (!res) break;
-    const json = await res.json();
+    const json = await apiGet(path, Object.assign({}, params, { page, per_page: pageSize }), opts);
     // Accept several response shapes: top-level array, or object with an array under common keys
     let arr = [];
     if (Array.isArray(json)) {
@@ -64,49 +114,35 @@ async function fetchAllPages(path, params = {}, pageSize = 200, opts = {}) {
     }
     if (!arr || arr.length === 0) break;
     out.push(...arr);
+    if (opts.onPage) opts.onPage({ page, count: arr.length, total: out.length });
     if (arr.length < pageSize) break;
     page += 1;
   }
   return out;
 }
 
+// Enrichment loaders throw on failure (see ./errors) so callers can report the order
+// instead of silently exporting it with no line items or shipments.
 async function loadLineItems(orderId, opts = {}) {
   if (!orderId) return [];
-  try {
-    return await fetchAllPages(`/orders/${orderId}/line_items`, {}, 200, opts);
-  } catch (err) {
-    console.warn('loadLineItems error', err.message);
-    return [];
-  }
+  return fetchAllPages(`/orders/${orderId}/line_items`, {}, 200, opts);
 }
 
 async function loadShipments(orderId, opts = {}) {
   if (!orderId) return [];
-  try {
-    return await fetchAllPages(`/orders/${orderId}/shipments`, {}, 200, opts);
-  } catch (err) {
-    console.warn('loadShipments error', err.message);
-    return [];
-  }
+  return fetchAllPages(`/orders/${orderId}/shipments`, {}, 200, opts);
+}
+
+async function loadVariants(productId, opts = {}) {
+  if (!productId) return [];
+  return fetchAllPages(`/products/${productId}/variants`, {}, 200, opts);
 }
 
 async function loadOrder(orderId, opts = {}) {
   if (!orderId) return {};
-  try {
-    const token = opts.token || TOKEN;
-    const subdomain = opts.subdomain || SUBDOMAIN;
-    const base = subdomain ? `https://${subdomain}.mybrightsites.com/api/v2.6.1` : BASE;
-    const qs = new URLSearchParams({ token });
-    const url = `${base}/orders/${orderId}?${qs.toString()}`;
-    const res = await safeFetch(url, { method: 'GET' });
-    if (!res) return {};
-    const json = await res.json();
-    // API returns the order object directly
-    return json || {};
-  } catch (err) {
-    console.warn('loadOrder error', err.message);
-    return {};
-  }
+  // API returns the order object directly
+  const json = await apiGet(`/orders/${orderId}`, {}, opts);
+  return json || {};
 }
 
 function joinNonEmpty(parts, sep = ' | ') {
@@ -137,35 +173,53 @@ function composeAddressBlob(addr = {}, order = {}, extras = {}) {
   const shipment = extras && (extras.shipment || (Array.isArray(extras.shipments) && extras.shipments[0])) ? (extras.shipment || (Array.isArray(extras.shipments) && extras.shipments[0])) : null;
   const shipmentAddr = shipment ? (shipment.shipping_address || shipment.address || shipment.to_address || shipment.recipient || {}) : {};
 
+  // extras.sources, when given, is filled with where each field came from:
+  // address (addr itself), contact, order_address, order (order-level fields) or shipment
+  const sources = (extras && extras.sources) || {};
+  const firstOf = (field, ...candidates) => {
+    for (const [source, obj, keys] of candidates) {
+      const v = get(obj, ...keys);
+      if (v) {
+        sources[field] = source;
+        return v;
+      }
+    }
+    return '';
+  };
+
   const first = get(addr, 'first_name', 'first', 'firstName', 'firstname') || get(contact, 'first_name', 'first', 'firstName', 'firstname');
   const last = get(addr, 'last_name', 'last', 'lastName', 'lastname') || get(contact, 'last_name', 'last', 'lastName', 'lastname');
   const name = joinNonEmpty([ (first || last) ? `${(first||'').trim()} ${(last||'').trim()}`.trim() : '' ]);
+  if (name) sources.name = (get(addr, 'first_name', 'first', 'firstName', 'firstname', 'last_name', 'last', 'lastName', 'lastname')) ? 'address' : 'contact';
 
-  // if no first/last found, try order-level name fallbacks
-  let finalName = name;
-  if (!finalName) {
-    const oName = get(order, 'customer_name', 'customer', 'customer_full_name', 'customerDisplayName');
-    if (oName) finalName = String(oName).trim();
-  }
-  // if still missing, try shipment recipient fields
-  if (!finalName && shipment) {
-    const sName = get(shipmentAddr, 'name', 'recipient_name', 'to_name', 'recipient', 'full_name');
-    if (sName) finalName = String(sName).trim();
-  }
+  // if no first/last found, try order-level name fallbacks, then shipment recipient fields
+  const finalName = name || String(firstOf('name',
+    ['order', order, ['customer_name', 'customer', 'customer_full_name', 'customerDisplayName']],
+    ['shipment', shipmentAddr, ['name', 'recipient_name', 'to_name', 'recipient', 'full_name']]) || '').trim();
 
-  const company = get(addr, 'company', 'business', 'org') || get(orderAddr, 'company') || get(shipmentAddr, 'company');
-  const address1 = get(addr, 'address1', 'first_address', 'firstAddress', 'address', 'street1') || get(orderAddr, 'first_address', 'firstAddress', 'address1', 'street1') || get(shipmentAddr, 'address1', 'first_address', 'address', 'street1') || '';
-  const address2 = get(addr, 'address2', 'second_address', 'secondAddress', 'address_line_2', 'street2') || get(orderAddr, 'second_address', 'secondAddress', 'address2') || get(shipmentAddr, 'address2', 'second_address') || '';
+  const company = firstOf('company', ['address', addr, ['company', 'business', 'org']], ['order_address', orderAddr, ['company']], ['shipment', shipmentAddr, ['company']]);
+  const address1 = firstOf('address1',
+    ['address', addr, ['address1', 'first_address', 'firstAddress', 'address', 'street1']],
+    ['order_address', orderAddr, ['first_address', 'firstAddress', 'address1', 'street1']],
+    ['shipment', shipmentAddr, ['address1', 'first_address', 'address', 'street1']]);
+  const address2 = firstOf('address2',
+    ['address', addr, ['address2', 'second_address', 'secondAddress', 'address_line_2', 'street2']],
+    ['order_address', orderAddr, ['second_address', 'secondAddress', 'address2']],
+    ['shipment', shipmentAddr, ['address2', 'second_address']]);
   const addrLine = joinNonEmpty([address1, address2], ' ');
-  const city = get(addr, 'city', 'town') || get(orderAddr, 'city') || get(shipmentAddr, 'city') || '';
-  const state = get(addr, 'state', 'province', 'region') || get(orderAddr, 'state') || get(shipmentAddr, 'state') || '';
-  const zip = get(addr, 'zip', 'postcode', 'postal_code') || get(addr, 'postal') || get(orderAddr, 'zip', 'postcode', 'postal_code') || get(shipmentAddr, 'zip', 'postal_code') || '';
+  const city = firstOf('city', ['address', addr, ['city', 'town']], ['order_address', orderAddr, ['city']], ['shipment', shipmentAddr, ['city']]);
+  const state = firstOf('state', ['address', addr, ['state', 'province', 'region']], ['order_address', orderAddr, ['state']], ['shipment', shipmentAddr, ['state']]);
+  const zip = firstOf('zip', ['address', addr, ['zip', 'postcode', 'postal_code', 'postal']], ['order_address', orderAddr, ['zip', 'postcode', 'postal_code']], ['shipment', shipmentAddr, ['zip', 'postal_code']]);
   const cityStateZip = joinNonEmpty([city, [state, zip].filter(Boolean).join(' ').trim()].filter(Boolean), ', ');
-  const country = get(addr, 'country', 'country_name') || get(orderAddr, 'country') || get(shipmentAddr, 'country') || '';
+  const country = firstOf('country', ['address', addr, ['country', 'country_name']], ['order_address', orderAddr, ['country']], ['shipment', shipmentAddr, ['country']]);
 
   // email/phone: try addr, then contact, then order
-  const email = get(addr, 'email', 'contact_email') || get(contact, 'email') || get(order, 'customer_email') || get(order, 'customer') || get(shipmentAddr, 'email') || '';
-  const phone = get(addr, 'phone', 'telephone', 'contact_phone') || get(contact, 'phone') || get(order, 'customer_phone') || '';
+  const email = firstOf('email',
+    ['address', addr, ['email', 'contact_email']],
+    ['contact', contact, ['email']],
+    ['order', order, ['customer_email', 'customer']],
+    ['shipment', shipmentAddr, ['email']]);
+  const phone = firstOf('phone', ['address', addr, ['phone', 'telephone', 'contact_phone']], ['contact', contact, ['phone']], ['order', order, ['customer_phone']]);
 
   const parts = [];
   if (finalName) parts.push(finalName);
@@ -178,32 +232,38 @@ function composeAddressBlob(addr = {}, order = {}, extras = {}) {
   return parts.join(' | ');
 }
 
-function trackingForLineItem({ order, shipments } = {}, lineItemId) {
-  if (!shipments || shipments.length === 0) return '';
-  const found = new Set();
-  shipments.forEach((s) => {
-    const t = s.tracking_number || s.tracking || '';
-    if (!t) return;
-    // if shipment enumerates line items
+// Tracking numbers for a line item with the shipment each came from: [{ number, shipment }].
+// Only shipments that list the line item count: an item none of them lists has no tracking,
+// rather than the tracking of whatever else the order shipped.
+function trackingEntriesForLineItem({ shipments } = {}, lineItemId) {
+  if (!shipments || shipments.length === 0) return [];
+  const collect = (list) => {
+    const seen = new Map();
+    list.forEach((s) => {
+      const t = s.tracking_number || s.tracking || '';
+      if (t && !seen.has(t)) seen.set(t, { number: t, shipment: s });
+    });
+    return Array.from(seen.values());
+  };
+  return collect(shipments.filter((s) => {
     const ids = (s.line_item_ids || []).map(String);
     const sLineItems = (s.line_items || []).map((x) => String(x.id || x));
-    if (ids.includes(String(lineItemId)) || sLineItems.includes(String(lineItemId))) {
-      found.add(t);
-    }
-  });
-  if (found.size > 0) return Array.from(found).join('; ');
+    return ids.includes(String(lineItemId)) || sLineItems.includes(String(lineItemId));
+  }));
+}
 
-  // fallback to any shipment tracking at order level
-  const any = shipments.map((s) => s.tracking_number || s.tracking || '').filter(Boolean);
-  if (any.length > 0) return Array.from(new Set(any)).join('; ');
-  return '';
+function trackingForLineItem(entry, lineItemId) {
+  return trackingEntriesForLineItem(entry, lineItemId).map((t) => t.number).join('; ');
 }
 
 module.exports = {
+  apiGet,
   fetchAllPages,
   loadLineItems,
   loadShipments,
+  loadVariants,
   loadOrder,
   composeAddressBlob,
+  trackingEntriesForLineItem,
   trackingForLineItem,
 };
@@ -0,0 +1,188 @@
+const {
+  fetchAllPages,
+  loadOrder,
+  loadLineItems,
+  loadShipments,
+} = require('./brightSites');
+const { orderIdentifier } = require('./reports');
+const { promisePool } = require('./pool');
+const { dataPath, readJson, writeJson } = require('./storage');
+
+// re-read a few minutes before the last sync start so clock skew can't drop updates
+const SYNC_OVERLAP_MS = 5 * 60 * 1000;
+
+// one JSON file per store, kept in memory once loaded so concurrent runs share it
+const caches = new Map();
+const syncs = new Map();
+
+function cacheFile(storeKey) {
+  return dataPath('cache', `${encodeURIComponent(storeKey)}.json`);
+}
+
+function getCache(storeKey) {
+  if (!caches.has(storeKey)) {
+    const saved = readJson(cacheFile(storeKey));
+    caches.set(storeKey, Object.assign({ storeKey, lastSyncedAt: null, orders: {} }, saved || {}));
+  }
+  return caches.get(storeKey);
+}
+
+function saveCache(storeKey) {
+  const cache = caches.get(storeKey);
+  if (cache) writeJson(cacheFile(storeKey), cache);
+}
+
+function updatedAt(order = {}) {
+  return order.updated_at || order.updatedAt || null;
+}
+
+// Cached enrichment for an order, or null if the order changed since it was cached
+// or the entry lacks one of the parts the caller needs.
+function cachedEnrichment(storeKey, order, enrich = {}) {
+  const entry = getCache(storeKey).orders[String(orderIdentifier(order))];
+  if (!entry || !updatedAt(order) || entry.updated_at !== updatedAt(order)) return null;
+  if (enrich.order && !entry.fullOrder) return null;
+  if (enrich.lineItems && !entry.line_items) return null;
+  if (enrich.shipments && !entry.shipments) return null;
+  return entry;
+}
+
+// Record whatever parts of an order were just fetched. Parts not fetched this time are kept
+// only if the order is unchanged.
+function storeEnrichment(storeKey, order, { fullOrder, line_items, shipments } = {}) {
+  const cache = getCache(storeKey);
+  const id = String(orderIdentifier(order));
+  const previous = cache.orders[id];
+  const unchanged = previous && previous.updated_at === updatedAt(order);
+  const entry = Object.assign({}, unchanged ? previous : {}, { updated_at: updatedAt(order), order, cachedAt: new Date().toISOString() });
+  if (fullOrder) entry.fullOrder = fullOrder;
+  if (line_items) entry.line_items = line_items;
+  if (shipments) entry.shipments = shipments;
+  cache.orders[id] = entry;
+}
+
+// One cached order, shaped like an enrichment result (line_items / shipments are undefined when
+// they were never fetched), or null.
+function cachedOrder(storeKey, orderId) {
+  const entry = getCache(storeKey).orders[String(orderId)];
+  if (!entry) return null;
+  return { order: Object.assign({}, entry.order, entry.fullOrder || {}), line_items: entry.line_items, shipments: entry.shipments };
+}
+
+// match a cached order against the API query params used for live runs
+function matchesParams(order, params = {}) {
+  if (params.status && String(order.status || '').toLowerCase() !== String(params.status).toLowerCase()) return false;
+  for (const [key, value] of Object.entries(params)) {
+    const m = key.match(/^(.+)_(from|to)$/);
+    if (!m || !value) continue;
+    const field = m[1] === 'created_at' ? (order.created_at || order.placed_at) : order[m[1]];
+    const t = new Date(field).getTime();
+    if (Number.isNaN(t)) return false;
+    if (m[2] === 'from' && t < new Date(value).getTime()) return false;
+    if (m[2] === 'to' && t > new Date(value).getTime()) return false;
+  }
+  return true;
+}
+
+// Cached orders matching `params`, shaped like live enrichment results ({ order, line_items, shipments }).
+function cachedOrders(storeKey, params = {}) {
+  const cache = getCache(storeKey);
+  return Object.values(cache.orders)
+    .map((entry) => ({
+      entry,
+      order: Object.assign({}, entry.order, entry.fullOrder || {}),
+    }))
+    .filter(({ order }) => matchesParams(order, params))
+    .sort((a, b) => String(a.order.created_at || '').localeCompare(String(b.order.created_at || '')))
+    .map(({ entry, order }) => ({
+      order,
+      line_items: entry.line_items,
+      shipments: entry.shipments,
+    }));
+}
+
+// Pull orders changed since the last sync (all orders on the first sync) and refresh their
+// full order, line items and shipments. Orders whose updated_at did not change are skipped.
+async function runSync(storeKey, store, { full = false, signal, onProgress = () => {} } = {}) {
+  const cache = getCache(storeKey);
+  const storeOpts = { subdomain: store.subdomain, token: store.token, rps: store.rps, signal };
+  const startedAt = new Date();
+  const params = {};
+  if (cache.lastSyncedAt && !full) {
+    params.updated_at_from = new Date(new Date(cache.lastSyncedAt).getTime() - SYNC_OVERLAP_MS).toISOString();
+  }
+
+  onProgress({ phase: 'listing', orders: 0 });
+  const orders = await fetchAllPages('/orders', params, 200, Object.assign({}, storeOpts, {
+    onPage: ({ total }) => onProgress({ phase: 'listing', orders: total }),
+  }));
+  const stale = orders.filter((o) => !cachedEnrichment(storeKey, o, { order: true, lineItems: true, shipments: true }));
+
+  let done = 0;
+  onProgress({ phase: 'enriching', done, total: stale.length });
+  const results = await promisePool(stale, async (order) => {
+    const orderId = orderIdentifier(order);
+    const [fullOrder, line_items, shipments] = await Promise.all([
+      loadOrder(orderId, storeOpts),
+      loadLineItems(orderId, storeOpts),
+      loadShipments(orderId, storeOpts),
+    ]);
+    storeEnrichment(storeKey, order, { fullOrder, line_items, shipments });
+    done += 1;
+    onProgress({ phase: 'enriching', done, total: stale.length });
+  }, 5, signal);
+
+  const errors = results.filter((r) => r && r.error).length;
+  if (signal && signal.aborted) {
+    saveCache(storeKey);
+    throw new Error('Sync cancelled');
+  }
+  // only advance the watermark when every changed order made it into the cache
+  if (!errors) {
+    cache.lastSyncedAt = startedAt.toISOString();
+    delete cache.lastError;
+  }
+  cache.lastSync = { startedAt: startedAt.toISOString(), finishedAt: new Date().toISOString(), listed: orders.length, refreshed: stale.length - errors, errors, full: !params.updated_at_from };
+  saveCache(storeKey);
+  return cache.lastSync;
+}
+
+// Start a sync unless one is already running for the store; resolves with the sync summary.
+function syncStore(storeKey, store, options = {}) {
+  if (syncs.has(storeKey)) return syncs.get(storeKey).promise;
+  const state = { storeKey, startedAt: new Date().toISOString(), progress: {} };
+  state.promise = runSync(storeKey, store, Object.assign({}, options, {
+    onProgress: (p) => {
+      state.progress = p;
+      if (options.onProgress) options.onProgress(p);
+    },
+  })).catch((err) => {
+    getCache(storeKey).lastError = String(err);
+    throw err;
+  }).finally(() => syncs.delete(storeKey));
+  syncs.set(storeKey, state);
+  return state.promise;
+}
+
+function syncStatus(storeKey) {
+  const cache = getCache(storeKey);
+  const running = syncs.get(storeKey);
+  return {
+    storeKey,
+    lastSyncedAt: cache.lastSyncedAt,
+    lastSync: cache.lastSync || null,
+    lastError: cache.lastError || null,
+    orders: Object.keys(cache.orders).length,
+    syncing: running ? { startedAt: running.startedAt, progress: running.progress } : null,
+  };
+}
+
+module.exports = {
+  cachedEnrichment,
+  storeEnrichment,
+  saveCache,
+  cachedOrder,
+  cachedOrders,
+  syncStore,
+  syncStatus,
+};
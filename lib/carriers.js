@@ -0,0 +1,75 @@
+// Carrier detection and tracking links. A shipment's own carrier fields win, then a shipping
+// method that names a carrier ("UPS Ground"), then the shape of the tracking number itself.
+
+const CARRIERS = {
+  UPS: {
+    names: /\bups\b|united parcel/i,
+    patterns: [/^1Z[0-9A-Z]{16}$/],
+    url: (n) => `https://www.ups.com/track?tracknum=${n}`,
+  },
+  USPS: {
+    names: /\busps\b|postal service|priority mail|first[- ]class/i,
+    // checked before FedEx: 20-22 digit USPS barcodes start with 91-95
+    patterns: [/^9[1-5]\d{18,20}$/, /^[A-Z]{2}\d{9}US$/],
+    url: (n) => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${n}`,
+  },
+  FedEx: {
+    names: /fed\s*ex/i,
+    patterns: [/^\d{12}$/, /^\d{15}$/, /^\d{20}$/],
+    url: (n) => `https://www.fedex.com/fedextrack/?trknbr=${n}`,
+  },
+  DHL: {
+    names: /\bdhl\b/i,
+    patterns: [/^\d{10}$/, /^JJD\d{10,18}$/],
+    url: (n) => `https://www.dhl.com/global-en/home/tracking/tracking-express.html?submit=1&tracking-id=${n}`,
+  },
+};
+
+const CARRIER_FIELDS = ['carrier', 'carrier_name', 'shipping_carrier', 'carrier_code'];
+
+function text(v) {
+  return v === undefined || v === null ? '' : String(v).trim();
+}
+
+function carrierFromName(name) {
+  const s = text(name);
+  return s ? Object.keys(CARRIERS).find((c) => CARRIERS[c].names.test(s)) || null : null;
+}
+
+function carrierFromNumber(number) {
+  const n = compactNumber(number);
+  return Object.keys(CARRIERS).find((c) => CARRIERS[c].patterns.some((re) => re.test(n))) || null;
+}
+
+function compactNumber(number) {
+  return text(number).replace(/[\s-]/g, '').toUpperCase();
+}
+
+// Carrier for a tracking number shipped on `shipment` of `order`. A carrier field naming a
+// carrier we don't know (e.g. "OnTrac") is kept as-is when the number doesn't identify one.
+function detectCarrier(number, shipment = {}, order = {}) {
+  const declared = CARRIER_FIELDS.map((k) => text((shipment || {})[k])).find(Boolean) || '';
+  return carrierFromName(declared)
+    || carrierFromName((shipment || {}).shipping_method)
+    || carrierFromName((order || {}).shipping_method)
+    || (number ? carrierFromNumber(number) : null)
+    || declared;
+}
+
+function trackingUrl(carrier, number) {
+  const n = compactNumber(number);
+  return n && CARRIERS[carrier] ? CARRIERS[carrier].url(encodeURIComponent(n)) : '';
+}
+
+// { number, carrier, url } for one tracking number
+function describeTracking(number, shipment, order) {
+  const carrier = detectCarrier(number, shipment, order);
+  return { number: text(number), carrier, url: trackingUrl(carrier, number) };
+}
+
+module.exports = {
+  CARRIERS: Object.keys(CARRIERS),
+  detectCarrier,
+  trackingUrl,
+  describeTracking,
+};
@@ -0,0 +1,85 @@
+const { orderIdentifier, pick } = require('./reports');
+
+// Change reports compare the order snapshots of two runs (see lib/history.js): new orders,
+// status changes, new or changed tracking numbers and new line items.
+const CHANGE_COLUMNS = ['Store', 'Order #', 'Change', 'Previous', 'Current', 'Line Item ID', 'SKU', 'Product Name', 'Quantity'];
+
+function trackingNumbers(shipments = []) {
+  return Array.from(new Set(shipments.map((s) => s.tracking_number || s.tracking || '').filter(Boolean).map(String)));
+}
+
+// the parts of an enriched order entry that change reports look at
+function orderSnapshot(storeKey, { order = {}, line_items = [], shipments = [] }) {
+  return {
+    store: storeKey,
+    id: String(orderIdentifier(order) || ''),
+    number: String(order.order_id || orderIdentifier(order) || ''),
+    status: String(order.status || ''),
+    tracking: trackingNumbers(shipments),
+    lineItems: line_items.map((li) => ({
+      id: String(li.id || ''),
+      sku: String(pick(li, 'sku', 'product_sku', 'item_number')),
+      name: String(li.name || li.product_name || ''),
+      quantity: String(li.quantity || ''),
+    })),
+  };
+}
+
+function snapshotIndex(snapshot) {
+  return new Map(snapshot.orders.map((o) => [`${o.store}\u0000${o.id}`, o]));
+}
+
+// What changed in one order: [{ change, previous, current, lineItem }]. `before` is null for a
+// new order; `compare` says whether line items and tracking can be compared ({ lineItems, shipments }).
+function orderChanges(before, after, compare = {}) {
+  if (!before) {
+    // one entry per line item, so a new order's items can be picked straight from the report
+    if (compare.lineItems && after.lineItems.length) return after.lineItems.map((li) => ({ change: 'New order', previous: '', current: after.status, lineItem: li }));
+    return [{ change: 'New order', previous: '', current: after.status, lineItem: null }];
+  }
+  const changes = [];
+  if (before.status !== after.status) changes.push({ change: 'Status changed', previous: before.status, current: after.status, lineItem: null });
+  if (compare.shipments) {
+    const added = after.tracking.filter((t) => !before.tracking.includes(t));
+    const removed = before.tracking.filter((t) => !after.tracking.includes(t));
+    if (removed.length) changes.push({ change: 'Tracking changed', previous: before.tracking.join('; '), current: after.tracking.join('; '), lineItem: null });
+    else if (added.length) changes.push({ change: 'New tracking', previous: before.tracking.join('; '), current: added.join('; '), lineItem: null });
+  }
+  if (compare.lineItems) {
+    const known = new Set(before.lineItems.map((li) => li.id));
+    after.lineItems.filter((li) => !known.has(li.id)).forEach((li) => changes.push({ change: 'New line item', previous: '', current: '', lineItem: li }));
+  }
+  return changes;
+}
+
+// `before` and `after` are snapshots ({ lineItems, shipments, orders }); line items and tracking
+// are only compared when both runs loaded them. Orders missing from `after` are not reported:
+// they usually fell outside its filters.
+function changeReport(before, after) {
+  const previous = snapshotIndex(before);
+  const compare = { lineItems: before.lineItems && after.lineItems, shipments: before.shipments && after.shipments };
+  const counts = { newOrders: 0, statusChanged: 0, trackingChanged: 0, newLineItems: 0 };
+  const rows = [];
+  after.orders.forEach((o) => {
+    const old = previous.get(`${o.store}\u0000${o.id}`) || null;
+    const changes = orderChanges(old, o, old ? compare : { lineItems: after.lineItems });
+    // orders are counted once, line items each
+    const kinds = new Set(changes.map((c) => c.change));
+    if (kinds.has('New order')) counts.newOrders += 1;
+    if (kinds.has('Status changed')) counts.statusChanged += 1;
+    if (kinds.has('New tracking') || kinds.has('Tracking changed')) counts.trackingChanged += 1;
+    counts.newLineItems += changes.filter((c) => c.change === 'New line item').length;
+    changes.forEach(({ change, previous: prev, current, lineItem: li }) => rows.push([
+      o.store, o.number, change, prev, current,
+      li ? li.id : '', li ? li.sku : '', li ? li.name : '', li ? li.quantity : '',
+    ]));
+  });
+  return { columns: CHANGE_COLUMNS, rows, meta: Object.assign({ rows: rows.length }, counts) };
+}
+
+module.exports = {
+  CHANGE_COLUMNS,
+  orderSnapshot,
+  orderChanges,
+  changeReport,
+};
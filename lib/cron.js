@@ -0,0 +1,116 @@
+// Minimal 5-field cron parser: "minute hour day-of-month month day-of-week".
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 0-30/10), month/day names
+// and the @hourly/@daily/@weekly/@monthly aliases. Times are server local time.
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAYS, offset: 0 },
+];
+
+function parseValue(raw, field) {
+  const lower = raw.toLowerCase();
+  if (field.names && field.names.includes(lower)) return field.names.indexOf(lower) + field.offset;
+  if (!/^\d+$/.test(raw)) throw new Error(`invalid ${field.name} value '${raw}'`);
+  const n = Number(raw);
+  if (n < field.min || n > field.max) throw new Error(`${field.name} value ${n} out of range ${field.min}-${field.max}`);
+  return n;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  text.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step in ${field.name} '${part}'`);
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field);
+      hi = parseValue(b, field);
+    } else {
+      lo = parseValue(range, field);
+      hi = stepText === undefined ? lo : field.max;
+    }
+    if (lo > hi) throw new Error(`invalid range in ${field.name} '${part}'`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  });
+  // 7 is an alias for Sunday
+  if (field.name === 'dayOfWeek' && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+  return values;
+}
+
+// Parse an expression; throws an Error describing the first invalid field.
+function parseCron(expression) {
+  const expr = String(expression || '').trim();
+  const parts = (ALIASES[expr.toLowerCase()] || expr).split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron expression '${expr}' must have 5 fields`);
+  const parsed = {};
+  FIELDS.forEach((field, i) => { parsed[field.name] = parseField(parts[i], field); });
+  // standard cron: when both day fields are restricted, either one may match
+  parsed.dayOfMonthAny = parts[2] === '*';
+  parsed.dayOfWeekAny = parts[4] === '*';
+  return parsed;
+}
+
+function cronMatches(parsed, date) {
+  if (!parsed.minute.has(date.getMinutes())) return false;
+  if (!parsed.hour.has(date.getHours())) return false;
+  if (!parsed.month.has(date.getMonth() + 1)) return false;
+  const dom = parsed.dayOfMonth.has(date.getDate());
+  const dow = parsed.dayOfWeek.has(date.getDay());
+  if (parsed.dayOfMonthAny && parsed.dayOfWeekAny) return true;
+  if (parsed.dayOfMonthAny) return dow;
+  if (parsed.dayOfWeekAny) return dom;
+  return dom || dow;
+}
+
+// next matching minute strictly after `from` (searches up to a year ahead)
+function nextRun(expression, from = new Date()) {
+  const parsed = typeof expression === 'string' ? parseCron(expression) : expression;
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+  while (d.getTime() <= limit) {
+    if (!parsed.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (cronMatches(parsed, d)) return d;
+    d.setMinutes(d.getMinutes() + 1);
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  cronMatches,
+  nextRun,
+};
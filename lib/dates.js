@@ -0,0 +1,223 @@
+// Dates in a store's timezone: run windows that include the whole start and end days, the
+// relative presets (evaluated on the server, for the UI, schedules and the command line) and
+// the date format of the Placed and Ship Date columns. A blank timezone is the server's own.
+// Calendar days are handled as Dates at UTC midnight, so day arithmetic ignores DST.
+const DAY_MS = 86400000;
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+// output columns that hold dates
+const DATE_COLUMNS = ['Placed', 'Ship Date'];
+const FORMAT_TOKENS = /YYYY|MM|DD|HH|mm|ss/g;
+
+const formatters = new Map();
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function serverTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// wall-clock { year, month, day, hour, minute, second } of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+  const key = timeZone || '';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  const parts = {};
+  formatters.get(key).formatToParts(date).forEach((p) => {
+    if (p.type !== 'literal') parts[p.type] = Number(p.value);
+  });
+  return parts;
+}
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+function ymd(day) {
+  return `${day.getUTCFullYear()}-${pad(day.getUTCMonth() + 1)}-${pad(day.getUTCDate())}`;
+}
+
+function parseDay(value) {
+  const m = DAY_PATTERN.exec(String(value || ''));
+  if (!m) return null;
+  const day = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return ymd(day) === m[0] ? day : null;
+}
+
+function addDays(day, n) {
+  return new Date(day.getTime() + n * DAY_MS);
+}
+
+// the calendar day `now` falls on in `timeZone`
+function today(now, timeZone) {
+  const p = zonedParts(now, timeZone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day));
+}
+
+// how far `timeZone` is ahead of UTC at `date`, in ms
+function zoneOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// the instant a calendar day starts in `timeZone` (checked again at the guess, for DST days)
+function startOfDay(day, timeZone) {
+  const guess = day.getTime() - zoneOffset(day, timeZone);
+  return new Date(day.getTime() - zoneOffset(new Date(guess), timeZone));
+}
+
+function monthStart(day, months) {
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + months, 1));
+}
+
+function quarterStart(day, quarters) {
+  return new Date(Date.UTC(day.getUTCFullYear(), Math.floor(day.getUTCMonth() / 3) * 3 + quarters * 3, 1));
+}
+
+// weeks start on Monday, like the ISO weeks of the Weekly Totals report
+function weekStart(day) {
+  return addDays(day, -((day.getUTCDay() + 6) % 7));
+}
+
+// n days in all, today being the last
+function lastDays(n) {
+  return (t) => [addDays(t, -(n - 1)), t];
+}
+
+// [start, end] calendar days, inclusive, given today's date in the store's timezone
+const PRESETS = {
+  today: (t) => [t, t],
+  yesterday: (t) => [addDays(t, -1), addDays(t, -1)],
+  last7: lastDays(7),
+  last30: lastDays(30),
+  last90: lastDays(90),
+  thisWeek: (t) => [weekStart(t), addDays(weekStart(t), 6)],
+  lastWeek: (t) => [addDays(weekStart(t), -7), addDays(weekStart(t), -1)],
+  thisMonth: (t) => [monthStart(t, 0), addDays(monthStart(t, 1), -1)],
+  lastMonth: (t) => [monthStart(t, -1), addDays(monthStart(t, 0), -1)],
+  monthToDate: (t) => [monthStart(t, 0), t],
+  thisQuarter: (t) => [quarterStart(t, 0), addDays(quarterStart(t, 1), -1)],
+  lastQuarter: (t) => [quarterStart(t, -1), addDays(quarterStart(t, 0), -1)],
+};
+
+const PRESET_LABELS = {
+  today: 'Today',
+  yesterday: 'Yesterday',
+  last7: 'Last 7 days',
+  last30: 'Last 30 days',
+  last90: 'Last 90 days',
+  thisWeek: 'This week',
+  lastWeek: 'Last week',
+  thisMonth: 'This month',
+  lastMonth: 'Last month',
+  monthToDate: 'Month to date',
+  thisQuarter: 'This quarter',
+  lastQuarter: 'Last quarter',
+};
+
+// any "last<N>" (the N days ending today, up to a year) works besides the named presets
+function presetFn(name) {
+  if (Object.prototype.hasOwnProperty.call(PRESETS, name)) return PRESETS[name];
+  const m = /^last(\d{1,3})$/.exec(String(name || ''));
+  return m && Number(m[1]) >= 1 && Number(m[1]) <= 366 ? lastDays(Number(m[1])) : null;
+}
+
+function isPreset(name) {
+  return !!presetFn(name);
+}
+
+// inclusive YYYY-MM-DD start/end of a preset at `now` in `timeZone`, or null
+function resolvePreset(name, now = new Date(), timeZone = '') {
+  const fn = presetFn(name);
+  if (!fn) return null;
+  const [start, end] = fn(today(now, timeZone));
+  return { start: ymd(start), end: ymd(end) };
+}
+
+// the named presets with their current window, for pickers
+function listPresets(timeZone = '', now = new Date()) {
+  return Object.keys(PRESETS).map((id) => Object.assign({ id, label: PRESET_LABELS[id] }, resolvePreset(id, now, timeZone)));
+}
+
+// a calendar day (YYYY-MM-DD) or a full timestamp
+function isDateValue(value) {
+  if (DAY_PATTERN.test(String(value || ''))) return !!parseDay(value);
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// The API window for a run: { from, to } as ISO timestamps. Calendar days cover the start day
+// from midnight through the last second of the end day in `timeZone`; timestamps are kept.
+function dateWindow(start, end, timeZone = '') {
+  const startDay = parseDay(start);
+  const endDay = parseDay(end);
+  return {
+    from: startDay ? startOfDay(startDay, timeZone).toISOString() : new Date(start).toISOString(),
+    to: endDay ? new Date(startOfDay(addDays(endDay, 1), timeZone).getTime() - 1000).toISOString() : new Date(end).toISOString(),
+  };
+}
+
+// false, or why the date format can't be used
+function checkDateFormat(format) {
+  if (String(format).length > 40) return 'dateFormat must be at most 40 characters';
+  if (!String(format).match(FORMAT_TOKENS)) return 'dateFormat needs at least one of YYYY, MM, DD, HH, mm, ss';
+  return false;
+}
+
+// `value` (an API timestamp or a calendar day) in `format` and `timeZone`. Calendar days are
+// not shifted; values that are not dates, and any value without a format, are left as they are.
+function formatDate(value, format, timeZone = '') {
+  if (!format || !value) return value;
+  let p;
+  const day = parseDay(value);
+  if (day) {
+    p = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(), hour: 0, minute: 0, second: 0 };
+  } else {
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) return value;
+    p = zonedParts(d, timeZone);
+  }
+  const tokens = { YYYY: pad(p.year, 4), MM: pad(p.month), DD: pad(p.day), HH: pad(p.hour), mm: pad(p.minute), ss: pad(p.second) };
+  return format.replace(FORMAT_TOKENS, (t) => tokens[t]);
+}
+
+// Formats the date columns of rows built for `store` in place; rows without them pass through
+function dateColumnFormatter(columns, store = {}) {
+  const indexes = DATE_COLUMNS.map((c) => columns.indexOf(c)).filter((i) => i >= 0);
+  if (!store.dateFormat || !indexes.length) return (row) => row;
+  return (row) => {
+    indexes.forEach((i) => { row[i] = formatDate(row[i], store.dateFormat, store.timezone); });
+    return row;
+  };
+}
+
+module.exports = {
+  PRESETS: Object.keys(PRESETS),
+  DATE_COLUMNS,
+  isTimeZone,
+  serverTimeZone,
+  zonedParts,
+  isPreset,
+  resolvePreset,
+  listPresets,
+  isDateValue,
+  dateWindow,
+  checkDateFormat,
+  formatDate,
+  dateColumnFormatter,
+};
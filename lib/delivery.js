@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const SftpClient = require('ssh2-sftp-client');
+const { dataPath, ensureDir } = require('./storage');
+const { badRequest } = require('./errors');
+const { encryptSecret, decryptSecret } = require('./secrets');
+
+const TYPES = ['folder', 'sftp', 'email'];
+
+// Secrets that are accepted on write but never echoed back by the API. They are kept
+// encrypted (./secrets) as `<field>Encrypted`, like store tokens.
+const SECRET_FIELDS = ['password', 'passphrase', 'privateKey'];
+const MASK = '********';
+
+// Folder targets (schedules and webhook rules) are confined to this directory
+function exportRoot() {
+  return process.env.EXPORT_ROOT ? path.resolve(process.env.EXPORT_ROOT) : dataPath('exports');
+}
+
+// The directory a folder target writes to: `folder` is taken relative to the export root, and
+// may not lead out of it. Throws a 400 for paths that do.
+function exportDir(folder) {
+  const root = exportRoot();
+  const dir = path.resolve(root, String(folder || '').trim() || '.');
+  const rel = path.relative(root, dir);
+  if (rel.startsWith('..') || path.isAbsolute(rel)) {
+    throw badRequest(`path '${folder}' is outside the export folder; use a folder under ${root}`);
+  }
+  return dir;
+}
+
+// Validate a delivery target: { type: 'folder', path } | { type: 'sftp', host, port, username,
+// password | privateKey, path } | { type: 'email', to, subject }
+function validateDelivery(delivery) {
+  if (!delivery || !TYPES.includes(delivery.type)) {
+    throw badRequest(`delivery.type must be one of ${TYPES.join(', ')}`);
+  }
+  if (delivery.type === 'folder') exportDir(delivery.path);
+  if (delivery.type === 'sftp' && (!delivery.host || !delivery.username)) {
+    throw badRequest('sftp delivery requires host and username');
+  }
+  if (delivery.privateKeyPath) {
+    throw badRequest('privateKeyPath is not supported; send the key itself as privateKey');
+  }
+  if (delivery.type === 'email' && !delivery.to) {
+    throw badRequest('email delivery requires a "to" address');
+  }
+  return delivery;
+}
+
+function maskDelivery(delivery) {
+  const out = Object.assign({}, delivery);
+  SECRET_FIELDS.forEach((k) => {
+    if (out[k] || out[`${k}Encrypted`]) out[k] = MASK;
+    delete out[`${k}Encrypted`];
+  });
+  return out;
+}
+
+// The delivery as stored: new secrets encrypted, and the stored ones kept when an update sends
+// back the masked placeholder
+function sealSecrets(next, previous) {
+  const prev = previous || {};
+  const out = Object.assign({}, next);
+  SECRET_FIELDS.forEach((k) => {
+    const sealed = `${k}Encrypted`;
+    if (out[k] === MASK) out[sealed] = prev[sealed] || (prev[k] ? encryptSecret(prev[k]) : undefined);
+    else if (out[k]) out[sealed] = encryptSecret(out[k]);
+    delete out[k];
+    if (!out[sealed]) delete out[sealed];
+  });
+  return out;
+}
+
+// the secret `k` of a stored delivery, decrypted (older schedules may still hold it in clear)
+function secret(delivery, k) {
+  return delivery[`${k}Encrypted`] ? decryptSecret(delivery[`${k}Encrypted`]) : delivery[k];
+}
+
+async function deliverToFolder(file, delivery) {
+  const dir = ensureDir(exportDir(delivery.path));
+  const target = path.join(dir, file.name);
+  await fs.promises.writeFile(target, file.buffer);
+  return { type: 'folder', location: target };
+}
+
+async function deliverToSftp(file, delivery) {
+  const client = new SftpClient();
+  const remoteDir = delivery.path || '.';
+  const remote = `${remoteDir.replace(/\/+$/, '')}/${file.name}`;
+  try {
+    await client.connect({
+      host: delivery.host,
+      port: Number(delivery.port) || 22,
+      username: delivery.username,
+      password: secret(delivery, 'password') || process.env.SFTP_PASSWORD,
+      privateKey: secret(delivery, 'privateKey'),
+      passphrase: secret(delivery, 'passphrase'),
+    });
+    await client.put(file.buffer, remote);
+  } finally {
+    await client.end().catch(() => {});
+  }
+  return { type: 'sftp', location: `sftp://${delivery.host}${remote.startsWith('/') ? '' : '/'}${remote}` };
+}
+
+// SMTP settings come from the environment so credentials stay out of schedule files
+function smtpTransport() {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not set; email delivery is unavailable');
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+}
+
+async function deliverByEmail(file, delivery, context = {}) {
+  const transport = smtpTransport();
+  await transport.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: delivery.to,
+    subject: delivery.subject || `BrightSites export: ${context.name || file.name}`,
+    text: context.summary || `Attached: ${file.name}`,
+    attachments: [{ filename: file.name, content: file.buffer, contentType: file.contentType }],
+  });
+  return { type: 'email', location: String(delivery.to) };
+}
+
+// Deliver a generated file ({ name, buffer, contentType }); resolves with { type, location }.
+function deliver(file, delivery, context) {
+  if (delivery.type === 'sftp') return deliverToSftp(file, delivery);
+  if (delivery.type === 'email') return deliverByEmail(file, delivery, context);
+  return deliverToFolder(file, delivery);
+}
+
+module.exports = {
+  TYPES,
+  validateDelivery,
+  maskDelivery,
+  sealSecrets,
+  exportRoot,
+  exportDir,
+  deliver,
+};
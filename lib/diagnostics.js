@@ -0,0 +1,99 @@
+const { composeAddressBlob } = require('./brightSites');
+const {
+  STRUCTURED_COLUMNS,
+  ADDRESS_FIELDS,
+  rowContexts,
+  resourceFor,
+  describeAddress,
+  mergedAddress,
+} = require('./reports');
+
+const ROLES = ['billing', 'shipping'];
+// sources that mean a value did not come from the order's own contact/address for that role
+const FALLBACK_SOURCES = ['order', 'shipment_address'];
+
+const ISSUES = ['missingShipAddress', 'missingTracking', 'unmatchedLineItem', 'addressFallback', 'unnormalizedAddress', 'rejected'];
+
+// one label for a composed Info blob: the weakest source any of its parts came from
+function blobSource(role, sources) {
+  const used = Object.values(sources);
+  if (used.includes('shipment')) return 'shipment_address';
+  if (used.includes('order') || used.includes('order_address')) return 'order';
+  return used.length ? role : null;
+}
+
+// Diagnostics for the rows one enriched order produces, in row order: `sources` maps each
+// address column of the report to where its value came from (null when empty) and `issues`
+// lists data-quality problems. Issues that depend on data the report did not fetch are skipped.
+// `options` are the row options the report was built with (e.g. allocation).
+function diagnoseRows(report, entry, options = {}) {
+  const columns = new Set(report.columns);
+  const { enrich } = report;
+  // the checks are about order addresses and shipments; other rows are never flagged
+  if (resourceFor(report.grain) !== 'orders') return rowContexts(report.grain, entry, options).map(() => ({ sources: {}, issues: [] }));
+  return rowContexts(report.grain, entry, options).map((c) => {
+    const sources = {};
+    ROLES.forEach((role, r) => {
+      const described = describeAddress(c.order, role);
+      ADDRESS_FIELDS.forEach((field, i) => {
+        const column = STRUCTURED_COLUMNS[r * ADDRESS_FIELDS.length + i];
+        if (columns.has(column)) sources[column] = described.sources[field];
+      });
+    });
+    const billingBlob = {};
+    const shippingBlob = {};
+    composeAddressBlob(mergedAddress(c.order, 'billing'), c.order, { order: c.order, role: 'billing', sources: billingBlob });
+    composeAddressBlob(mergedAddress(c.order, 'shipping'), c.order, { shipment: c.shipment || null, shipments: c.shipments, role: 'shipping', sources: shippingBlob });
+    if (columns.has('Billing Info')) sources['Billing Info'] = blobSource('billing', billingBlob);
+    if (columns.has('Shipping Info')) sources['Shipping Info'] = blobSource('shipping', shippingBlob);
+
+    const issues = [];
+    if (enrich.order && !shippingBlob.address1) issues.push('missingShipAddress');
+    // unshipped allocation rows have no tracking by definition
+    if (enrich.shipments && !c.tracking && c.allocation !== 'unshipped') issues.push('missingTracking');
+    // the order shipped, but no shipment lists this line item: its tracking, method and date are blank
+    if (enrich.shipments && c.allocation === 'line' && c.shipments.length && !c.shipment) issues.push('unmatchedLineItem');
+    if (Object.values(sources).some((s) => FALLBACK_SOURCES.includes(s))) issues.push('addressFallback');
+    // set by the normalization stage (see ./normalize) for values it could not convert
+    if (entry.addressProblems && entry.addressProblems.length) {
+      issues.push('unnormalizedAddress');
+      return { sources, issues, addressProblems: entry.addressProblems };
+    }
+    return { sources, issues };
+  });
+}
+
+// Reports that check their own rows (the import profiles in ./profiles) flag each row the
+// import would refuse with the `rejected` issue and its reasons in `rejections`.
+// Returns `diagnostics`, the diagnoseRows() result for the same rows.
+function validateRows(report, rows, diagnostics) {
+  if (!report.validate) return diagnostics;
+  rows.forEach((row, i) => {
+    const rejections = report.validate(row);
+    if (!rejections.length) return;
+    diagnostics[i].issues.push('rejected');
+    diagnostics[i].rejections = rejections;
+  });
+  return diagnostics;
+}
+
+// Run-level counts: rows with any issue, rows per issue and values per source
+function summarizeDiagnostics(diagnostics) {
+  const summary = { rows: diagnostics.length, problemRows: 0, sources: {} };
+  ISSUES.forEach((issue) => { summary[issue] = 0; });
+  diagnostics.forEach(({ sources, issues }) => {
+    if (issues.length) summary.problemRows += 1;
+    issues.forEach((issue) => { summary[issue] += 1; });
+    Object.values(sources).forEach((source) => {
+      const key = source || 'missing';
+      summary.sources[key] = (summary.sources[key] || 0) + 1;
+    });
+  });
+  return summary;
+}
+
+module.exports = {
+  diagnoseRows,
+  validateRows,
+  summarizeDiagnostics,
+};
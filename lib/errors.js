@@ -0,0 +1,78 @@
+// Typed errors for BrightSites API calls. `retryable` tells the HTTP layer whether
+// trying again can help; `httpStatus` is the status BrightSites answered with.
+class BrightSitesError extends Error {
+  constructor(message, { httpStatus = null, retryable = false, path = '' } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.httpStatus = httpStatus;
+    this.retryable = retryable;
+    this.path = path;
+  }
+}
+
+// 429: BrightSites asked us to slow down, optionally with a Retry-After delay
+class RateLimitError extends BrightSitesError {
+  constructor(message, { retryAfterMs = null, ...rest } = {}) {
+    super(message, Object.assign({ httpStatus: 429 }, rest, { retryable: true }));
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// 5xx: transient server trouble
+class ServerError extends BrightSitesError {
+  constructor(message, opts = {}) {
+    super(message, Object.assign({}, opts, { retryable: true }));
+  }
+}
+
+// connection reset, DNS failure, timeout...; `code` is the system error code, e.g. ECONNRESET
+class NetworkError extends BrightSitesError {
+  constructor(message, { code = null, ...rest } = {}) {
+    super(message, Object.assign({}, rest, { retryable: true }));
+    this.code = code;
+  }
+}
+
+// 401/403: bad or revoked token
+class AuthError extends BrightSitesError {}
+
+class NotFoundError extends BrightSitesError {}
+
+// any other 4xx
+class ClientError extends BrightSitesError {}
+
+// an error the server answers with `status` and `message` (see sendError in server.js)
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// invalid input from an API caller
+function badRequest(message) {
+  return httpError(400, message);
+}
+
+// not signed in, or the session expired
+function unauthorized(message = 'sign in required') {
+  return httpError(401, message);
+}
+
+// signed in, but the user's role or store access doesn't allow it
+function forbidden(message) {
+  return httpError(403, message);
+}
+
+module.exports = {
+  httpError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  BrightSitesError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  AuthError,
+  NotFoundError,
+  ClientError,
+};
@@ -0,0 +1,272 @@
+const { Writable } = require('stream');
+const ExcelJS = require('exceljs');
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  ndjson: { extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+};
+
+// XLSX rows committed between checks on the output's backpressure
+const XLSX_BATCH_ROWS = 500;
+
+// cell types for XLSX and HTML output; anything not listed is written as text
+const COLUMN_TYPES = {
+  'Placed': 'date',
+  'Ship Date': 'date',
+  'Created': 'date',
+  'Updated': 'date',
+  'Quantity': 'number',
+  'Line Items': 'number',
+  'Total Quantity': 'number',
+  'Shipping Landded Cost': 'number',
+  'Shipping Cost': 'number',
+  'Subtotal': 'number',
+  'Shipping Total': 'number',
+  'Tax Total': 'number',
+  'Discount Total': 'number',
+  'Order Total': 'number',
+  'Unit Price': 'number',
+  'Line Total': 'number',
+  'Discount': 'number',
+  'Price': 'number',
+  'Variants': 'number',
+  'Inventory': 'number',
+  'Orders': 'number',
+  'Units': 'number',
+  'Revenue': 'number',
+  'Average Order Value': 'number',
+  'Tracking URL': 'url',
+};
+
+// Only ISO days and timestamps with a UTC offset become date cells. Values in a store's own
+// date format stay text: parsing them again could swap day and month, or read them in the
+// server's timezone.
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2}))?$/;
+
+function normalizeFormat(format) {
+  const f = String(format || 'csv').toLowerCase();
+  if (f === 'jsonl' || f === 'json-lines') return 'ndjson';
+  if (f === 'htm') return 'html';
+  return FORMATS[f] ? f : null;
+}
+
+function escapeCsvCell(v) {
+  if (v == null) return '';
+  const s = String(v);
+  if (s.includes(',') || s.includes('"') || s.includes('\n') || s.includes('\r')) {
+    return '"' + s.replace(/"/g, '""') + '"';
+  }
+  return s;
+}
+
+function escapeHtml(v) {
+  return String(v == null ? '' : v)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// URL cells hold one link per tracking number, separated like the Tracking # column
+function links(v) {
+  return String(v || '').split(/;\s*/).filter((u) => /^https?:\/\//i.test(u));
+}
+
+function typedValue(v, type) {
+  if (v === undefined || v === null || v === '') return null;
+  if (type === 'url') {
+    const urls = links(v);
+    // a spreadsheet cell holds a single hyperlink: the first number's, with every URL listed
+    return urls.length ? { text: urls.join('\n'), hyperlink: urls[0] } : v;
+  }
+  if (type === 'number') {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : v;
+  }
+  if (type === 'date') {
+    if (!ISO_DATE.test(String(v))) return v;
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? v : d;
+  }
+  return v;
+}
+
+// Resolve the requested column subset against the result columns. Accepts an array or a
+// comma-separated string; unknown names are dropped and an empty selection means "all".
+function selectColumns(allColumns, requested) {
+  let wanted = requested;
+  if (typeof wanted === 'string') wanted = wanted.split(',').map((c) => c.trim());
+  if (!Array.isArray(wanted)) return allColumns.slice();
+  const picked = wanted.filter((c) => allColumns.includes(c));
+  return picked.length ? picked : allColumns.slice();
+}
+
+function slug(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// e.g. mystore_needed-excel_2024-01-01_2024-01-31.csv; without a range, `day` (default: today in UTC)
+function exportFilename({ storeKey, reportType, start, end, day } = {}, format = 'csv') {
+  const range = (start && end) ? `${start}_${end}` : (day || new Date().toISOString().slice(0, 10));
+  const parts = [slug(storeKey) || 'brightsites', slug(reportType) || 'export', range];
+  return `${parts.join('_')}.${FORMATS[format].extension}`;
+}
+
+function projectRows(result, columns) {
+  const indexes = columns.map((c) => result.columns.indexOf(c));
+  return (result.rows || []).map((r) => indexes.map((idx) => (idx >= 0 && r[idx] != null ? r[idx] : '')));
+}
+
+function closedEarly() {
+  return new Error('the output was closed before the export finished');
+}
+
+// settles with `promise`, or rejects first if `stream` closes or fails
+function unlessClosed(stream, promise) {
+  if (stream.destroyed) return Promise.reject(closedEarly());
+  return new Promise((resolve, reject) => {
+    const settle = (err, value) => {
+      stream.off('close', onClose);
+      stream.off('error', settle);
+      if (err) reject(err);
+      else resolve(value);
+    };
+    // a stream that finished normally closes too, possibly before `promise` has settled
+    const onClose = () => { if (!stream.writableFinished) settle(closedEarly()); };
+    stream.on('close', onClose);
+    stream.on('error', settle);
+    promise.then((value) => settle(null, value), settle);
+  });
+}
+
+// a download whose client went away never drains: stop there instead of waiting forever
+function drained(stream) {
+  if (!stream.destroyed && !stream.writableNeedDrain) return Promise.resolve();
+  return unlessClosed(stream, new Promise((resolve) => stream.once('drain', resolve)));
+}
+
+function write(stream, chunk) {
+  if (stream.destroyed) return Promise.reject(closedEarly());
+  // respect backpressure so large exports don't buffer entirely in memory
+  if (stream.write(chunk)) return Promise.resolve();
+  return drained(stream);
+}
+
+async function writeCsv(stream, columns, rows, { bom = false } = {}) {
+  if (bom) await write(stream, '\uFEFF');
+  await write(stream, columns.map(escapeCsvCell).join(',') + '\n');
+  for (const r of rows) {
+    await write(stream, r.map(escapeCsvCell).join(',') + '\n');
+  }
+  stream.end();
+}
+
+async function writeNdjson(stream, columns, rows) {
+  for (const r of rows) {
+    const obj = {};
+    columns.forEach((c, i) => { obj[c] = r[i]; });
+    await write(stream, JSON.stringify(obj) + '\n');
+  }
+  stream.end();
+}
+
+// the cell type of each output column, by the name it has in the report (a view may relabel it)
+function columnTypes(result, columns) {
+  return columns.map((c) => {
+    const idx = result.columns.indexOf(c);
+    return COLUMN_TYPES[result.sourceColumns && idx >= 0 ? result.sourceColumns[idx] : c];
+  });
+}
+
+async function writeXlsx(stream, columns, rows, { sheetName = 'Export', types = [] } = {}) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31));
+  sheet.columns = columns.map((c, i) => {
+    const type = types[i];
+    let style = {};
+    if (type === 'date') style = { numFmt: 'yyyy-mm-dd hh:mm' };
+    if (type === 'url') style = { font: { color: { argb: 'FF0563C1' }, underline: true }, alignment: { wrapText: true } };
+    return { header: c, key: c, width: Math.min(Math.max(c.length + 2, 12), 60), style };
+  });
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+  // the workbook is zipped into `stream` as rows are committed; between batches, let that catch
+  // up and wait for the output to drain, as write() does
+  for (let start = 0; start < rows.length; start += XLSX_BATCH_ROWS) {
+    rows.slice(start, start + XLSX_BATCH_ROWS).forEach((r) => {
+      sheet.addRow(r.map((v, i) => typedValue(v, types[i]))).commit();
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    await drained(stream);
+  }
+  sheet.commit();
+  await unlessClosed(stream, workbook.commit());
+}
+
+function htmlCell(v, type) {
+  if (type === 'url' && links(v).length) {
+    return links(v).map((u) => `<a href="${escapeHtml(u)}">${escapeHtml(u)}</a>`).join('<br>');
+  }
+  return escapeHtml(v);
+}
+
+async function writeHtml(stream, columns, rows, { sheetName = 'Export', types = [] } = {}) {
+  await write(stream, '<!DOCTYPE html>\n<html><head><meta charset="utf-8">'
+    + `<title>${escapeHtml(sheetName)}</title>\n`
+    + '<style>body{font-family:sans-serif}table{border-collapse:collapse}th,td{border:1px solid #ccc;padding:4px;vertical-align:top;white-space:pre-line}th{background:#f2f2f2}</style>\n'
+    + '</head><body>\n<table>\n<thead><tr>' + columns.map((c) => `<th>${escapeHtml(c)}</th>`).join('') + '</tr></thead>\n<tbody>\n');
+  for (const r of rows) {
+    await write(stream, '<tr>' + r.map((v, i) => `<td>${htmlCell(v, types[i])}</td>`).join('') + '</tr>\n');
+  }
+  await write(stream, '</tbody>\n</table>\n</body></html>\n');
+  stream.end();
+}
+
+// Stream `result` ({ columns, rows }) to a writable in the given format.
+async function writeExport(stream, result, { format = 'csv', columns, bom = false, sheetName } = {}) {
+  const cols = selectColumns(result.columns, columns);
+  const rows = projectRows(result, cols);
+  const types = columnTypes(result, cols);
+  if (format === 'xlsx') return writeXlsx(stream, cols, rows, { sheetName, types });
+  if (format === 'ndjson') return writeNdjson(stream, cols, rows);
+  if (format === 'html') return writeHtml(stream, cols, rows, { sheetName, types });
+  return writeCsv(stream, cols, rows, { bom });
+}
+
+// Render an export into memory (for scheduled deliveries and attachments).
+async function exportToBuffer(result, options = {}) {
+  const chunks = [];
+  const sink = new Writable({
+    write(chunk, encoding, cb) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+      cb();
+    },
+  });
+  const finished = new Promise((resolve, reject) => {
+    sink.on('finish', resolve);
+    sink.on('error', reject);
+  });
+  await writeExport(sink, result, options);
+  await finished;
+  return Buffer.concat(chunks);
+}
+
+// Send an export as a file download on an Express response.
+async function sendExport(res, result, params = {}, options = {}) {
+  const format = normalizeFormat(options.format) || 'csv';
+  res.set({
+    'Content-Type': FORMATS[format].contentType,
+    'Content-Disposition': `attachment; filename="${exportFilename(params, format)}"`,
+  });
+  await writeExport(res, result, Object.assign({}, options, { format, sheetName: params.reportType }));
+}
+
+module.exports = {
+  FORMATS,
+  normalizeFormat,
+  escapeCsvCell,
+  selectColumns,
+  exportFilename,
+  writeExport,
+  exportToBuffer,
+  sendExport,
+};
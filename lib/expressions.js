@@ -0,0 +1,198 @@
+// Small expression language for template columns, evaluated without eval:
+//   lineItem.sku                      path into the row context (a.b, a[0])
+//   order.placed_at || order.created_at   first non-empty value
+//   billing.city + ', ' + billing.state   concatenation (addition when both sides are numbers)
+//   number(lineItem.price) * number(lineItem.quantity)
+//   join(pluck(lineItems, 'sku'), ', ')
+// Unknown paths evaluate to '' rather than throwing so one sparse order can't fail a run.
+
+const FUNCTIONS = {
+  upper: (v) => text(v).toUpperCase(),
+  lower: (v) => text(v).toLowerCase(),
+  trim: (v) => text(v).trim(),
+  concat: (...args) => args.map(text).join(''),
+  join: (list, sep = ', ') => toList(list).map(text).filter(Boolean).join(text(sep)),
+  pluck: (list, path) => toList(list).map((item) => getPath(item, String(path).split('.'))),
+  first: (list) => (Array.isArray(list) ? (list.length ? list[0] : '') : list),
+  count: (list) => toList(list).length,
+  sum: (list) => toList(list).reduce((n, v) => n + (Number(v) || 0), 0),
+  number: (v) => (isEmpty(v) || Number.isNaN(Number(v)) ? '' : Number(v)),
+  date: (v) => {
+    const d = new Date(v);
+    return isEmpty(v) || Number.isNaN(d.getTime()) ? text(v) : d.toISOString().slice(0, 10);
+  },
+  default: (v, fallback) => (isEmpty(v) ? fallback : v),
+};
+
+// path segments that could reach into prototypes are never resolved
+const BLOCKED = new Set(['__proto__', 'prototype', 'constructor']);
+
+function isEmpty(v) {
+  return v === undefined || v === null || (typeof v === 'string' && v.trim() === '') || (Array.isArray(v) && !v.length);
+}
+
+function text(v) {
+  return v === undefined || v === null ? '' : String(v);
+}
+
+function toList(v) {
+  if (Array.isArray(v)) return v;
+  return isEmpty(v) ? [] : [v];
+}
+
+function getPath(obj, segments) {
+  let value = obj;
+  for (const seg of segments) {
+    if (value === undefined || value === null || BLOCKED.has(String(seg))) return '';
+    if (typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, seg)) return '';
+    value = value[seg];
+  }
+  return value === undefined || value === null ? '' : value;
+}
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*)|(\|\||[-+*/().,[\]]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < source.length) {
+    if (!source.slice(pos).trim()) break;
+    TOKEN.lastIndex = pos;
+    const m = TOKEN.exec(source);
+    if (!m) throw new Error(`unexpected character '${source.slice(pos).trim()[0]}' at ${pos + 1}`);
+    if (m[1] !== undefined) tokens.push({ type: 'number', value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: 'string', value: m[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (m[3] !== undefined) tokens.push({ type: 'ident', value: m[3] });
+    else tokens.push({ type: 'op', value: m[4] });
+    pos = TOKEN.lastIndex;
+  }
+  return tokens;
+}
+
+// Recursive descent parser producing closures over the row context.
+function parse(tokens) {
+  let i = 0;
+  const peek = (value) => tokens[i] && tokens[i].type === 'op' && tokens[i].value === value;
+  const expect = (value) => {
+    if (!peek(value)) throw new Error(`expected '${value}'${tokens[i] ? ` before '${tokens[i].value}'` : ' at end'}`);
+    i += 1;
+  };
+
+  function orExpr() {
+    let left = additive();
+    while (peek('||')) {
+      i += 1;
+      const l = left;
+      const r = additive();
+      left = (ctx) => {
+        const v = l(ctx);
+        return isEmpty(v) ? r(ctx) : v;
+      };
+    }
+    return left;
+  }
+
+  function additive() {
+    let left = multiplicative();
+    while (peek('+') || peek('-')) {
+      const op = tokens[i].value;
+      i += 1;
+      const l = left;
+      const r = multiplicative();
+      left = op === '+'
+        ? (ctx) => {
+          const a = l(ctx);
+          const b = r(ctx);
+          return typeof a === 'number' && typeof b === 'number' ? a + b : text(a) + text(b);
+        }
+        : (ctx) => (Number(l(ctx)) || 0) - (Number(r(ctx)) || 0);
+    }
+    return left;
+  }
+
+  function multiplicative() {
+    let left = primary();
+    while (peek('*') || peek('/')) {
+      const op = tokens[i].value;
+      i += 1;
+      const l = left;
+      const r = primary();
+      left = (ctx) => {
+        const a = Number(l(ctx)) || 0;
+        const b = Number(r(ctx)) || 0;
+        if (op === '*') return a * b;
+        return b ? a / b : '';
+      };
+    }
+    return left;
+  }
+
+  function primary() {
+    const token = tokens[i];
+    if (!token) throw new Error('unexpected end of expression');
+    i += 1;
+    if (token.type === 'number' || token.type === 'string') return () => token.value;
+    if (token.type === 'op' && token.value === '(') {
+      const inner = orExpr();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'op' && token.value === '-') {
+      const operand = primary();
+      return (ctx) => -(Number(operand(ctx)) || 0);
+    }
+    if (token.type !== 'ident') throw new Error(`unexpected '${token.value}'`);
+
+    if (peek('(')) {
+      const fn = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+      if (!fn) throw new Error(`unknown function '${token.value}'`);
+      i += 1;
+      const args = [];
+      if (!peek(')')) {
+        args.push(orExpr());
+        while (peek(',')) {
+          i += 1;
+          args.push(orExpr());
+        }
+      }
+      expect(')');
+      return (ctx) => fn(...args.map((a) => a(ctx)));
+    }
+
+    const segments = [token.value];
+    while (peek('.') || peek('[')) {
+      if (peek('.')) {
+        i += 1;
+        const next = tokens[i];
+        if (!next || next.type !== 'ident') throw new Error(`expected a field name after '${segments.join('.')}.'`);
+        segments.push(next.value);
+        i += 1;
+      } else {
+        i += 1;
+        const index = tokens[i];
+        if (!index || (index.type !== 'number' && index.type !== 'string')) throw new Error('expected an index inside [ ]');
+        segments.push(String(index.value));
+        i += 1;
+        expect(']');
+      }
+    }
+    return (ctx) => getPath(ctx, segments);
+  }
+
+  const fn = orExpr();
+  if (i < tokens.length) throw new Error(`unexpected '${tokens[i].value}'`);
+  return fn;
+}
+
+// Compile an expression into `(context) => value`. Throws on syntax errors.
+function compile(source) {
+  const tokens = tokenize(String(source || ''));
+  if (!tokens.length) throw new Error('expression is empty');
+  return parse(tokens);
+}
+
+module.exports = {
+  FUNCTIONS: Object.keys(FUNCTIONS),
+  compile,
+  isEmpty,
+};
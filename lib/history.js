@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson, removeFile } = require('./storage');
+const { badRequest } = require('./errors');
+const { changeReport } = require('./changes');
+
+// Every finished run (jobs, /api/run, schedules and the CLI) with its parameters, who ran it,
+// the counts and the result, so the file can be downloaded again and runs compared.
+// The index holds the entries; each run's result and order snapshot live in history/<id>.json.
+const INDEX_FILE = dataPath('history.json');
+// runs kept; the oldest are pruned (with their results) when a new one is recorded
+const HISTORY_LIMIT = Number(process.env.HISTORY_LIMIT) || 200;
+// downloads remembered per run
+const DOWNLOAD_LIMIT = 20;
+// results kept in memory for paging through them in the grid (see ./views), most recent last
+const RESULT_CACHE_SIZE = 5;
+const resultCache = new Map();
+
+function runFile(id) {
+  return dataPath('history', `${id}.json`);
+}
+
+function loadIndex() {
+  return readJson(INDEX_FILE, []);
+}
+
+function saveIndex(entries) {
+  writeJson(INDEX_FILE, entries);
+}
+
+// `info`: { kind: 'job'|'run'|'schedule'|'cli', user, params (see describeRun), startedAt,
+// jobId, schedule, file }. The result's snapshot is stored apart from it and left off.
+function recordRun(info, result) {
+  const { snapshot, ...rest } = result;
+  const entry = {
+    id: crypto.randomUUID(),
+    kind: info.kind,
+    user: info.user || null,
+    storeKeys: info.params.storeKeys,
+    reportType: info.params.reportType,
+    templateId: info.params.templateId || '',
+    params: info.params,
+    resource: result.meta.resource || 'orders',
+    orders: result.meta.orders,
+    rows: result.meta.rows,
+    errors: (result.meta.errors || []).length,
+    comparable: !!snapshot,
+    startedAt: info.startedAt || null,
+    finishedAt: new Date().toISOString(),
+    downloads: [],
+  };
+  if (info.jobId) entry.jobId = info.jobId;
+  if (info.schedule) entry.schedule = info.schedule;
+  if (info.file) entry.file = info.file;
+  writeJson(runFile(entry.id), { result: rest, snapshot: snapshot || null });
+  const entries = loadIndex();
+  entries.unshift(entry);
+  entries.slice(HISTORY_LIMIT).forEach((old) => {
+    resultCache.delete(old.id);
+    removeFile(runFile(old.id));
+  });
+  saveIndex(entries.slice(0, HISTORY_LIMIT));
+  return entry;
+}
+
+function listHistory() {
+  return loadIndex();
+}
+
+function getHistoryEntry(id) {
+  return loadIndex().find((e) => e.id === id) || null;
+}
+
+function getHistoryResult(id) {
+  if (resultCache.has(id)) {
+    const result = resultCache.get(id);
+    resultCache.delete(id);
+    resultCache.set(id, result);
+    return result;
+  }
+  const saved = readJson(runFile(id));
+  if (!saved) return null;
+  resultCache.set(id, saved.result);
+  if (resultCache.size > RESULT_CACHE_SIZE) resultCache.delete(resultCache.keys().next().value);
+  return saved.result;
+}
+
+function getHistorySnapshot(id) {
+  const saved = readJson(runFile(id));
+  return saved ? saved.snapshot : null;
+}
+
+// remember a download of a past run: { user, format }
+function recordDownload(id, download) {
+  const entries = loadIndex();
+  const entry = entries.find((e) => e.id === id);
+  if (!entry) return;
+  entry.downloads = [Object.assign({ at: new Date().toISOString() }, download)].concat(entry.downloads || []).slice(0, DOWNLOAD_LIMIT);
+  saveIndex(entries);
+}
+
+function deleteHistoryEntry(id) {
+  const entries = loadIndex();
+  const idx = entries.findIndex((e) => e.id === id);
+  if (idx === -1) return false;
+  entries.splice(idx, 1);
+  saveIndex(entries);
+  resultCache.delete(id);
+  removeFile(runFile(id));
+  return true;
+}
+
+// The change report from run `fromId` to run `toId` (run ids, oldest first). Only order
+// reports keep a snapshot; anything else is a 400.
+function compareRuns(fromId, toId) {
+  const snapshots = [fromId, toId].map((id) => {
+    const snapshot = getHistorySnapshot(id);
+    if (!snapshot) throw badRequest(`run '${id}' cannot be compared: only order reports recorded in the history can.`);
+    return snapshot;
+  });
+  const report = changeReport(snapshots[0], snapshots[1]);
+  report.meta = Object.assign({ reportType: 'Changes', from: fromId, to: toId }, report.meta);
+  return report;
+}
+
+module.exports = {
+  recordRun,
+  listHistory,
+  getHistoryEntry,
+  getHistoryResult,
+  recordDownload,
+  deleteHistoryEntry,
+  compareRuns,
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { dataPath, ensureDir, readJson, writeJson, removeFile } = require('./storage');
+const { prepareRun, describeRun, runReport } = require('./pipeline');
+const { recordAudit } = require('./audit');
+const history = require('./history');
+
+const JOBS_DIR = dataPath('jobs');
+// finished jobs kept on disk; older ones are pruned when a new job finishes
+const JOB_HISTORY_LIMIT = Number(process.env.JOB_HISTORY_LIMIT) || 50;
+
+// in-memory state for every known job; results themselves are kept in the export history
+const jobs = new Map();
+const controllers = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+function jobFile(id) {
+  return dataPath('jobs', `${id}.json`);
+}
+
+function publicJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    phase: job.phase,
+    progress: job.progress,
+    params: job.params,
+    owner: job.owner || null,
+    historyId: job.historyId || null,
+    meta: job.meta || null,
+    errors: job.errors,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+  };
+}
+
+function update(job, changes) {
+  Object.assign(job, changes);
+  events.emit('update', publicJob(job));
+}
+
+function persist(job) {
+  writeJson(jobFile(job.id), { job: publicJob(job) });
+}
+
+function prune() {
+  const finished = Array.from(jobs.values())
+    .filter((j) => j.finishedAt)
+    .sort((a, b) => String(b.finishedAt).localeCompare(String(a.finishedAt)));
+  finished.slice(JOB_HISTORY_LIMIT).forEach((j) => {
+    jobs.delete(j.id);
+    removeFile(jobFile(j.id));
+  });
+}
+
+// reload finished jobs from disk so results survive a server restart
+function loadPersistedJobs() {
+  ensureDir(JOBS_DIR);
+  fs.readdirSync(JOBS_DIR).filter((f) => f.endsWith('.json')).forEach((f) => {
+    const saved = readJson(dataPath('jobs', f));
+    if (!saved || !saved.job) return;
+    const job = Object.assign({}, saved.job);
+    if (job.status === 'queued' || job.status === 'running') {
+      // the process that owned this job is gone
+      job.status = 'failed';
+      job.error = 'Server restarted before the job finished';
+      job.finishedAt = job.finishedAt || new Date().toISOString();
+    }
+    jobs.set(job.id, job);
+  });
+}
+
+async function execute(job, run) {
+  if (job.status === 'cancelled') {
+    persist(job);
+    return;
+  }
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+  update(job, { status: 'running', startedAt: new Date().toISOString() });
+  try {
+    const result = await runReport(run, {
+      signal: controller.signal,
+      onProgress: ({ phase, ...progress }) => update(job, { phase, progress: Object.assign({}, job.progress, progress) }),
+    });
+    const errors = (result.meta.errors || []).concat(job.errors);
+    const entry = history.recordRun({ kind: 'job', user: job.owner, params: job.params, startedAt: job.startedAt, jobId: job.id }, result);
+    update(job, { status: 'done', phase: 'done', meta: result.meta, errors, historyId: entry.id, finishedAt: new Date().toISOString() });
+    recordAudit({
+      action: 'run',
+      user: job.owner,
+      job: job.id,
+      storeKeys: job.params.storeKeys,
+      reportType: job.params.reportType,
+      templateId: job.params.templateId || undefined,
+      rows: result.meta.rows,
+    });
+  } catch (err) {
+    if (err.name === 'AbortError' || controller.signal.aborted) {
+      update(job, { status: 'cancelled', phase: 'cancelled', finishedAt: new Date().toISOString() });
+    } else {
+      console.error('Job failed', job.id, err);
+      update(job, { status: 'failed', phase: 'failed', error: String(err), finishedAt: new Date().toISOString() });
+    }
+  } finally {
+    controllers.delete(job.id);
+  }
+  persist(job);
+  prune();
+}
+
+// Validate the request synchronously (so bad input is a 400), then run in the background.
+// `owner` is the username the job belongs to; `stores` limits it to that user's stores
+function createJob(body = {}, { owner = null, stores } = {}) {
+  const run = prepareRun(body, { stores });
+  const job = {
+    id: crypto.randomUUID(),
+    owner,
+    status: 'queued',
+    phase: 'queued',
+    progress: {},
+    params: describeRun(run, body),
+    errors: [],
+    createdAt: new Date().toISOString(),
+  };
+  jobs.set(job.id, job);
+  setImmediate(() => execute(job, run).catch((err) => {
+    // execute() handles run failures itself; this is bookkeeping, e.g. the job file can't be written
+    console.error('Job failed', job.id, err);
+    if (!job.finishedAt) update(job, { status: 'failed', phase: 'failed', error: String(err), finishedAt: new Date().toISOString() });
+  }));
+  return publicJob(job);
+}
+
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? publicJob(job) : null;
+}
+
+function listJobs() {
+  return Array.from(jobs.values())
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .map(publicJob);
+}
+
+function getJobResult(id) {
+  const job = jobs.get(id);
+  if (!job || job.status !== 'done') return null;
+  if (job.historyId) return history.getHistoryResult(job.historyId);
+  // jobs saved before the export history kept their result next to the job
+  const saved = readJson(jobFile(id));
+  return saved ? saved.result : null;
+}
+
+// Cancel a running job, or forget a finished one. Returns false for unknown ids.
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return false;
+  const controller = controllers.get(id);
+  if (controller) {
+    controller.abort();
+    return true;
+  }
+  if (job.status === 'queued') {
+    update(job, { status: 'cancelled', phase: 'cancelled', finishedAt: new Date().toISOString() });
+    return true;
+  }
+  jobs.delete(id);
+  removeFile(jobFile(id));
+  return true;
+}
+
+// subscribe to updates for a single job; returns an unsubscribe function
+function onJobUpdate(id, listener) {
+  const handler = (job) => { if (job.id === id) listener(job); };
+  events.on('update', handler);
+  return () => events.removeListener('update', handler);
+}
+
+module.exports = {
+  loadPersistedJobs,
+  createJob,
+  getJob,
+  listJobs,
+  getJobResult,
+  cancelJob,
+  onJobUpdate,
+};
@@ -0,0 +1,250 @@
+// Optional address normalization applied to enriched orders before rows are built:
+// countries become ISO-3166 alpha-2 codes, US states and Canadian provinces become their
+// postal abbreviations, postal codes get the country's format and phones become E.164.
+// Values that can't be normalized are left as they are and reported as problems.
+const { mergedAddress, pick } = require('./reports');
+
+// names and codes the CLDR region list does not cover
+const COUNTRY_ALIASES = {
+  usa: 'US', 'united states of america': 'US', america: 'US', 'u s': 'US', 'u s a': 'US',
+  uk: 'GB', 'great britain': 'GB', britain: 'GB', england: 'GB', scotland: 'GB', wales: 'GB', 'northern ireland': 'GB',
+  can: 'CA', aus: 'AU', nzl: 'NZ', mex: 'MX', deu: 'DE', fra: 'FR', ita: 'IT', esp: 'ES', nld: 'NL', bel: 'BE',
+  che: 'CH', aut: 'AT', swe: 'SE', nor: 'NO', dnk: 'DK', fin: 'FI', irl: 'IE', prt: 'PT', pol: 'PL', jpn: 'JP',
+  chn: 'CN', ind: 'IN', bra: 'BR', arg: 'AR', zaf: 'ZA', sgp: 'SG', hkg: 'HK', kor: 'KR', isr: 'IL', are: 'AE',
+  holland: 'NL', 'the netherlands': 'NL', 'czech republic': 'CZ', turkey: 'TR', 'south korea': 'KR',
+  'republic of korea': 'KR', 'ivory coast': 'CI', burma: 'MM', 'hong kong': 'HK', macau: 'MO', 'vatican city': 'VA',
+  'russian federation': 'RU', 'viet nam': 'VN', 'puerto rico': 'PR',
+};
+
+// CLDR region codes that are not assignable ISO-3166 countries
+const NOT_COUNTRIES = new Set([
+  'AC', 'AN', 'BU', 'CP', 'CQ', 'CS', 'DD', 'DG', 'DY', 'EA', 'EU', 'EZ', 'FX', 'HV', 'IC', 'NH', 'NT', 'QO',
+  'RH', 'SU', 'TA', 'TP', 'UK', 'UN', 'VD', 'XA', 'XB', 'YD', 'YU', 'ZR', 'ZZ',
+]);
+
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado', CT: 'Connecticut',
+  DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+  IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland',
+  MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana',
+  NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+  NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania',
+  RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah',
+  VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+  AS: 'American Samoa', GU: 'Guam', MP: 'Northern Mariana Islands', PR: 'Puerto Rico', VI: 'U.S. Virgin Islands',
+  AA: 'Armed Forces Americas', AE: 'Armed Forces Europe', AP: 'Armed Forces Pacific',
+};
+
+const CA_PROVINCES = {
+  AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+  NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut', ON: 'Ontario', PE: 'Prince Edward Island',
+  QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon',
+};
+
+const SUBDIVISIONS = { US: US_STATES, CA: CA_PROVINCES };
+
+const SUBDIVISION_ALIASES = {
+  US: { 'washington dc': 'DC', 'washington d c': 'DC', 'virgin islands': 'VI' },
+  CA: { 'newfoundland': 'NL', 'labrador': 'NL', 'quebec city': 'QC', 'pei': 'PE', 'yukon territory': 'YT' },
+};
+
+// postal code shapes: a formatter from the compacted (uppercase, no spaces or dashes) value
+const POSTAL_FORMATS = {
+  US: (v) => {
+    if (/^\d{1,5}$/.test(v)) return v.padStart(5, '0');
+    if (/^\d{9}$/.test(v)) return `${v.slice(0, 5)}-${v.slice(5)}`;
+    return null;
+  },
+  CA: (v) => (/^[A-Z]\d[A-Z]\d[A-Z]\d$/.test(v) ? `${v.slice(0, 3)} ${v.slice(3)}` : null),
+  GB: (v) => (/^[A-Z]{1,2}\d[A-Z\d]?\d[A-Z]{2}$/.test(v) ? `${v.slice(0, -3)} ${v.slice(-3)}` : null),
+  NL: (v) => (/^\d{4}[A-Z]{2}$/.test(v) ? `${v.slice(0, 4)} ${v.slice(4)}` : null),
+  BR: (v) => (/^\d{8}$/.test(v) ? `${v.slice(0, 5)}-${v.slice(5)}` : null),
+  JP: (v) => (/^\d{7}$/.test(v) ? `${v.slice(0, 3)}-${v.slice(3)}` : null),
+  PL: (v) => (/^\d{5}$/.test(v) ? `${v.slice(0, 2)}-${v.slice(2)}` : null),
+};
+
+// countries with all-digit postal codes of a fixed length (leading zeros are restored)
+const NUMERIC_POSTAL_LENGTHS = {
+  AT: 4, AU: 4, BE: 4, CH: 4, DK: 4, HU: 4, NO: 4, NZ: 4, PH: 4, ZA: 4,
+  DE: 5, ES: 5, FI: 5, FR: 5, IT: 5, MX: 5, MY: 5, TH: 5, TR: 5, KR: 5, HR: 5, GR: 5, SE: 5,
+  IN: 6, SG: 6, CN: 6, RU: 6,
+};
+
+const CALLING_CODES = {
+  US: '1', CA: '1', PR: '1', GU: '1', VI: '1', AS: '1', MP: '1', BS: '1', BB: '1', JM: '1', TT: '1',
+  GB: '44', IE: '353', FR: '33', DE: '49', IT: '39', ES: '34', PT: '351', NL: '31', BE: '32', LU: '352',
+  CH: '41', AT: '43', DK: '45', SE: '46', NO: '47', FI: '358', IS: '354', PL: '48', CZ: '420', SK: '421',
+  HU: '36', RO: '40', BG: '359', GR: '30', HR: '385', SI: '386', EE: '372', LV: '371', LT: '370', UA: '380',
+  RU: '7', TR: '90', IL: '972', AE: '971', SA: '966', QA: '974', EG: '20', ZA: '27', NG: '234', KE: '254',
+  IN: '91', PK: '92', CN: '86', HK: '852', TW: '886', JP: '81', KR: '82', SG: '65', MY: '60', TH: '66',
+  PH: '63', ID: '62', VN: '84', AU: '61', NZ: '64', MX: '52', BR: '55', AR: '54', CL: '56', CO: '57', PE: '51',
+};
+
+function key(value) {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+let countryIndex = null;
+
+// lower-cased names and codes -> alpha-2, built once from the CLDR region names
+function countries() {
+  if (countryIndex) return countryIndex;
+  countryIndex = new Map(Object.entries(COUNTRY_ALIASES));
+  const names = new Intl.DisplayNames(['en'], { type: 'region', fallback: 'none' });
+  for (let a = 65; a <= 90; a += 1) {
+    for (let b = 65; b <= 90; b += 1) {
+      const code = String.fromCharCode(a, b);
+      const name = NOT_COUNTRIES.has(code) ? null : names.of(code);
+      if (!name) continue;
+      countryIndex.set(code.toLowerCase(), code);
+      countryIndex.set(key(name), code);
+      // "Myanmar (Burma)", "Congo - Kinshasa", "Hong Kong SAR China", "St. Lucia"
+      const short = name.replace(/\s*\(.*\)|\s+-\s+.*| SAR China/g, '');
+      [short, name.replace(/^St\. /, 'Saint ')].forEach((variant) => {
+        if (!countryIndex.has(key(variant))) countryIndex.set(key(variant), code);
+      });
+    }
+  }
+  return countryIndex;
+}
+
+function countryCode(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return '';
+  return countries().get(key(value)) || null;
+}
+
+function subdivisionCode(value, country) {
+  const table = SUBDIVISIONS[country];
+  if (!table) return String(value).trim();
+  const upper = String(value).trim().toUpperCase().replace(/\./g, '');
+  if (table[upper]) return upper;
+  const k = key(value);
+  const alias = SUBDIVISION_ALIASES[country][k];
+  if (alias) return alias;
+  const found = Object.keys(table).find((code) => key(table[code]) === k);
+  return found || null;
+}
+
+function postalCode(value, country) {
+  const compact = String(value).toUpperCase().replace(/[\s-]+/g, '');
+  if (POSTAL_FORMATS[country]) return POSTAL_FORMATS[country](compact);
+  const length = NUMERIC_POSTAL_LENGTHS[country];
+  if (length) return /^\d+$/.test(compact) && compact.length <= length ? compact.padStart(length, '0') : null;
+  return String(value).trim().toUpperCase();
+}
+
+function e164(value, country) {
+  // drop extensions ("x12", "ext. 12") before reading digits
+  const raw = String(value).trim().replace(/\s*(?:ext\.?|extension|x|#)\s*\d+$/i, '');
+  const digits = raw.replace(/\D/g, '');
+  let international = null;
+  if (raw.startsWith('+')) international = digits;
+  else if (raw.startsWith('00')) international = digits.slice(2);
+  else {
+    const cc = CALLING_CODES[country];
+    if (!cc) return null;
+    if (cc === '1') {
+      if (digits.length === 10) international = `1${digits}`;
+      else if (digits.length === 11 && digits.startsWith('1')) international = digits;
+    } else {
+      // national numbers drop their trunk prefix (0 in most countries)
+      international = cc + digits.replace(/^0/, '');
+    }
+  }
+  return international && /^[1-9]\d{7,14}$/.test(international) ? `+${international}` : null;
+}
+
+const FIELD_KEYS = {
+  country: ['country', 'country_name'],
+  state: ['state', 'province', 'region'],
+  zip: ['zip', 'postcode', 'postal_code', 'postal'],
+  phone: ['phone', 'telephone', 'contact_phone'],
+};
+
+function present(v) {
+  return v !== undefined && v !== null && String(v).trim() !== '';
+}
+
+// Normalize one address-like object. `fallbackCountry` is used when the object has no
+// country of its own (e.g. a contact whose address lives on another object).
+function normalizeAddress(obj, where, fallbackCountry, report) {
+  const out = Object.assign({}, obj);
+  const ownCountry = pick(obj, ...FIELD_KEYS.country);
+  let country = fallbackCountry;
+  FIELD_KEYS.country.forEach((k) => {
+    if (!present(obj[k])) return;
+    const code = countryCode(obj[k]);
+    if (code) out[k] = code;
+    else report(where, 'country', obj[k]);
+  });
+  if (present(ownCountry)) country = countryCode(ownCountry);
+
+  FIELD_KEYS.state.forEach((k) => {
+    if (!present(obj[k]) || !country) return;
+    const code = subdivisionCode(obj[k], country);
+    if (code) out[k] = code;
+    else report(where, 'state', obj[k]);
+  });
+  FIELD_KEYS.zip.forEach((k) => {
+    if (!present(obj[k]) || !country) return;
+    const formatted = postalCode(obj[k], country);
+    if (formatted) out[k] = formatted;
+    else report(where, 'zip', obj[k]);
+  });
+  FIELD_KEYS.phone.forEach((k) => {
+    if (!present(obj[k])) return;
+    const formatted = e164(obj[k], country);
+    if (formatted) out[k] = formatted;
+    else report(where, 'phone', obj[k]);
+  });
+  return out;
+}
+
+const SHIPMENT_ADDRESS_KEYS = ['shipping_address', 'address', 'to_address', 'recipient'];
+
+// Return a normalized copy of an enriched order ({ order, line_items, shipments }) with the
+// values that could not be normalized listed in `addressProblems` ({ where, field, value }).
+function normalizeEntry(entry) {
+  const problems = [];
+  const seen = new Set();
+  const report = (where, field, value) => {
+    const id = `${where}|${field}|${value}`;
+    if (seen.has(id)) return;
+    seen.add(id);
+    problems.push({ where, field, value: String(value) });
+  };
+
+  const order = Object.assign({}, entry.order);
+  const roleCountry = {};
+  ['billing', 'shipping'].forEach((role) => {
+    roleCountry[role] = countryCode(pick(mergedAddress(entry.order, role), ...FIELD_KEYS.country)) || '';
+    [role, `${role}_address`, `${role}_contact`].forEach((k) => {
+      if (order[k] && typeof order[k] === 'object') order[k] = normalizeAddress(order[k], role, roleCountry[role], report);
+    });
+  });
+  // order-level phone fallback belongs to the customer, so use the billing country
+  if (present(order.customer_phone)) {
+    const formatted = e164(order.customer_phone, roleCountry.billing || roleCountry.shipping);
+    if (formatted) order.customer_phone = formatted;
+    else report('order', 'phone', order.customer_phone);
+  }
+
+  const shipments = (entry.shipments || []).map((s) => {
+    const copy = Object.assign({}, s);
+    SHIPMENT_ADDRESS_KEYS.forEach((k) => {
+      if (copy[k] && typeof copy[k] === 'object') copy[k] = normalizeAddress(copy[k], 'shipment', roleCountry.shipping, report);
+    });
+    return copy;
+  });
+
+  return Object.assign({}, entry, { order, shipments, addressProblems: problems });
+}
+
+module.exports = {
+  countryCode,
+  subdivisionCode,
+  postalCode,
+  e164,
+  normalizeEntry,
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { unauthorized } = require('./errors');
+
+// OpenID Connect sign-in (authorization code flow with a client secret). Configured with
+// OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_CLIENT_SECRET; OIDC_REDIRECT_URI defaults to
+// <this server>/auth/oidc/callback. ID tokens are checked against the issuer's JWKS.
+
+// sign-in attempts waiting for their callback: state -> { nonce, redirectUri, createdAt }
+const pending = new Map();
+const PENDING_TTL_MS = 10 * 60 * 1000;
+// the provider's clock may run a little ahead or behind ours
+const CLOCK_SKEW_S = 60;
+
+let discovery = null;
+let jwks = null;
+
+function config() {
+  return {
+    issuer: String(process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI || '',
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  };
+}
+
+function oidcEnabled() {
+  const c = config();
+  return !!(c.issuer && c.clientId && c.clientSecret);
+}
+
+async function getJson(url, options) {
+  const res = await fetch(url, options);
+  const text = await res.text();
+  if (!res.ok) throw unauthorized(`identity provider answered HTTP ${res.status} on ${url}`);
+  return JSON.parse(text);
+}
+
+async function discover() {
+  const { issuer } = config();
+  if (!discovery || discovery.issuer !== issuer) {
+    discovery = await getJson(`${issuer}/.well-known/openid-configuration`);
+    jwks = null;
+  }
+  return discovery;
+}
+
+async function signingKey(kid) {
+  const find = () => (jwks.keys || []).find((k) => !kid || k.kid === kid);
+  if (jwks && find()) return find();
+  // unknown kid: the provider may have rotated its keys
+  jwks = await getJson((await discover()).jwks_uri);
+  const key = find();
+  if (!key) throw unauthorized('ID token signed with an unknown key');
+  return key;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+async function verifyIdToken(token, nonce) {
+  const [h, p, s] = String(token || '').split('.');
+  if (!h || !p || !s) throw unauthorized('malformed ID token');
+  const header = decodeSegment(h);
+  const algorithms = { RS256: 'sha256', ES256: 'sha256' };
+  if (!algorithms[header.alg]) throw unauthorized(`unsupported ID token algorithm '${header.alg}'`);
+  const key = crypto.createPublicKey({ key: await signingKey(header.kid), format: 'jwk' });
+  const verifyKey = header.alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key;
+  if (!crypto.verify(algorithms[header.alg], Buffer.from(`${h}.${p}`), verifyKey, Buffer.from(s, 'base64url'))) {
+    throw unauthorized('ID token signature is invalid');
+  }
+
+  const claims = decodeSegment(p);
+  const { issuer, clientId } = config();
+  const now = Math.floor(Date.now() / 1000);
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== (await discover()).issuer && claims.iss !== issuer) throw unauthorized('ID token issuer does not match');
+  if (!audience.includes(clientId)) throw unauthorized('ID token was issued for another client');
+  if (!claims.exp || claims.exp + CLOCK_SKEW_S < now) throw unauthorized('ID token has expired');
+  if (claims.nonce !== nonce) throw unauthorized('ID token nonce does not match');
+  if (!claims.sub) throw unauthorized('ID token has no subject');
+  return claims;
+}
+
+function prunePending() {
+  pending.forEach((p, state) => { if (Date.now() - p.createdAt > PENDING_TTL_MS) pending.delete(state); });
+}
+
+// URL to send the browser to; `defaultRedirectUri` is used when OIDC_REDIRECT_URI is unset
+async function authorizationUrl(defaultRedirectUri) {
+  prunePending();
+  const c = config();
+  const { authorization_endpoint: endpoint } = await discover();
+  const state = crypto.randomBytes(24).toString('hex');
+  const nonce = crypto.randomBytes(24).toString('hex');
+  const redirectUri = c.redirectUri || defaultRedirectUri;
+  pending.set(state, { nonce, redirectUri, createdAt: Date.now() });
+  const url = new URL(endpoint);
+  Object.entries({ response_type: 'code', client_id: c.clientId, redirect_uri: redirectUri, scope: c.scopes, state, nonce })
+    .forEach(([k, v]) => url.searchParams.set(k, v));
+  return url.toString();
+}
+
+// Handle the provider's redirect back ({ code, state } query): exchange the code and return
+// the verified ID token claims.
+async function completeSignIn({ code, state, error } = {}) {
+  if (error) throw unauthorized(`identity provider refused sign-in: ${error}`);
+  const attempt = pending.get(String(state || ''));
+  pending.delete(String(state || ''));
+  if (!attempt || Date.now() - attempt.createdAt > PENDING_TTL_MS) throw unauthorized('sign-in attempt expired or unknown; try again');
+  const c = config();
+  const { token_endpoint: endpoint } = await discover();
+  const tokens = await getJson(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: String(code || ''),
+      redirect_uri: attempt.redirectUri,
+      client_id: c.clientId,
+      client_secret: c.clientSecret,
+    }).toString(),
+  });
+  return verifyIdToken(tokens.id_token, attempt.nonce);
+}
+
+module.exports = {
+  oidcEnabled,
+  authorizationUrl,
+  completeSignIn,
+};
@@ -0,0 +1,459 @@
+const {
+  fetchAllPages,
+  loadOrder,
+  loadLineItems,
+  loadShipments,
+  loadVariants,
+} = require('./brightSites');
+const { DEFAULT_REPORT, getReport, allocationReport, orderIdentifier, rowContexts, resourceFor } = require('./reports');
+const { getTemplate, templateReport } = require('./templates');
+const { getProfileReport } = require('./profiles');
+const { getConfiguredStores } = require('./stores');
+const { promisePool } = require('./pool');
+const { badRequest } = require('./errors');
+const { diagnoseRows, validateRows, summarizeDiagnostics } = require('./diagnostics');
+const { normalizeEntry } = require('./normalize');
+const { orderSnapshot } = require('./changes');
+const { PRESETS, isPreset, isDateValue, resolvePreset, dateWindow, dateColumnFormatter } = require('./dates');
+const cache = require('./cache');
+
+const SOURCES = ['live', 'cache'];
+// line: one row per line item (legacy); split: one row per (line item, shipment) pair
+const ALLOCATIONS = ['line', 'split'];
+// API listing per report resource (see GRAIN_RESOURCES in ./reports)
+const RESOURCE_PATHS = { orders: '/orders', products: '/products', customers: '/users' };
+
+function cancelledError() {
+  const err = new Error('Run cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw cancelledError();
+}
+
+function checkDates(body) {
+  if (body.datePreset) {
+    if (!isPreset(body.datePreset)) throw badRequest(`datePreset '${String(body.datePreset)}' not supported. Use ${PRESETS.join(', ')} or last<N> for the last N days.`);
+    return;
+  }
+  if (!body.start && !body.end) return;
+  if (!isDateValue(body.start) || !isDateValue(body.end)) {
+    throw badRequest('start and end must both be dates (YYYY-MM-DD, both days included) or ISO timestamps.');
+  }
+  if (Date.parse(body.start) > Date.parse(body.end)) throw badRequest('start must not be after end.');
+}
+
+// A store's API params: the status filter, and the date window in the store's timezone.
+// `range` is the { start, end } days the window covers, with a preset resolved at `now`.
+function storeParams(body, store, now) {
+  const params = {};
+  if (body.status) params.status = body.status;
+  const range = body.datePreset ? resolvePreset(body.datePreset, now, store.timezone) : (body.start && body.end ? { start: body.start, end: body.end } : null);
+  if (range) {
+    const dateFilterType = body.dateFilterType || 'created_at';
+    const { from, to } = dateWindow(range.start, range.end, store.timezone);
+    params[`${dateFilterType}_from`] = from;
+    params[`${dateFilterType}_to`] = to;
+  }
+  return { params, range };
+}
+
+// Validate a run request body (as posted by the UI) and resolve it into the store,
+// report and API query params. Throws errors with `status = 400` for bad input.
+// `options.stores` limits the run to those stores (the signed-in user's); stores outside it
+// are reported as not found, and "all" means all of them. `options.now` is when a
+// `datePreset` is evaluated (default: now), in each store's timezone.
+function prepareRun(body = {}, options = {}) {
+  const stores = options.stores || getConfiguredStores();
+  // several stores: `storeKeys: [...]`, or "all" as storeKey/storeKeys
+  const wantsAll = body.storeKey === 'all' || body.storeKeys === 'all';
+  const multi = wantsAll || Array.isArray(body.storeKeys);
+  const storeKeys = wantsAll ? Object.keys(stores) : (multi ? Array.from(new Set(body.storeKeys.map(String))) : [body.storeKey]);
+  // require explicit storeKey to avoid accidental defaults; caller must select a store
+  if (!storeKeys.length || !storeKeys[0]) {
+    throw badRequest('storeKey is required. Call GET /api/stores to list available stores and include storeKey (or storeKeys) in the request body.');
+  }
+  const unknown = storeKeys.filter((k) => !stores[k]);
+  if (unknown.length) {
+    throw badRequest(`storeKey '${unknown.join("', '")}' not found. Available stores: ${Object.keys(stores).join(', ')}`);
+  }
+  const storeKey = multi ? (wantsAll ? 'all' : storeKeys.join('+')) : storeKeys[0];
+  const store = stores[storeKeys[0]];
+  const allocation = body.allocation || 'line';
+  if (!ALLOCATIONS.includes(allocation)) {
+    throw badRequest(`allocation '${String(allocation)}' not supported. Use ${ALLOCATIONS.join(' or ')}.`);
+  }
+  const report = allocationReport(resolveReport(body), allocation);
+  // live: list orders from the API, reusing cached enrichment for unchanged orders
+  // cache: offline mode, build the report purely from the local cache
+  const source = body.source || 'live';
+  if (!SOURCES.includes(source)) {
+    throw badRequest(`source '${String(source)}' not supported. Use ${SOURCES.join(' or ')}.`);
+  }
+  const resource = resourceFor(report.grain);
+  // the local cache only holds orders
+  if (source === 'cache' && resource !== 'orders') {
+    throw badRequest(`source 'cache' is only available for order reports; '${report.name}' lists ${resource}.`);
+  }
+  checkDates(body);
+  const now = options.now || new Date();
+  const { params, range } = storeParams(body, store, now);
+
+  const run = {
+    storeKey,
+    store,
+    report,
+    params,
+    // the days the run covers (the first store's, when several are in different timezones)
+    range,
+    resource,
+    source,
+    refresh: !!body.refresh,
+    normalize: !!body.normalizeAddresses,
+    allocation,
+    // one column per option name and personalization attribute (line item reports only)
+    expandOptions: !!body.expandOptions && report.grain === 'lineItem' && !report.aggregate,
+  };
+  if (multi) run.stores = storeKeys.map((k) => ({ storeKey: k, store: stores[k], params: storeParams(body, stores[k], now).params }));
+  return run;
+}
+
+// The parameters of a prepared run as jobs and the export history record them; `body` is the
+// request it was prepared from. rerunBody() turns them back into a request for the same days,
+// also when they came from a preset.
+function describeRun(run, body = {}) {
+  return {
+    storeKey: run.storeKey,
+    storeKeys: run.stores ? run.stores.map((s) => s.storeKey) : [run.storeKey],
+    reportType: run.report.name,
+    templateId: run.report.templateId || '',
+    source: run.source,
+    normalizeAddresses: run.normalize,
+    allocation: run.allocation,
+    expandOptions: run.expandOptions,
+    dateFilterType: body.dateFilterType || 'created_at',
+    status: body.status || '',
+    datePreset: body.datePreset || '',
+    start: run.range ? run.range.start : '',
+    end: run.range ? run.range.end : '',
+  };
+}
+
+function rerunBody(params) {
+  const body = {
+    reportType: params.reportType,
+    templateId: params.templateId || undefined,
+    source: params.source,
+    normalizeAddresses: params.normalizeAddresses,
+    allocation: params.allocation,
+    expandOptions: params.expandOptions,
+    dateFilterType: params.dateFilterType,
+    status: params.status || undefined,
+    start: params.start || undefined,
+    end: params.end || undefined,
+  };
+  if (params.storeKeys.length > 1) body.storeKeys = params.storeKeys;
+  else body.storeKey = params.storeKeys[0];
+  return body;
+}
+
+// a saved template (templateId) takes precedence over a built-in report type
+function resolveReport(body) {
+  if (body.templateId) {
+    const template = getTemplate(String(body.templateId));
+    if (!template) {
+      throw badRequest(`templateId '${String(body.templateId)}' not found. Call GET /api/templates to list saved templates.`);
+    }
+    return templateReport(template);
+  }
+  const reportType = body.reportType || DEFAULT_REPORT;
+  const report = getReport(reportType) || getProfileReport(reportType);
+  if (!report) {
+    throw badRequest(`reportType '${String(reportType)}' not found. Call GET /api/reports to list available report types.`);
+  }
+  return report;
+}
+
+// `field` names what failed: 'order', or 'product' for catalog reports
+function enrichmentError(order, err, field = 'order') {
+  return {
+    [field]: String((order && (order.order_id || orderIdentifier(order))) || ''),
+    type: (err && err.name) || 'Error',
+    httpStatus: (err && err.httpStatus) || null,
+    retryable: !!(err && err.retryable),
+    error: err && err.message ? err.message : String(err),
+  };
+}
+
+async function enrichLive({ storeKey, store, report, params, refresh }, { onProgress, signal }) {
+  const storeOpts = { subdomain: store.subdomain, token: store.token, rps: store.rps, signal };
+
+  // fetch all orders with pagination
+  onProgress({ phase: 'listing', pages: 0, orders: 0 });
+  const orders = await fetchAllPages('/orders', params, 200, Object.assign({}, storeOpts, {
+    onPage: ({ page, total }) => onProgress({ phase: 'listing', pages: page, orders: total }),
+  }));
+  throwIfAborted(signal);
+
+  // Enrich orders with whatever the report needs (concurrency-limited)
+  const { enrich } = report;
+  let done = 0;
+  let cached = 0;
+  onProgress({ phase: 'enriching', done, total: orders.length });
+  const enriched = await promisePool(
+    orders,
+    async (order) => {
+      let parts = refresh ? null : cache.cachedEnrichment(storeKey, order, enrich);
+      if (parts) {
+        cached += 1;
+      } else {
+        const orderId = orderIdentifier(order);
+        const [fullOrder, line_items, shipments] = await Promise.all([
+          enrich.order ? loadOrder(orderId, storeOpts) : null,
+          enrich.lineItems ? loadLineItems(orderId, storeOpts) : null,
+          enrich.shipments ? loadShipments(orderId, storeOpts) : null,
+        ]);
+        parts = { fullOrder, line_items, shipments };
+        cache.storeEnrichment(storeKey, order, parts);
+      }
+      done += 1;
+      onProgress({ phase: 'enriching', done, total: orders.length });
+      // merge returned fullOrder over the minimal order snapshot so we prefer show-order fields
+      const mergedOrder = Object.assign({}, order, (enrich.order && parts.fullOrder) || {});
+      return { order: mergedOrder, line_items: parts.line_items || [], shipments: parts.shipments || [] };
+    },
+    5,
+    signal
+  );
+  cache.saveCache(storeKey);
+  throwIfAborted(signal);
+  return { orders, enriched, cached };
+}
+
+// Products (with their variants, unless the listing embeds them) or customers. Entries are
+// { product, variants } or { customer }; `orders` holds the listed records.
+async function enrichCatalog({ store, report, params, resource }, { onProgress, signal }) {
+  const storeOpts = { subdomain: store.subdomain, token: store.token, rps: store.rps, signal };
+  onProgress({ phase: 'listing', resource, pages: 0, orders: 0 });
+  const records = await fetchAllPages(RESOURCE_PATHS[resource], params, 200, Object.assign({}, storeOpts, {
+    onPage: ({ page, total }) => onProgress({ phase: 'listing', resource, pages: page, orders: total }),
+  }));
+  throwIfAborted(signal);
+  if (resource === 'customers') return { orders: records, enriched: records.map((customer) => ({ customer })) };
+
+  let done = 0;
+  onProgress({ phase: 'enriching', resource, done, total: records.length });
+  const enriched = await promisePool(
+    records,
+    async (product) => {
+      let variants = Array.isArray(product.variants) ? product.variants : [];
+      if (report.enrich.variants && !Array.isArray(product.variants)) variants = await loadVariants(orderIdentifier(product), storeOpts);
+      done += 1;
+      onProgress({ phase: 'enriching', resource, done, total: records.length });
+      return { product, variants };
+    },
+    5,
+    signal
+  );
+  throwIfAborted(signal);
+  return { orders: records, enriched };
+}
+
+function enrichFromCache({ storeKey, report, params }, { onProgress }) {
+  onProgress({ phase: 'listing', pages: 0, orders: 0 });
+  const { enrich } = report;
+  let incomplete = 0;
+  const enriched = cache.cachedOrders(storeKey, params).map((entry) => {
+    if ((enrich.lineItems && !entry.line_items) || (enrich.shipments && !entry.shipments)) incomplete += 1;
+    return { order: entry.order, line_items: entry.line_items || [], shipments: entry.shipments || [] };
+  });
+  const orders = enriched.map((e) => e.order);
+  onProgress({ phase: 'enriching', done: orders.length, total: orders.length });
+  return { orders, enriched, incomplete };
+}
+
+// Run a prepared report: list orders, enrich them and build rows.
+// `onProgress` receives { phase, ... } updates; `signal` (AbortSignal) cancels the run.
+async function runReport(run, options = {}) {
+  const result = run.stores ? await runMultiStore(run, options) : await runStoreReport(run, options);
+  return run.expandOptions ? expandOptionColumns(result) : result;
+}
+
+// per-row option and personalization values, in row order, for expandOptionColumns
+function expandedValues(report, entry, options) {
+  return rowContexts(report.grain, entry, options).map((c) => ({
+    option: c.optionValues,
+    personalization: c.personalizationValues,
+  }));
+}
+
+// Append an "Option: <name>" column for every option name and a "Personalization: <key>"
+// column for every attribute key seen anywhere in the run, in order of first appearance.
+// Names are matched case-insensitively; the first spelling seen is the header.
+function expandOptionColumns(result) {
+  const { expanded = [] } = result;
+  const names = { option: new Map(), personalization: new Map() };
+  const lowered = expanded.map((values) => {
+    const row = {};
+    Object.keys(names).forEach((kind) => {
+      row[kind] = {};
+      Object.entries(values[kind] || {}).forEach(([name, value]) => {
+        const key = name.toLowerCase();
+        if (!names[kind].has(key)) names[kind].set(key, name);
+        row[kind][key] = row[kind][key] ? `${row[kind][key]}; ${value}` : value;
+      });
+    });
+    return row;
+  });
+  const columns = [
+    ...Array.from(names.option.values()).map((name) => `Option: ${name}`),
+    ...Array.from(names.personalization.values()).map((name) => `Personalization: ${name}`),
+  ];
+  const keys = [
+    ...Array.from(names.option.keys()).map((key) => ['option', key]),
+    ...Array.from(names.personalization.keys()).map((key) => ['personalization', key]),
+  ];
+  const rows = result.rows.map((r, idx) => r.concat(keys.map(([kind, key]) => (lowered[idx] && lowered[idx][kind][key]) || '')));
+  const out = Object.assign({}, result, { columns: result.columns.concat(columns), rows });
+  delete out.expanded;
+  return out;
+}
+
+function storeLabel(storeKey, store) {
+  const label = (store && store.label) || storeKey;
+  return label === storeKey ? storeKey : `${label} (${storeKey})`;
+}
+
+// Run the same report for several stores in parallel (each store keeps its own rate budget)
+// and merge the rows behind a leading "Store" column. A failing store is reported in
+// meta.stores and does not abort the others.
+async function runMultiStore(run, { onProgress = () => {}, signal } = {}) {
+  const progress = {};
+  const emit = () => {
+    const values = Object.values(progress);
+    const phase = values.some((p) => p.phase === 'listing') ? 'listing' : (values.every((p) => p.phase === 'building') ? 'building' : 'enriching');
+    const sum = (k) => values.reduce((n, p) => n + (p[k] || 0), 0);
+    onProgress({ phase, resource: run.resource, orders: sum('orders'), done: sum('done'), total: sum('total'), stores: Object.assign({}, progress) });
+  };
+  const results = await Promise.all(run.stores.map(async ({ storeKey, store, params }) => {
+    const storeRun = Object.assign({}, run, { storeKey, store, params, stores: undefined });
+    try {
+      const result = await runStoreReport(storeRun, {
+        signal,
+        onProgress: (p) => {
+          progress[storeKey] = Object.assign({}, progress[storeKey], p);
+          emit();
+        },
+      });
+      return { storeKey, store, result };
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      progress[storeKey] = Object.assign({}, progress[storeKey], { phase: 'building' });
+      return { storeKey, store, error: err };
+    }
+  }));
+  throwIfAborted(signal);
+
+  const rows = [];
+  const diagnostics = [];
+  const expanded = [];
+  const errors = [];
+  const stores = {};
+  const snapshot = run.resource === 'orders' ? { lineItems: !!run.report.enrich.lineItems, shipments: !!run.report.enrich.shipments, orders: [] } : null;
+  let orders = 0;
+  results.forEach(({ storeKey, store, result, error }) => {
+    const label = (store && store.label) || storeKey;
+    if (error) {
+      stores[storeKey] = { label, orders: 0, rows: 0, error: String(error.message || error) };
+      errors.push(Object.assign({ store: storeKey }, enrichmentError(null, error), { order: '' }));
+      return;
+    }
+    const value = storeLabel(storeKey, store);
+    result.rows.forEach((r) => rows.push([value].concat(r)));
+    diagnostics.push(...result.diagnostics);
+    if (result.expanded) expanded.push(...result.expanded);
+    if (snapshot && result.snapshot) snapshot.orders.push(...result.snapshot.orders);
+    orders += result.meta.orders;
+    stores[storeKey] = { label, orders: result.meta.orders, rows: result.meta.rows };
+    if (result.meta.errors) {
+      stores[storeKey].errors = result.meta.errors.length;
+      result.meta.errors.forEach((e) => errors.push(Object.assign({ store: storeKey }, e)));
+    }
+  });
+
+  const meta = { reportType: run.report.name, source: run.source || 'live', orders, rows: rows.length, stores };
+  if (run.resource && run.resource !== 'orders') meta.resource = run.resource;
+  if (errors.length) meta.errors = errors;
+  if (!run.report.aggregate) meta.diagnostics = summarizeDiagnostics(diagnostics);
+  const result = { columns: ['Store'].concat(run.report.columns), rows, diagnostics, meta };
+  // each store is aggregated on its own; its rows stay together behind the Store column
+  if (run.report.pivot) result.pivot = Object.assign({}, run.report.pivot, { rows: ['Store'].concat(run.report.pivot.rows) });
+  if (run.expandOptions) result.expanded = expanded;
+  if (snapshot) result.snapshot = snapshot;
+  return result;
+}
+
+async function runStoreReport(run, { onProgress = () => {}, signal } = {}) {
+  const { report } = run;
+  const resource = run.resource || 'orders';
+  let enrichment;
+  if (resource !== 'orders') enrichment = await enrichCatalog(Object.assign({}, run, { resource }), { onProgress, signal });
+  else if (run.source === 'cache') enrichment = enrichFromCache(run, { onProgress });
+  else enrichment = await enrichLive(run, { onProgress, signal });
+  const { orders, enriched, cached, incomplete } = enrichment;
+
+  onProgress({ phase: 'building', total: orders.length });
+  const rowOptions = { allocation: run.allocation, timeZone: run.store.timezone };
+  const formatDates = dateColumnFormatter(report.columns, run.store);
+  let rows = [];
+  const facts = [];
+  const diagnostics = [];
+  const expanded = [];
+  const errors = [];
+  // what change reports compare between runs (order reports only)
+  const snapshot = resource === 'orders' ? { lineItems: !!report.enrich.lineItems, shipments: !!report.enrich.shipments, orders: [] } : null;
+  enriched.forEach((entry, idx) => {
+    if (!entry) return;
+    if (entry.error) {
+      // the order is left out of the rows rather than exported with missing items or shipments
+      errors.push(enrichmentError(orders[idx], entry.cause || entry.error, resource === 'products' ? 'product' : 'order'));
+      return;
+    }
+    if (snapshot) snapshot.orders.push(orderSnapshot(run.storeKey, entry));
+    // optional stage: ISO countries, state codes, postal formats and E.164 phones
+    const prepared = run.normalize && resource === 'orders' ? normalizeEntry(entry) : entry;
+    if (report.aggregate) {
+      facts.push(...report.facts(prepared, rowOptions));
+      return;
+    }
+    const built = report.buildRows(prepared, rowOptions).map(formatDates);
+    rows.push(...built);
+    diagnostics.push(...validateRows(report, built, diagnoseRows(report, prepared, rowOptions)));
+    if (run.expandOptions) expanded.push(...expandedValues(report, prepared, rowOptions));
+  });
+  // aggregate rows stand for groups of orders, so they carry no per-row diagnostics
+  if (report.aggregate) rows = report.aggregate(facts);
+
+  const meta = { reportType: report.name, source: run.source || 'live', orders: orders.length, rows: rows.length };
+  // for product and customer reports `orders` counts the listed products or customers
+  if (resource !== 'orders') meta.resource = resource;
+  if (cached) meta.cachedOrders = cached;
+  if (incomplete) meta.incompleteCachedOrders = incomplete;
+  if (run.source === 'cache') meta.lastSyncedAt = cache.syncStatus(run.storeKey).lastSyncedAt;
+  if (errors.length) meta.errors = errors;
+  if (!report.aggregate) meta.diagnostics = summarizeDiagnostics(diagnostics);
+  const result = { columns: report.columns, rows, diagnostics, meta };
+  if (report.pivot) result.pivot = report.pivot;
+  if (run.expandOptions) result.expanded = expanded;
+  if (snapshot) result.snapshot = snapshot;
+  return result;
+}
+
+module.exports = {
+  prepareRun,
+  describeRun,
+  rerunBody,
+  runReport,
+};
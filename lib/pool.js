@@ -0,0 +1,22 @@
+// simple promise pool for concurrency-limited enrichment
+async function promisePool(items, worker, concurrency = 5, signal) {
+  const results = [];
+  let i = 0;
+  const runners = new Array(concurrency).fill(null).map(async () => {
+    while (i < items.length) {
+      if (signal && signal.aborted) return;
+      const idx = i++;
+      try {
+        results[idx] = await worker(items[idx], idx);
+      } catch (err) {
+        results[idx] = { error: String(err), cause: err };
+      }
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+module.exports = {
+  promisePool,
+};
@@ -0,0 +1,493 @@
+const { dataPath, readJson, writeJson } = require('./storage');
+const { badRequest } = require('./errors');
+const { rowContexts, resourceFor, mergedAddress, pick } = require('./reports');
+const { countryCode, subdivisionCode } = require('./normalize');
+const { zonedParts } = require('./dates');
+
+// Import profiles: reports laid out for another system's file import (ShipStation, UPS
+// WorldShip, a 3PL's pick list). Each has its own headers and field rules and checks every row
+// the way that import would, so rejected rows show up before the file is downloaded (see
+// validateRows in ./diagnostics). Settings such as weight units live in profiles.json.
+const SETTINGS_FILE = dataPath('profiles.json');
+
+// grams per unit
+const WEIGHT_UNITS = { g: 1, kg: 1000, oz: 28.349523125, lb: 453.59237 };
+const WEIGHT_DECIMALS = { g: 0, kg: 3, oz: 2, lb: 2 };
+const UNIT_ALIASES = {
+  gram: 'g', grams: 'g', kilogram: 'kg', kilograms: 'kg', kgs: 'kg',
+  ounce: 'oz', ounces: 'oz', pound: 'lb', pounds: 'lb', lbs: 'lb',
+};
+
+function weightUnit(value) {
+  const unit = String(value || '').trim().toLowerCase();
+  return WEIGHT_UNITS[unit] ? unit : (UNIT_ALIASES[unit] || null);
+}
+
+function present(v) {
+  return v !== undefined && v !== null && String(v).trim() !== '';
+}
+
+// Weight of one unit of a line item in `unit`, or null when neither the item nor the profile's
+// default weight gives one. Items without a unit of their own are in the profile's sourceWeightUnit.
+function itemWeight(li, settings, unit) {
+  let value = pick(li, 'weight', 'unit_weight', 'item_weight', 'product_weight');
+  let from = weightUnit(pick(li, 'weight_unit', 'weight_units')) || settings.sourceWeightUnit;
+  if (!present(value) || Number.isNaN(Number(value))) {
+    if (!present(settings.defaultWeight)) return null;
+    value = settings.defaultWeight;
+    from = settings.sourceWeightUnit;
+  }
+  return (Number(value) * WEIGHT_UNITS[from]) / WEIGHT_UNITS[unit];
+}
+
+function formatWeight(value, unit) {
+  return value === null ? '' : String(Number(value.toFixed(WEIGHT_DECIMALS[unit])));
+}
+
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'md', 'phd']);
+
+// "Ann Marie Lee" -> ['Ann Marie', 'Lee'], "Lee, Ann" -> ['Ann', 'Lee']; a trailing suffix
+// stays with the last name ("Bo Diaz Jr." -> ['Bo', 'Diaz Jr.'])
+function splitName(name) {
+  const text = String(name || '').trim();
+  if (text.includes(',')) {
+    const [last, ...rest] = text.split(',');
+    return [rest.join(',').trim(), last.trim()];
+  }
+  const parts = text.split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return [parts[0] || '', ''];
+  let last = parts.length - 1;
+  if (last > 1 && NAME_SUFFIXES.has(parts[last].toLowerCase().replace(/[.,]/g, ''))) last -= 1;
+  return [parts.slice(0, last).join(' '), parts.slice(last).join(' ')];
+}
+
+// The ship-to party of a row: the shipping address, or the billing address when the order has
+// no shipping street address. Countries become ISO alpha-2 codes and US/CA states their postal
+// abbreviations where they can; values that can't be converted are kept for validation to report.
+function recipient(c) {
+  const role = present(c.shipping.address1) ? 'shipping' : 'billing';
+  const fields = c[role];
+  const merged = mergedAddress(c.order, role);
+  let firstName = pick(merged, 'first_name', 'first', 'firstName', 'firstname');
+  let lastName = pick(merged, 'last_name', 'last', 'lastName', 'lastname');
+  if (!present(firstName) && !present(lastName)) [firstName, lastName] = splitName(fields.name);
+  const country = countryCode(fields.country) || String(fields.country || '').trim();
+  const state = present(fields.state) ? (subdivisionCode(fields.state, country) || String(fields.state).trim()) : '';
+  return Object.assign({}, fields, { role, firstName: String(firstName), lastName: String(lastName), country, state });
+}
+
+// the day an order was placed on in the store's timezone, as { year, month, day } with
+// two-digit month and day, or null
+function placedDay(value, timeZone) {
+  const d = new Date(value);
+  if (!value || Number.isNaN(d.getTime())) return null;
+  const p = zonedParts(d, timeZone);
+  const two = (n) => String(n).padStart(2, '0');
+  return { year: p.year, month: two(p.month), day: two(p.day) };
+}
+
+function usDate(value, timeZone) {
+  const p = placedDay(value, timeZone);
+  return p ? `${p.month}/${p.day}/${p.year}` : '';
+}
+
+function isoDate(value, timeZone) {
+  const p = placedDay(value, timeZone);
+  return p ? `${p.year}-${p.month}-${p.day}` : '';
+}
+
+function itemOptions(c) {
+  return [c.productOptions, c.personalization].filter(present).join('; ');
+}
+
+// Validation helpers: each returns a problem message or null
+const checks = {
+  required: (record, header) => (present(record[header]) ? null : `${header} is empty`),
+  maxLength: (record, header, max) => (String(record[header] || '').length > max ? `${header} is longer than ${max} characters` : null),
+  country: (record, header) => {
+    const value = record[header];
+    if (!present(value)) return `${header} is empty`;
+    return /^[A-Z]{2}$/.test(value) && countryCode(value) === value ? null : `${header} '${value}' is not an ISO country code`;
+  },
+  // US and Canadian addresses need a two-letter state or province
+  state: (record, header, countryHeader) => {
+    if (!['US', 'CA'].includes(record[countryHeader])) return null;
+    if (!present(record[header])) return `${header} is empty`;
+    return /^[A-Z]{2}$/.test(record[header]) ? null : `${header} '${record[header]}' is not a state or province code`;
+  },
+  quantity: (record, header) => (/^[1-9]\d*$/.test(String(record[header])) ? null : `${header} '${record[header]}' is not a whole number above 0`),
+  number: (record, header) => (!present(record[header]) || !Number.isNaN(Number(record[header])) ? null : `${header} '${record[header]}' is not a number`),
+};
+
+function problems(list) {
+  return list.filter(Boolean);
+}
+
+// ShipStation's order CSV import: one row per line item, the order fields repeated
+const SHIPSTATION_UNITS = { ounces: 'oz', pounds: 'lb', grams: 'g' };
+
+function shipStationStatus(status) {
+  const s = String(status || '').toLowerCase().replace(/[\s-]+/g, '_');
+  if (['shipped', 'completed', 'complete', 'delivered', 'fulfilled'].includes(s)) return 'shipped';
+  if (['cancelled', 'canceled', 'refunded', 'void', 'voided'].includes(s)) return 'cancelled';
+  if (['on_hold', 'hold', 'held'].includes(s)) return 'on_hold';
+  if (['awaiting_payment', 'unpaid', 'payment_pending'].includes(s)) return 'awaiting_payment';
+  return 'awaiting_shipment';
+}
+
+function shipStationFields(settings) {
+  const unit = SHIPSTATION_UNITS[settings.weightUnit];
+  return [
+    { header: 'Order Number', value: (c) => c.orderNumber },
+    { header: 'Order Date', value: (c, r, s, options) => usDate(c.placed, options.timeZone) },
+    { header: 'Order Status', value: (c) => shipStationStatus(c.status) },
+    { header: 'Order Total', value: (c) => pick(c.order, 'total', 'total_price', 'grand_total') },
+    { header: 'Shipping Paid', value: (c) => pick(c.order, 'shipping_total', 'shipping_cost') },
+    { header: 'Tax Paid', value: (c) => pick(c.order, 'tax_total', 'tax', 'total_tax') },
+    { header: 'Requested Service', value: (c) => pick(c.order, 'shipping_method') },
+    { header: 'Customer Email', value: (c) => c.billing.email || pick(c.order, 'customer_email') },
+    { header: 'Recipient First Name', value: (c, r) => r.firstName },
+    { header: 'Recipient Last Name', value: (c, r) => r.lastName },
+    { header: 'Recipient Company', value: (c, r) => r.company },
+    { header: 'Address Line 1', value: (c, r) => r.address1 },
+    { header: 'Address Line 2', value: (c, r) => r.address2 },
+    { header: 'City', value: (c, r) => r.city },
+    { header: 'State', value: (c, r) => r.state },
+    { header: 'Postal Code', value: (c, r) => r.zip },
+    { header: 'Country Code', value: (c, r) => r.country },
+    { header: 'Recipient Phone', value: (c, r) => r.phone },
+    { header: 'Item SKU', value: (c) => c.sku },
+    { header: 'Item Name', value: (c) => c.productName },
+    { header: 'Item Quantity', value: (c) => String(c.quantity) },
+    { header: 'Item Unit Price', value: (c) => c.unitPrice },
+    { header: 'Item Weight', value: (c) => formatWeight(itemWeight(c.lineItem, settings, unit), unit) },
+    { header: 'Item Weight Units', value: () => settings.weightUnit },
+    { header: 'Item Options', value: (c) => itemOptions(c) },
+  ];
+}
+
+function validateShipStation(record) {
+  return problems([
+    checks.required(record, 'Order Number'),
+    checks.required(record, 'Order Date'),
+    present(record['Recipient First Name']) || present(record['Recipient Last Name']) ? null : 'Recipient name is empty',
+    checks.required(record, 'Address Line 1'),
+    checks.required(record, 'City'),
+    checks.country(record, 'Country Code'),
+    checks.state(record, 'State', 'Country Code'),
+    ['US', 'CA'].includes(record['Country Code']) ? checks.required(record, 'Postal Code') : null,
+    present(record['Item SKU']) || present(record['Item Name']) ? null : 'Item SKU and Item Name are both empty',
+    checks.quantity(record, 'Item Quantity'),
+    checks.number(record, 'Item Unit Price'),
+  ]);
+}
+
+// UPS WorldShip's address import: one row (one package) per order. WorldShip refuses values
+// longer than its fields, so they are reported rather than cut off.
+const WORLDSHIP_LIMITS = {
+  'Reference 1': 35, 'Company or Name': 35, Attention: 35, 'Address 1': 35, 'Address 2': 35, 'Address 3': 35,
+  City: 30, 'State/Province/County': 5, 'Postal Code': 10, Telephone: 15, 'E-mail Address': 50,
+};
+// heaviest package UPS takes
+const WORLDSHIP_MAX_WEIGHT = { lb: 150, kg: 70 };
+
+function orderWeight(c, settings) {
+  const unit = settings.weightUnit;
+  let total = 0;
+  for (const li of c.lineItems) {
+    const weight = itemWeight(li, settings, unit);
+    if (weight === null) return '';
+    total += weight * (Number(li.quantity) || 0);
+  }
+  // WorldShip takes tenths and no package under 0.1
+  return c.lineItems.length ? String(Math.max(0.1, Math.ceil(total * 10) / 10)) : '';
+}
+
+function worldShipFields(settings) {
+  return [
+    { header: 'Reference 1', value: (c) => c.orderNumber },
+    { header: 'Company or Name', value: (c, r) => r.company || r.name },
+    { header: 'Attention', value: (c, r) => r.name },
+    { header: 'Address 1', value: (c, r) => r.address1 },
+    { header: 'Address 2', value: (c, r) => r.address2 },
+    { header: 'Address 3', value: () => '' },
+    { header: 'City', value: (c, r) => r.city },
+    { header: 'State/Province/County', value: (c, r) => r.state },
+    { header: 'Postal Code', value: (c, r) => r.zip },
+    { header: 'Country/Territory', value: (c, r) => r.country },
+    { header: 'Telephone', value: (c, r) => String(r.phone || '').replace(/\D/g, '') },
+    { header: 'E-mail Address', value: (c, r) => r.email },
+    { header: 'Residential Indicator', value: (c, r) => (present(r.company) ? 'N' : 'Y') },
+    { header: 'Service', value: () => settings.service },
+    { header: 'Package Type', value: () => settings.packageType },
+    { header: 'Weight', value: (c) => orderWeight(c, settings) },
+    { header: 'Description of Goods', value: (c) => c.lineItems.map((li) => li.name || li.product_name || '').filter(Boolean).join(', ').slice(0, 35) },
+  ];
+}
+
+function validateWorldShip(record, settings) {
+  const weight = Number(record.Weight);
+  const max = WORLDSHIP_MAX_WEIGHT[settings.weightUnit];
+  return problems([
+    checks.required(record, 'Company or Name'),
+    checks.required(record, 'Address 1'),
+    checks.required(record, 'City'),
+    checks.country(record, 'Country/Territory'),
+    checks.state(record, 'State/Province/County', 'Country/Territory'),
+    ['US', 'CA'].includes(record['Country/Territory']) ? checks.required(record, 'Postal Code') : null,
+    ...Object.entries(WORLDSHIP_LIMITS).map(([header, limit]) => checks.maxLength(record, header, limit)),
+    present(record.Weight) ? null : 'Weight is unknown: the order has items without a weight and the profile has no default weight',
+    present(record.Weight) && weight > max ? `Weight ${record.Weight} ${settings.weightUnit} is over the ${max} ${settings.weightUnit} package limit` : null,
+  ]);
+}
+
+// Generic 3PL pick list: the columns, their headers and which must be filled are settings
+const PICK_FIELDS = {
+  orderNumber: (c) => c.orderNumber,
+  orderDate: (c, r, s, options) => isoDate(c.placed, options.timeZone),
+  status: (c) => c.status,
+  shipMethod: (c) => pick(c.order, 'shipping_method'),
+  notes: (c) => pick(c.order, 'notes', 'customer_notes', 'comments'),
+  lineItemId: (c) => String(c.lineItem.id || ''),
+  sku: (c) => c.sku,
+  productName: (c) => c.productName,
+  options: (c) => c.productOptions,
+  personalization: (c) => c.personalization,
+  quantity: (c) => String(c.quantity),
+  unitWeight: (c, r, s) => formatWeight(itemWeight(c.lineItem, s, s.weightUnit), s.weightUnit),
+  lineWeight: (c, r, s) => {
+    const weight = itemWeight(c.lineItem, s, s.weightUnit);
+    return formatWeight(weight === null ? null : weight * (Number(c.quantity) || 0), s.weightUnit);
+  },
+  weightUnit: (c, r, s) => s.weightUnit,
+  name: (c, r) => r.name,
+  firstName: (c, r) => r.firstName,
+  lastName: (c, r) => r.lastName,
+  company: (c, r) => r.company,
+  address1: (c, r) => r.address1,
+  address2: (c, r) => r.address2,
+  city: (c, r) => r.city,
+  state: (c, r) => r.state,
+  postalCode: (c, r) => r.zip,
+  country: (c, r, s) => {
+    if (s.countryFormat !== 'name' || !/^[A-Z]{2}$/.test(r.country)) return r.country;
+    return new Intl.DisplayNames(['en'], { type: 'region', fallback: 'code' }).of(r.country);
+  },
+  phone: (c, r) => r.phone,
+  email: (c, r) => r.email,
+};
+
+const DEFAULT_PICK_COLUMNS = [
+  ['orderNumber', 'Order'], ['orderDate', 'Order Date'], ['shipMethod', 'Ship Via'], ['sku', 'SKU'],
+  ['productName', 'Description'], ['options', 'Options'], ['personalization', 'Personalization'], ['quantity', 'Qty'],
+  ['unitWeight', 'Unit Weight'], ['name', 'Ship To Name'], ['company', 'Ship To Company'], ['address1', 'Address 1'],
+  ['address2', 'Address 2'], ['city', 'City'], ['state', 'State'], ['postalCode', 'Zip'], ['country', 'Country'], ['phone', 'Phone'],
+].map(([field, header]) => ({ field, header }));
+
+function pickListFields(settings) {
+  return settings.columns.map(({ field, header }) => ({ field, header, value: PICK_FIELDS[field] }));
+}
+
+function validatePickList(record, settings, fields) {
+  const header = (field) => (fields.find((f) => f.field === field) || {}).header;
+  return problems([
+    ...settings.required.map((field) => header(field) && checks.required(record, header(field))),
+    header('quantity') ? checks.quantity(record, header('quantity')) : null,
+    header('country') && present(record[header('country')]) && !countryCode(record[header('country')])
+      ? `${header('country')} '${record[header('country')]}' is not a country` : null,
+    header('country') && header('state') && settings.countryFormat === 'code' ? checks.state(record, header('state'), header('country')) : null,
+  ]);
+}
+
+// Setting validators: each returns the value to store or throws a 400
+function oneOf(name, allowed) {
+  return (value) => {
+    if (!allowed.includes(value)) throw badRequest(`${name} must be one of: ${allowed.join(', ')}`);
+    return value;
+  };
+}
+
+function text(name) {
+  return (value) => {
+    if (!present(value)) throw badRequest(`${name} is required`);
+    return String(value).trim();
+  };
+}
+
+const sourceWeightUnit = (value) => {
+  const unit = weightUnit(value);
+  if (!unit) throw badRequest(`sourceWeightUnit must be one of: ${Object.keys(WEIGHT_UNITS).join(', ')}`);
+  return unit;
+};
+
+const defaultWeight = (value) => {
+  if (!present(value)) return '';
+  if (Number.isNaN(Number(value)) || Number(value) <= 0) throw badRequest('defaultWeight must be a number above 0, or empty');
+  return String(Number(value));
+};
+
+function pickColumns(value) {
+  if (!Array.isArray(value) || !value.length) throw badRequest('columns must be a non-empty array of { field, header }');
+  const seen = new Set();
+  return value.map((col) => {
+    const field = col && String(col.field || '');
+    if (!PICK_FIELDS[field]) throw badRequest(`unknown field '${field}'. Available fields: ${Object.keys(PICK_FIELDS).join(', ')}`);
+    const header = present(col.header) ? String(col.header).trim() : field;
+    if (seen.has(header)) throw badRequest(`header '${header}' is used twice`);
+    seen.add(header);
+    return { field, header };
+  });
+}
+
+function pickRequired(value) {
+  if (!Array.isArray(value)) throw badRequest('required must be an array of field names');
+  const unknown = value.filter((f) => !PICK_FIELDS[f]);
+  if (unknown.length) throw badRequest(`unknown field '${unknown.join("', '")}'. Available fields: ${Object.keys(PICK_FIELDS).join(', ')}`);
+  return Array.from(new Set(value));
+}
+
+// `settings` maps each setting to its default and validator
+const PROFILES = [
+  {
+    id: 'shipstation',
+    name: 'ShipStation Orders',
+    description: 'One row per line item in the ShipStation order CSV import layout',
+    grain: 'lineItem',
+    enrich: { order: true, lineItems: true, shipments: false },
+    settings: {
+      weightUnit: ['ounces', oneOf('weightUnit', Object.keys(SHIPSTATION_UNITS))],
+      sourceWeightUnit: ['lb', sourceWeightUnit],
+      defaultWeight: ['', defaultWeight],
+    },
+    fields: shipStationFields,
+    validate: validateShipStation,
+  },
+  {
+    id: 'worldship',
+    name: 'UPS WorldShip Addresses',
+    description: 'One row per order (one package) in the UPS WorldShip address import layout',
+    grain: 'order',
+    enrich: { order: true, lineItems: true, shipments: false },
+    settings: {
+      weightUnit: ['lb', oneOf('weightUnit', Object.keys(WORLDSHIP_MAX_WEIGHT))],
+      sourceWeightUnit: ['lb', sourceWeightUnit],
+      defaultWeight: ['', defaultWeight],
+      service: ['Ground', text('service')],
+      packageType: ['Package', text('packageType')],
+    },
+    fields: worldShipFields,
+    validate: validateWorldShip,
+  },
+  {
+    id: '3pl',
+    name: '3PL Pick List',
+    description: 'One row per line item with configurable columns for a fulfillment partner',
+    grain: 'lineItem',
+    enrich: { order: true, lineItems: true, shipments: false },
+    settings: {
+      columns: [DEFAULT_PICK_COLUMNS, pickColumns],
+      required: [['orderNumber', 'sku', 'quantity', 'name', 'address1', 'city', 'country'], pickRequired],
+      weightUnit: ['lb', oneOf('weightUnit', Object.keys(WEIGHT_UNITS))],
+      countryFormat: ['code', oneOf('countryFormat', ['code', 'name'])],
+      sourceWeightUnit: ['lb', sourceWeightUnit],
+      defaultWeight: ['', defaultWeight],
+    },
+    fields: pickListFields,
+    validate: validatePickList,
+  },
+];
+
+function loadSettings() {
+  return readJson(SETTINGS_FILE, {});
+}
+
+function defaults(profile) {
+  return Object.fromEntries(Object.entries(profile.settings).map(([name, [value]]) => [name, value]));
+}
+
+function profileSettings(profile) {
+  return Object.assign(defaults(profile), loadSettings()[profile.id] || {});
+}
+
+function publicProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    description: profile.description,
+    settings: profileSettings(profile),
+    defaults: defaults(profile),
+    fields: profile.id === '3pl' ? Object.keys(PICK_FIELDS) : undefined,
+  };
+}
+
+function listProfiles() {
+  return PROFILES.map(publicProfile);
+}
+
+// Change some settings of a profile; null puts a setting back to its default
+function updateProfileSettings(id, input = {}) {
+  const profile = PROFILES.find((p) => p.id === id);
+  if (!profile) return null;
+  const all = loadSettings();
+  const saved = Object.assign({}, all[id] || {});
+  Object.entries(input).forEach(([name, value]) => {
+    if (!profile.settings[name]) throw badRequest(`unknown setting '${name}'. Settings: ${Object.keys(profile.settings).join(', ')}`);
+    if (value === null) delete saved[name];
+    else saved[name] = profile.settings[name][1](value);
+  });
+  all[id] = saved;
+  writeJson(SETTINGS_FILE, all);
+  return publicProfile(profile);
+}
+
+// The report for a profile name, with its current settings, or null
+function getProfileReport(name) {
+  const profile = PROFILES.find((p) => p.name === name);
+  if (!profile) return null;
+  const settings = profileSettings(profile);
+  const fields = profile.fields(settings);
+  const columns = fields.map((f) => f.header);
+  return {
+    name: profile.name,
+    description: profile.description,
+    profile: profile.id,
+    columns,
+    enrich: profile.enrich,
+    grain: profile.grain,
+    buildRows: (entry, options = {}) => rowContexts(profile.grain, entry, options).map((c) => {
+      const r = recipient(c);
+      return fields.map((f) => {
+        // options.timeZone is the store's: dates are the days it was there
+        const value = f.value(c, r, settings, options);
+        return value === undefined || value === null ? '' : String(value);
+      });
+    }),
+    // the problems the import would reject a row for ([] when it would take it)
+    validate: (row) => profile.validate(Object.fromEntries(columns.map((col, i) => [col, row[i]])), settings, fields),
+  };
+}
+
+// entries for the report list (see listReports in ./reports)
+function listProfileReports() {
+  return PROFILES.map((p) => {
+    const report = getProfileReport(p.name);
+    return {
+      name: report.name,
+      description: report.description,
+      resource: resourceFor(report.grain),
+      aggregate: false,
+      profile: p.id,
+      columns: report.columns,
+      optionalColumns: [],
+      default: false,
+    };
+  });
+}
+
+module.exports = {
+  splitName,
+  listProfiles,
+  updateProfileSettings,
+  getProfileReport,
+  listProfileReports,
+};
@@ -0,0 +1,876 @@
+const { composeAddressBlob, trackingEntriesForLineItem } = require('./brightSites');
+const { describeTracking, detectCarrier } = require('./carriers');
+const { amount, money, periodKey, groupFacts, compareKeys } = require('./aggregates');
+
+// appended structured columns (kept after the required headers)
+const STRUCTURED_COLUMNS = [
+  'Billing Name','Billing Company','Billing Address1','Billing Address2','Billing City','Billing State','Billing Zip','Billing Country','Billing Email','Billing Phone',
+  'Shipping Name','Shipping Company','Shipping Address1','Shipping Address2','Shipping City','Shipping State','Shipping Zip','Shipping Country','Shipping Email','Shipping Phone'
+];
+
+const TRACKING_COLUMNS = ['Carrier', 'Tracking URL'];
+
+// helper to pick from merged sources with aliases
+function pick(obj, ...keys) {
+  for (const k of keys) {
+    if (!obj) continue;
+    const v = obj[k];
+    if (v !== undefined && v !== null && String(v).trim() !== '') return v;
+  }
+  return '';
+}
+
+function orderIdentifier(order = {}) {
+  return order.id || order.order_id || order.orderNumber || order.number;
+}
+
+function orderNumber(order = {}) {
+  return String(order.order_id || order.id || '');
+}
+
+function formatProductOptions(opts) {
+  if (!opts) return '';
+  if (typeof opts === 'string') return opts;
+  if (Array.isArray(opts)) {
+    return opts.map(o => {
+      if (o == null) return '';
+      if (typeof o === 'string') return o;
+      // common shape: { option_name, sub_option_name }
+      if (o.option_name || o.sub_option_name) {
+        const name = o.option_name || o.name || '';
+        const sub = o.sub_option_name || o.value || o.sub || '';
+        return [name, sub].filter(Boolean).join(': ');
+      }
+      // fallback: stringify shallow
+      try { return JSON.stringify(o); } catch (e) { return String(o); }
+    }).filter(Boolean).join('; ');
+  }
+  if (typeof opts === 'object') {
+    // map key: value
+    try {
+      const parts = Object.entries(opts).map(([k, v]) => `${k}: ${v}`);
+      return parts.join('; ');
+    } catch (e) {
+      return String(opts);
+    }
+  }
+  return String(opts);
+}
+
+function formatProductPersonalization(pp) {
+  if (!pp) return '';
+  if (typeof pp === 'string') return pp;
+  const arr = Array.isArray(pp) ? pp : (pp.personalizations || pp.product_personalizations || []);
+  if (!Array.isArray(arr) || arr.length === 0) return '';
+  return arr.map(item => {
+    if (!item) return '';
+    const title = item.title || item.name || '';
+    let attrs = '';
+    if (Array.isArray(item.attributes)) {
+      attrs = item.attributes.map(a => {
+        if (typeof a === 'string') return a;
+        const k = a.key || a.name || '';
+        const v = a.value || a.val || '';
+        return [k, v].filter(Boolean).join(': ');
+      }).filter(Boolean).join(', ');
+    }
+    let price = '';
+    if (item.price_modifier) {
+      const pt = item.price_modifier.modifier_type || item.price_modifier.type || '';
+      const amt = item.price_modifier.amount || item.price_modifier.value || '';
+      price = (pt || amt) ? `${pt || ''}${amt || ''}` : '';
+    }
+    const parts = [];
+    if (title) parts.push(title);
+    if (attrs) parts.push(`Attributes: ${attrs}`);
+    if (price) parts.push(`Price: ${price}`);
+    return parts.join(' | ');
+  }).filter(Boolean).join(' ; ');
+}
+
+function lineItemPersonalization(li) {
+  return formatProductPersonalization(li.product_personalizations || li.personalizations || li.personalization || li.product_personalization);
+}
+
+function lineItemOptions(li) {
+  return formatProductOptions(li.options_text || li.product_options || li.options);
+}
+
+// "Size: L" -> ['Size', 'L']
+function splitPair(s) {
+  const idx = s.indexOf(':');
+  return idx > 0 ? [s.slice(0, idx), s.slice(idx + 1)] : null;
+}
+
+// name -> value maps for the expanded option columns. Repeated names are joined with "; ".
+function namedValues(pairs) {
+  const values = {};
+  pairs.forEach((pair) => {
+    if (!pair) return;
+    const name = String(pair[0] == null ? '' : pair[0]).trim();
+    const value = String(pair[1] == null ? '' : pair[1]).trim();
+    if (!name) return;
+    values[name] = values[name] ? `${values[name]}; ${value}` : value;
+  });
+  return values;
+}
+
+// Same shapes as formatProductOptions, kept apart per option name
+function lineItemOptionValues(li) {
+  const opts = li.product_options || li.options || li.options_text;
+  if (!opts) return {};
+  if (typeof opts === 'string') return namedValues(opts.split(/;\s*/).map(splitPair));
+  if (Array.isArray(opts)) {
+    return namedValues(opts.map((o) => {
+      if (o == null) return null;
+      if (typeof o === 'string') return splitPair(o);
+      if (typeof o !== 'object') return null;
+      return [o.option_name || o.name, o.sub_option_name || o.value || o.sub];
+    }));
+  }
+  if (typeof opts === 'object') return namedValues(Object.entries(opts));
+  return {};
+}
+
+// Personalization attributes by key, across all of the line item's personalizations
+function lineItemPersonalizationValues(li) {
+  const pp = li.product_personalizations || li.personalizations || li.personalization || li.product_personalization;
+  if (!pp || typeof pp === 'string') return {};
+  const arr = Array.isArray(pp) ? pp : (pp.personalizations || pp.product_personalizations || []);
+  if (!Array.isArray(arr)) return {};
+  return namedValues(arr.flatMap((item) => {
+    if (!item || !Array.isArray(item.attributes)) return [];
+    return item.attributes.map((a) => {
+      if (typeof a === 'string') return splitPair(a);
+      return a ? [a.key || a.name, a.value || a.val] : null;
+    });
+  }));
+}
+
+function shipmentLineItemIds(s) {
+  const ids = (s.line_item_ids || []).map(String);
+  const sLineItems = (s.line_items || []).map((x) => String(x.id || x));
+  return ids.concat(sLineItems);
+}
+
+function shipmentTracking(s) {
+  return s.tracking_number || s.tracking || '';
+}
+
+// Carrier and link per tracking number ([{ number, shipment }]). Shipments without tracking
+// still name their carrier when their carrier fields or shipping method say which it is.
+function trackingFields(entries, shipments, order) {
+  const trackingDetails = entries.map(({ number, shipment }) => describeTracking(number, shipment, order));
+  const carriers = trackingDetails.length
+    ? trackingDetails.map((t) => t.carrier)
+    : shipments.map((s) => detectCarrier('', s, order));
+  return {
+    trackingDetails,
+    carrier: Array.from(new Set(carriers.filter(Boolean))).join('; '),
+    trackingUrl: trackingDetails.map((t) => t.url).filter(Boolean).join('; '),
+  };
+}
+
+function shipmentTrackingEntries(shipments) {
+  const seen = new Map();
+  shipments.forEach((s) => {
+    const number = shipmentTracking(s);
+    if (number && !seen.has(number)) seen.set(number, { number, shipment: s });
+  });
+  return Array.from(seen.values());
+}
+
+// Merge the documented show-order fields (billing_contact, billing_address, ...) with
+// any alternative keys so we capture fields present under either
+function mergedAddress(order, role) {
+  return Object.assign({}, order[role] || {}, order[`${role}_address`] || {}, order[`${role}_contact`] || {});
+}
+
+const ADDRESS_FIELDS = ['name', 'company', 'address1', 'address2', 'city', 'state', 'zip', 'country', 'email', 'phone'];
+
+function present(v) {
+  return v !== undefined && v !== null && String(v).trim() !== '';
+}
+
+// Extract the ten structured fields for one role from the merged sources or order fallbacks.
+// `sources` records which order property each value came from (billing_contact,
+// billing_address, billing or order), or null when the field is empty.
+function describeAddress(order, role) {
+  const merged = mergedAddress(order, role);
+  // same precedence as mergedAddress: later objects win
+  const owners = {};
+  [role, `${role}_address`, `${role}_contact`].forEach((name) => {
+    Object.keys(order[name] || {}).forEach((k) => { owners[k] = name; });
+  });
+  const fields = {};
+  const sources = {};
+  const take = (field, keys, orderKeys = []) => {
+    const key = keys.find((k) => present(merged[k]));
+    const orderKey = key ? null : orderKeys.find((k) => present(order[k]));
+    fields[field] = key ? merged[key] : (orderKey ? order[orderKey] : '');
+    sources[field] = key ? owners[key] : (orderKey ? 'order' : null);
+  };
+
+  const firstKey = ['first_name', 'first', 'firstName', 'firstname'].find((k) => present(merged[k]));
+  const lastKey = ['last_name', 'last', 'lastName', 'lastname'].find((k) => present(merged[k]));
+  if (firstKey || lastKey) {
+    fields.name = `${firstKey ? merged[firstKey] : ''} ${lastKey ? merged[lastKey] : ''}`.trim();
+    sources.name = owners[firstKey || lastKey];
+  } else {
+    take('name', [], ['customer_name', 'customer', 'username']);
+  }
+  take('company', ['company', 'business', 'org']);
+  take('address1', ['first_address', 'address1', 'firstAddress', 'address', 'street1']);
+  take('address2', ['second_address', 'address2', 'secondAddress', 'address_line_2', 'street2']);
+  take('city', ['city', 'town']);
+  take('state', ['state', 'province', 'region']);
+  take('zip', ['zip', 'postcode', 'postal_code']);
+  take('country', ['country', 'country_name']);
+  take('email', ['email', 'contact_email'], ['customer_email', 'customer']);
+  take('phone', ['phone', 'telephone', 'contact_phone'], ['customer_phone']);
+  return { fields, sources };
+}
+
+function addressFields(order, role) {
+  return describeAddress(order, role).fields;
+}
+
+function addressBlobs(order, shipment, shipments) {
+  // pass representative shipment as extras so composeAddressBlob can use shipment address fallbacks
+  return [
+    composeAddressBlob(mergedAddress(order, 'billing'), order, { order, role: 'billing' }),
+    composeAddressBlob(mergedAddress(order, 'shipping'), order, { shipment, shipments, role: 'shipping' }),
+  ];
+}
+
+// Row contexts: every value a row builder (or a template column, see ./templates) can use for
+// one output row. The raw API objects are included alongside the derived values.
+function orderContext({ order, line_items = [], shipments = [] }) {
+  const [billingInfo, shippingInfo] = addressBlobs(order, null, shipments);
+  const tracking = shipmentTrackingEntries(shipments);
+  return Object.assign({
+    order,
+    lineItems: line_items,
+    shipments,
+    orderNumber: orderNumber(order),
+    placed: order.placed_at || order.created_at || '',
+    status: order.status || '',
+    itemCount: line_items.length,
+    totalQuantity: line_items.reduce((sum, li) => sum + (Number(li.quantity) || 0), 0),
+    tracking: tracking.map((t) => t.number).join('; '),
+  }, trackingFields(tracking, shipments, order), {
+    billingInfo,
+    shippingInfo,
+    billing: addressFields(order, 'billing'),
+    shipping: addressFields(order, 'shipping'),
+  });
+}
+
+function lineItemContext(entry, li) {
+  const { order, shipments = [] } = entry;
+  // cost, method and date come from the first shipment that lists this line item; an item no
+  // shipment lists gets none (see unmatchedLineItem in ./diagnostics)
+  const listing = shipments.filter((s) => shipmentLineItemIds(s).includes(String(li.id)));
+  const representative = listing[0] || null;
+
+  const quantity = Number(li.quantity) || 0;
+  const unitPrice = pick(li, 'price', 'unit_price', 'item_price');
+  let lineTotal = pick(li, 'total_price', 'total', 'line_total', 'subtotal');
+  if (lineTotal === '' && unitPrice !== '' && !Number.isNaN(Number(unitPrice))) {
+    lineTotal = (Number(unitPrice) * quantity).toFixed(2);
+  }
+  const [billingInfo, shippingInfo] = addressBlobs(order, representative, shipments);
+  const tracking = trackingEntriesForLineItem({ order, shipments }, li.id);
+  return Object.assign(orderContext(entry), trackingFields(tracking, listing, order), {
+    lineItem: li,
+    shipment: representative,
+    tracking: tracking.map((t) => t.number).join('; '),
+    landedCost: (representative && (representative.landed_cost || representative.shipping_cost)) || order.shipping_total || '',
+    shipMethod: (representative && (representative.shipping_method || order.shipping_method)) || '',
+    shipDate: (representative && (representative.ship_date || representative.shipped_at)) || '',
+    personalization: lineItemPersonalization(li),
+    productOptions: lineItemOptions(li),
+    optionValues: lineItemOptionValues(li),
+    personalizationValues: lineItemPersonalizationValues(li),
+    productName: li.name || li.product_name || '',
+    sku: pick(li, 'sku', 'product_sku', 'item_number'),
+    quantity: li.quantity || '',
+    orderedQuantity: li.quantity || '',
+    allocation: 'line',
+    unitPrice,
+    lineTotal,
+    billingInfo,
+    shippingInfo,
+  });
+}
+
+// line item id -> quantity in the shipment (null when the shipment only lists the id)
+function shipmentItemQuantities(s) {
+  const quantities = new Map();
+  (s.line_item_ids || []).forEach((id) => quantities.set(String(id), null));
+  (Array.isArray(s.line_items) ? s.line_items : []).forEach((x) => {
+    if (x && typeof x === 'object') {
+      const qty = Number(x.quantity);
+      quantities.set(String(x.line_item_id || x.id), x.quantity !== undefined && !Number.isNaN(qty) ? qty : null);
+    } else {
+      quantities.set(String(x), null);
+    }
+  });
+  return quantities;
+}
+
+// Split a line item's quantity over the shipments that list it: [{ shipment, quantity }], with
+// the unshipped remainder as { shipment: null }. Shipments that list the item without a
+// quantity share whatever the others leave, evenly.
+function allocateLineItem(li, shipments) {
+  const id = String(li.id);
+  const ordered = Number(li.quantity) || 0;
+  const matches = shipments
+    .map((s) => ({ shipment: s, quantities: shipmentItemQuantities(s) }))
+    .filter(({ quantities }) => quantities.has(id))
+    .map(({ shipment, quantities }) => ({ shipment, quantity: quantities.get(id) }));
+  const known = matches.reduce((n, m) => n + (m.quantity || 0), 0);
+  const unknown = matches.filter((m) => m.quantity === null);
+  const rest = Math.max(ordered - known, 0);
+  unknown.forEach((m, i) => {
+    m.quantity = Math.floor(rest / unknown.length) + (i < rest % unknown.length ? 1 : 0);
+  });
+  const shipped = matches.reduce((n, m) => n + m.quantity, 0);
+  const parts = matches.filter((m) => m.quantity > 0);
+  if (ordered > shipped || !parts.length) parts.push({ shipment: null, quantity: Math.max(ordered - shipped, 0) });
+  return parts;
+}
+
+function prorate(total, part, whole) {
+  const n = Number(total);
+  if (total === '' || total === undefined || total === null || Number.isNaN(n) || !whole) return '';
+  return ((n * part) / whole).toFixed(2);
+}
+
+// Allocation mode: one context per (line item, shipment) pair plus an "unshipped" remainder.
+// Each row only carries its own shipment's tracking, method and date, and the shipment's
+// landed cost is prorated over the units in it (the order's shipping total over all shipped
+// units when shipments carry no cost).
+function splitLineItemContexts(entry) {
+  const { order, line_items = [], shipments = [] } = entry;
+  const allocations = line_items.map((li) => ({ li, parts: allocateLineItem(li, shipments) }));
+  const units = new Map();
+  let shippedUnits = 0;
+  allocations.forEach(({ parts }) => parts.forEach(({ shipment, quantity }) => {
+    if (!shipment) return;
+    units.set(shipment, (units.get(shipment) || 0) + quantity);
+    shippedUnits += quantity;
+  }));
+
+  return allocations.flatMap(({ li, parts }) => parts.map(({ shipment, quantity }) => {
+    const c = lineItemContext(entry, li);
+    const cost = shipment && pick(shipment, 'landed_cost', 'shipping_cost');
+    const unitPrice = Number(c.unitPrice);
+    const own = shipment ? [shipment] : [];
+    return Object.assign(c, trackingFields(shipmentTrackingEntries(own), own, order), {
+      shipment,
+      allocation: shipment ? 'shipped' : 'unshipped',
+      quantity: String(quantity),
+      tracking: shipment ? shipmentTracking(shipment) : '',
+      landedCost: shipment
+        ? (cost !== '' ? prorate(cost, quantity, units.get(shipment)) : prorate(pick(order, 'shipping_total'), quantity, shippedUnits))
+        : '',
+      shipMethod: shipment ? (pick(shipment, 'shipping_method') || pick(order, 'shipping_method')) : '',
+      shipDate: shipment ? pick(shipment, 'ship_date', 'shipped_at') : '',
+      lineTotal: c.unitPrice !== '' && !Number.isNaN(unitPrice) ? (unitPrice * quantity).toFixed(2) : '',
+      shippingInfo: addressBlobs(order, shipment, shipments)[1],
+    });
+  }));
+}
+
+function shipmentContext(entry, s) {
+  const { order, line_items = [], shipments = [] } = entry;
+  const itemsById = new Map(line_items.map((li) => [String(li.id), li]));
+  // shipments may embed line items with quantities or only reference them by id
+  const contents = (Array.isArray(s.line_items) && s.line_items.length)
+    ? s.line_items.map((x) => (typeof x === 'object' && x ? x : { id: x }))
+    : (s.line_item_ids || []).map((id) => ({ id }));
+  const items = contents.map((x) => {
+    const li = itemsById.get(String(x.line_item_id || x.id)) || {};
+    const name = x.name || x.product_name || li.name || li.product_name || String(x.line_item_id || x.id || '');
+    const qty = x.quantity || li.quantity || '';
+    return qty ? `${name} x ${qty}` : name;
+  });
+  return Object.assign(orderContext(entry), trackingFields(shipmentTrackingEntries([s]), [s], order), {
+    shipment: s,
+    shipmentId: String(s.id || s.shipment_id || ''),
+    tracking: shipmentTracking(s),
+    shipMethod: pick(s, 'shipping_method') || pick(order, 'shipping_method'),
+    shippingCost: pick(s, 'landed_cost', 'shipping_cost', 'cost'),
+    shipDate: pick(s, 'ship_date', 'shipped_at', 'created_at'),
+    contents: items.filter(Boolean).join('; '),
+    shippingInfo: addressBlobs(order, s, shipments)[1],
+  });
+}
+
+// Catalog and customer contexts. Their entries are { product, variants } and { customer }
+// rather than enriched orders (see GRAIN_RESOURCES).
+function stockLevel(obj) {
+  const level = pick(obj, 'inventory', 'inventory_level', 'inventory_quantity', 'stock', 'quantity_on_hand');
+  // some stores nest the level: { inventory: { quantity, ... } }
+  return level && typeof level === 'object' ? pick(level, 'quantity', 'available', 'on_hand') : level;
+}
+
+function productContext({ product, variants = [] }) {
+  const levels = variants.map(stockLevel).filter((v) => v !== '' && !Number.isNaN(Number(v)));
+  let status = pick(product, 'status', 'state');
+  if (!status && typeof product.active === 'boolean') status = product.active ? 'active' : 'inactive';
+  return {
+    product,
+    variants,
+    productId: String(pick(product, 'id', 'product_id')),
+    sku: pick(product, 'sku', 'product_sku', 'item_number'),
+    productName: pick(product, 'name', 'title'),
+    status,
+    price: pick(product, 'price', 'base_price', 'unit_price'),
+    productOptions: formatProductOptions(product.options || product.product_options),
+    variantCount: variants.length,
+    // the variants' levels add up to the product's when it has any
+    inventory: String(levels.length ? levels.reduce((n, v) => n + Number(v), 0) : stockLevel(product)),
+    createdAt: pick(product, 'created_at'),
+    updatedAt: pick(product, 'updated_at'),
+  };
+}
+
+// `variant` is null for a product without variants, so its own inventory still gets a row
+function variantContext(entry, variant) {
+  const c = productContext(entry);
+  const v = variant || {};
+  return Object.assign(c, {
+    variant,
+    variantId: String(pick(v, 'id', 'variant_id')),
+    sku: pick(v, 'sku', 'variant_sku', 'item_number') || c.sku,
+    variantOptions: formatProductOptions(v.options || v.option_values || v.product_options),
+    price: pick(v, 'price', 'unit_price') || c.price,
+    inventory: variant ? String(stockLevel(v)) : c.inventory,
+    updatedAt: pick(v, 'updated_at') || c.updatedAt,
+  });
+}
+
+function customerContext({ customer }) {
+  // same field aliases as order addresses; the nested address wins over top-level fields
+  const contact = describeAddress({ billing: customer, billing_address: customer.address || customer.billing_address || {} }, 'billing').fields;
+  const group = customer.group || customer.user_group || customer.customer_group || customer.role || '';
+  return {
+    customer,
+    customerId: String(pick(customer, 'id', 'user_id', 'customer_id')),
+    name: contact.name || pick(customer, 'name', 'username'),
+    email: contact.email || pick(customer, 'login'),
+    company: contact.company,
+    phone: contact.phone,
+    address: contact,
+    group: typeof group === 'object' ? pick(group, 'name', 'title') : group,
+    createdAt: pick(customer, 'created_at'),
+    updatedAt: pick(customer, 'updated_at'),
+  };
+}
+
+// which API listing a grain's entries come from (see ./pipeline)
+const GRAIN_RESOURCES = {
+  lineItem: 'orders',
+  order: 'orders',
+  shipment: 'orders',
+  product: 'products',
+  variant: 'products',
+  customer: 'customers',
+};
+
+function resourceFor(grain) {
+  return GRAIN_RESOURCES[grain] || 'orders';
+}
+
+// one context per output row for the given grain
+// `options.allocation` 'split' turns line item rows into (line item, shipment) rows
+function rowContexts(grain, entry, options = {}) {
+  if (grain === 'lineItem' && options.allocation === 'split') return splitLineItemContexts(entry);
+  if (grain === 'lineItem') return (entry.line_items || []).map((li) => lineItemContext(entry, li));
+  if (grain === 'shipment') return (entry.shipments || []).map((s) => shipmentContext(entry, s));
+  if (grain === 'product') return [productContext(entry)];
+  if (grain === 'variant') return ((entry.variants || []).length ? entry.variants : [null]).map((v) => variantContext(entry, v));
+  if (grain === 'customer') return [customerContext(entry)];
+  return [orderContext(entry)];
+}
+
+function addressColumns(c) {
+  return [
+    ...ADDRESS_FIELDS.map((k) => c.billing[k]),
+    ...ADDRESS_FIELDS.map((k) => c.shipping[k]),
+  ];
+}
+
+// split allocation adds a trailing Allocation column (see allocationReport)
+function allocationCell(options) {
+  return options.allocation === 'split' ? (c) => [c.allocation] : () => [];
+}
+
+function neededExcelRows(entry, options = {}) {
+  const extra = allocationCell(options);
+  return rowContexts('lineItem', entry, options).map((c) => [
+    c.orderNumber,
+    c.placed,
+    c.status,
+    String(c.lineItem.id || ''),
+    c.tracking,
+    c.landedCost,
+    c.shipMethod,
+    c.shipDate,
+    c.personalization,
+    String(c.quantity),
+    c.productName,
+    c.productOptions,
+    c.billingInfo,
+    c.shippingInfo,
+    ...addressColumns(c),
+    c.carrier,
+    c.trackingUrl,
+    ...extra(c),
+  ]);
+}
+
+function orderTotals(order) {
+  return {
+    subtotal: pick(order, 'subtotal', 'items_total', 'subtotal_price'),
+    shipping: pick(order, 'shipping_total', 'shipping_cost'),
+    tax: pick(order, 'tax_total', 'tax', 'total_tax'),
+    discount: pick(order, 'discount_total', 'discount', 'total_discount'),
+    total: pick(order, 'total', 'total_price', 'grand_total'),
+  };
+}
+
+function orderCurrency(order) {
+  return String(pick(order, 'currency', 'currency_code', 'currency_iso')).toUpperCase();
+}
+
+function ordersSummaryRows(entry) {
+  const c = orderContext(entry);
+  const { order } = entry;
+  const totals = orderTotals(order);
+  return [[
+    c.orderNumber,
+    c.placed,
+    c.status,
+    String(c.itemCount),
+    String(c.totalQuantity),
+    totals.subtotal,
+    totals.shipping,
+    totals.tax,
+    totals.discount,
+    totals.total,
+    pick(order, 'shipping_method'),
+    c.tracking,
+    c.carrier,
+    c.trackingUrl,
+    c.billingInfo,
+    c.shippingInfo,
+    ...addressColumns(c),
+  ]];
+}
+
+function ordersWithItemsRows(entry, options = {}) {
+  const extra = allocationCell(options);
+  return rowContexts('lineItem', entry, options).map((c) => [
+    c.orderNumber,
+    c.placed,
+    c.status,
+    String(c.lineItem.id || ''),
+    c.sku,
+    c.productName,
+    c.productOptions,
+    c.personalization,
+    String(c.quantity),
+    c.unitPrice,
+    c.lineTotal,
+    pick(c.lineItem, 'discount', 'discount_total'),
+    pick(c.order, 'customer_email', 'customer'),
+    ...extra(c),
+  ]);
+}
+
+function shipmentsRows(entry) {
+  return rowContexts('shipment', entry).map((c) => [
+    c.orderNumber,
+    c.placed,
+    c.status,
+    c.shipmentId,
+    c.carrier,
+    c.tracking,
+    c.trackingUrl,
+    c.shipMethod,
+    c.shippingCost,
+    c.shipDate,
+    c.contents,
+    c.shippingInfo,
+  ]);
+}
+
+function productsRows(entry) {
+  return rowContexts('product', entry).map((c) => [
+    c.productId,
+    c.sku,
+    c.productName,
+    c.status,
+    c.price,
+    c.productOptions,
+    String(c.variantCount),
+    c.inventory,
+    c.createdAt,
+    c.updatedAt,
+  ]);
+}
+
+function variantsRows(entry) {
+  return rowContexts('variant', entry).map((c) => [
+    c.productId,
+    c.productName,
+    c.variantId,
+    c.sku,
+    c.variantOptions,
+    c.price,
+    c.inventory,
+    c.updatedAt,
+  ]);
+}
+
+function customersRows(entry) {
+  return rowContexts('customer', entry).map((c) => [
+    c.customerId,
+    c.name,
+    c.email,
+    c.company,
+    c.phone,
+    c.address.address1,
+    c.address.address2,
+    c.address.city,
+    c.address.state,
+    c.address.zip,
+    c.address.country,
+    c.group,
+    c.createdAt,
+    c.updatedAt,
+  ]);
+}
+
+// Aggregate reports build facts per order (or line item) and turn a run's facts into rows
+// once every order is in (see runStoreReport). Totals never mix currencies.
+const ORDER_SUMS = ['total', 'subtotal', 'shipping', 'tax', 'discount'];
+const TOTALS_COLUMNS = ['Orders', 'Revenue', 'Subtotal', 'Shipping Total', 'Tax Total', 'Discount Total', 'Average Order Value'];
+
+function orderFacts({ order }, options = {}) {
+  return [Object.assign({
+    placed: order.placed_at || order.created_at || '',
+    // periods are the store's days (see periodTotals)
+    timeZone: options.timeZone || '',
+    status: order.status || '',
+    currency: orderCurrency(order),
+  }, orderTotals(order))];
+}
+
+function lineItemFacts(entry, options) {
+  return rowContexts('lineItem', entry, options).map((c) => ({
+    sku: String(c.sku),
+    productName: c.productName,
+    currency: orderCurrency(c.order),
+    quantity: c.quantity,
+    lineTotal: c.lineTotal,
+    orderNumber: c.orderNumber,
+  }));
+}
+
+// one row per (group, currency), then a Total row per currency
+function orderTotalsRows(facts, groupOf) {
+  const row = (label, currency, g) => [
+    label,
+    currency,
+    String(g.count),
+    ...ORDER_SUMS.map((f) => money(g.sums[f])),
+    money(Math.round(g.sums.total / g.count)),
+  ];
+  const groups = groupFacts(facts, (f) => [groupOf(f), f.currency], { sums: ORDER_SUMS }).sort((a, b) => compareKeys(a.key, b.key));
+  const totals = groupFacts(facts, (f) => [f.currency], { sums: ORDER_SUMS }).sort((a, b) => compareKeys(a.key, b.key));
+  return groups.map((g) => row(g.key[0], g.key[1], g)).concat(totals.map((g) => row('Total', g.key[0], g)));
+}
+
+function periodTotals(period) {
+  return (facts) => orderTotalsRows(facts, (f) => periodKey(f.placed, period, f.timeZone));
+}
+
+// best sellers first; units are summed like money (in hundredths) so fractional quantities add up
+function unitsByProductRows(facts) {
+  const options = { sums: ['quantity', 'lineTotal'], distinct: ['orderNumber'] };
+  const row = (sku, name, currency, g) => [
+    sku,
+    name,
+    currency,
+    String(amount(money(g.sums.quantity))),
+    String(g.distinct.orderNumber.size),
+    money(g.sums.lineTotal),
+  ];
+  const groups = groupFacts(facts, (f) => [f.sku, f.productName, f.currency], options)
+    .sort((a, b) => (b.sums.quantity - a.sums.quantity) || compareKeys(a.key, b.key));
+  const totals = groupFacts(facts, (f) => [f.currency], options).sort((a, b) => compareKeys(a.key, b.key));
+  return groups.map((g) => row(...g.key, g)).concat(totals.map((g) => row('Total', '', g.key[0], g)));
+}
+
+function totalsReport(name, description, groupColumn, aggregate) {
+  return {
+    name,
+    description,
+    columns: [groupColumn, 'Currency'].concat(TOTALS_COLUMNS),
+    enrich: { order: true, lineItems: false, shipments: false },
+    grain: 'order',
+    facts: orderFacts,
+    aggregate,
+    // how the preview lays the rows out: one line per group, a column block per currency
+    pivot: { rows: [groupColumn], column: 'Currency', values: TOTALS_COLUMNS },
+  };
+}
+
+// Report registry. `enrich` declares which per-order API calls a report needs so
+// the run only pays for the ones it uses; `grain` is what one row stands for.
+const REPORTS = [
+  {
+    name: 'Orders Summary',
+    description: 'One row per order with totals and addresses',
+    columns: [
+      'Order #','Placed','Order Status','Line Items','Total Quantity',
+      'Subtotal','Shipping Total','Tax Total','Discount Total','Order Total','Ship Method','Tracking #',
+      'Carrier','Tracking URL','Billing Info','Shipping Info'
+    ].concat(STRUCTURED_COLUMNS),
+    enrich: { order: true, lineItems: true, shipments: true },
+    grain: 'order',
+    buildRows: ordersSummaryRows,
+  },
+  {
+    name: 'Orders with Items',
+    description: 'One row per line item with pricing',
+    columns: [
+      'Order #','Placed','Order Status','Line Item ID','SKU','Product Name','Product Options',
+      'Product Personalization','Quantity','Unit Price','Line Total','Discount','Customer Email'
+    ],
+    enrich: { order: false, lineItems: true, shipments: false },
+    grain: 'lineItem',
+    buildRows: ordersWithItemsRows,
+  },
+  {
+    name: 'Shipments',
+    description: 'One row per shipment with carrier, tracking and contents',
+    columns: [
+      'Order #','Placed','Order Status','Shipment ID','Carrier','Tracking #','Tracking URL','Ship Method',
+      'Shipping Cost','Ship Date','Line Items','Shipping Info'
+    ],
+    enrich: { order: true, lineItems: true, shipments: true },
+    grain: 'shipment',
+    buildRows: shipmentsRows,
+  },
+  {
+    name: 'Needed Excel',
+    description: 'One row per line item in the fixed warehouse layout',
+    columns: [
+      'Order #','Placed','Order Status','Line Item ID','Tracking #',
+      'Shipping Landded Cost','Ship Method','Ship Date',
+      'Product Personalization','Quantity','Product Name','Product Options',
+      'Billing Info','Shipping Info'
+    ].concat(STRUCTURED_COLUMNS, TRACKING_COLUMNS),
+    enrich: { order: true, lineItems: true, shipments: true },
+    grain: 'lineItem',
+    buildRows: neededExcelRows,
+  },
+  {
+    name: 'Products',
+    description: 'One row per product with price, options and total inventory',
+    columns: [
+      'Product ID','SKU','Product Name','Status','Price','Product Options','Variants','Inventory','Created','Updated'
+    ],
+    // products that embed their variants skip the extra call
+    enrich: { variants: true },
+    grain: 'product',
+    buildRows: productsRows,
+  },
+  {
+    name: 'Product Variants',
+    description: 'One row per variant with SKU, price and inventory level',
+    columns: [
+      'Product ID','Product Name','Variant ID','SKU','Variant Options','Price','Inventory','Updated'
+    ],
+    enrich: { variants: true },
+    grain: 'variant',
+    buildRows: variantsRows,
+  },
+  {
+    name: 'Customers',
+    description: 'One row per customer account with contact details',
+    columns: [
+      'Customer ID','Name','Email','Company','Phone','Address1','Address2','City','State','Zip','Country','Group','Created','Updated'
+    ],
+    enrich: {},
+    grain: 'customer',
+    buildRows: customersRows,
+  },
+  totalsReport('Daily Totals', 'Revenue, shipping, tax, discounts and average order value per day and currency', 'Period', periodTotals('day')),
+  totalsReport('Weekly Totals', 'Order totals per ISO week and currency', 'Period', periodTotals('week')),
+  totalsReport('Monthly Totals', 'Order totals per month and currency', 'Period', periodTotals('month')),
+  totalsReport('Totals by Status', 'Order totals per order status and currency', 'Order Status', (facts) => orderTotalsRows(facts, (f) => f.status)),
+  {
+    name: 'Units by Product',
+    description: 'Units sold, orders and line revenue per product and currency',
+    columns: ['SKU', 'Product Name', 'Currency', 'Units', 'Orders', 'Revenue'],
+    enrich: { order: true, lineItems: true, shipments: false },
+    grain: 'lineItem',
+    facts: lineItemFacts,
+    aggregate: unitsByProductRows,
+    pivot: { rows: ['SKU', 'Product Name'], column: 'Currency', values: ['Units', 'Orders', 'Revenue'] },
+  },
+];
+
+const DEFAULT_REPORT = 'Needed Excel';
+
+function getReport(name) {
+  return REPORTS.find((r) => r.name === name) || null;
+}
+
+// The report as run with `allocation`. Split mode needs shipments, and built-in line item
+// reports gain an Allocation column (shipped / unshipped); templates choose their own columns
+// and import profiles (see ./profiles) keep the layout their import expects.
+function allocationReport(report, allocation) {
+  // aggregates sum quantities the same either way
+  if (allocation !== 'split' || report.grain !== 'lineItem' || report.aggregate) return report;
+  return Object.assign({}, report, {
+    enrich: Object.assign({}, report.enrich, { shipments: true }),
+    columns: report.templateId || report.profile ? report.columns : report.columns.concat('Allocation'),
+  });
+}
+
+function listReports() {
+  return REPORTS.map((r) => ({
+    name: r.name,
+    description: r.description,
+    resource: resourceFor(r.grain),
+    aggregate: !!r.aggregate,
+    columns: r.columns,
+    // columns the UI lets users hide; everything else is always exported
+    optionalColumns: r.columns.filter((c) => STRUCTURED_COLUMNS.includes(c) || TRACKING_COLUMNS.includes(c)),
+    default: r.name === DEFAULT_REPORT,
+  }));
+}
+
+module.exports = {
+  STRUCTURED_COLUMNS,
+  ADDRESS_FIELDS,
+  rowContexts,
+  resourceFor,
+  describeAddress,
+  mergedAddress,
+  DEFAULT_REPORT,
+  getReport,
+  allocationReport,
+  listReports,
+  orderIdentifier,
+  pick,
+  formatProductOptions,
+  formatProductPersonalization,
+};
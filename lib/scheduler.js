@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { badRequest } = require('./errors');
+const { parseCron, cronMatches, nextRun } = require('./cron');
+const { prepareRun, describeRun, runReport } = require('./pipeline');
+const { FORMATS, normalizeFormat, exportFilename, exportToBuffer } = require('./export');
+const { validateDelivery, maskDelivery, sealSecrets, deliver } = require('./delivery');
+const { recordAudit } = require('./audit');
+const history = require('./history');
+
+const SCHEDULES_FILE = dataPath('schedules.json');
+const RUNS_FILE = dataPath('schedule-runs.json');
+// run history entries kept across all schedules
+const RUN_HISTORY_LIMIT = 500;
+
+const running = new Set();
+let timer = null;
+
+function loadSchedules() {
+  return readJson(SCHEDULES_FILE, []);
+}
+
+function saveSchedules(schedules) {
+  writeJson(SCHEDULES_FILE, schedules);
+}
+
+function loadRuns() {
+  return readJson(RUNS_FILE, []);
+}
+
+function recordRun(entry) {
+  const runs = loadRuns();
+  runs.unshift(entry);
+  writeJson(RUNS_FILE, runs.slice(0, RUN_HISTORY_LIMIT));
+}
+
+// the run request a schedule makes; prepareRun() resolves its `datePreset` in each store's timezone
+function runBody(schedule) {
+  const body = {
+    reportType: schedule.reportType,
+    templateId: schedule.templateId,
+    datePreset: schedule.datePreset || undefined,
+    dateFilterType: schedule.dateFilterType,
+    status: schedule.status,
+    source: schedule.source,
+    normalizeAddresses: schedule.normalizeAddresses,
+    allocation: schedule.allocation,
+    expandOptions: schedule.expandOptions,
+  };
+  if (schedule.storeKeys) body.storeKeys = schedule.storeKeys;
+  else body.storeKey = schedule.storeKey;
+  return body;
+}
+
+function publicSchedule(schedule) {
+  const next = schedule.enabled ? nextRun(schedule.cron) : null;
+  return Object.assign({}, schedule, {
+    delivery: maskDelivery(schedule.delivery),
+    nextRunAt: next ? next.toISOString() : null,
+    running: running.has(schedule.id),
+  });
+}
+
+// The stores a schedule exports from, as { storeKey, storeKeys } with only one set. "all" as
+// storeKey, storeKeys or one of storeKeys means every store, as in prepareRun(); stores given
+// in `input` replace the previous schedule's.
+function scheduleStores(input = {}, previous = null) {
+  const given = input.storeKey !== undefined || input.storeKeys !== undefined;
+  const { storeKey, storeKeys } = given ? input : (previous || {});
+  if (storeKeys !== undefined && storeKeys !== null && storeKeys !== 'all' && !Array.isArray(storeKeys)) {
+    throw badRequest('storeKeys must be an array of store keys or "all"');
+  }
+  const keys = Array.isArray(storeKeys) ? Array.from(new Set(storeKeys.map(String))) : [];
+  if (storeKey === 'all' || storeKeys === 'all' || keys.includes('all')) return { storeKey: 'all', storeKeys: undefined };
+  if (keys.length) return { storeKey: undefined, storeKeys: keys };
+  return { storeKey: storeKey || undefined, storeKeys: undefined };
+}
+
+// Validate user input into a stored schedule. `previous` is the schedule being updated, if any.
+// `options.stores` are the stores the editing user may export from; `options.owner` their name.
+function buildSchedule(input = {}, previous = null, options = {}) {
+  const merged = Object.assign({}, previous || {}, input);
+  if (!merged.name || !String(merged.name).trim()) throw badRequest('name is required');
+  try {
+    parseCron(merged.cron);
+  } catch (err) {
+    throw badRequest(`invalid cron: ${err.message}`);
+  }
+  const format = normalizeFormat(merged.format);
+  if (!format) throw badRequest(`format '${String(merged.format)}' not supported. Use ${Object.keys(FORMATS).join(', ')}.`);
+  const delivery = sealSecrets(validateDelivery(merged.delivery), previous && previous.delivery);
+  const { storeKey, storeKeys } = scheduleStores(input, previous);
+  const schedule = {
+    id: (previous && previous.id) || crypto.randomUUID(),
+    name: String(merged.name).trim(),
+    enabled: merged.enabled !== false,
+    cron: String(merged.cron).trim(),
+    storeKey,
+    storeKeys,
+    reportType: merged.reportType,
+    templateId: merged.templateId || undefined,
+    datePreset: merged.datePreset || '',
+    dateFilterType: merged.dateFilterType || 'created_at',
+    status: merged.status || '',
+    source: merged.source || 'live',
+    normalizeAddresses: !!merged.normalizeAddresses,
+    allocation: merged.allocation || 'line',
+    expandOptions: !!merged.expandOptions,
+    columns: Array.isArray(merged.columns) ? merged.columns : undefined,
+    format,
+    bom: !!merged.bom,
+    delivery,
+    createdAt: (previous && previous.createdAt) || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    lastRunAt: previous ? previous.lastRunAt : null,
+    lastStatus: previous ? previous.lastStatus : null,
+    createdBy: previous ? previous.createdBy : (options.owner || undefined),
+  };
+  // reuse run validation so a schedule can't reference unknown stores, report types or templates
+  prepareRun(runBody(schedule), { stores: options.stores });
+  return schedule;
+}
+
+function listSchedules() {
+  return loadSchedules().map(publicSchedule);
+}
+
+function getSchedule(id) {
+  const schedule = loadSchedules().find((s) => s.id === id);
+  return schedule ? publicSchedule(schedule) : null;
+}
+
+function createSchedule(input, options = {}) {
+  const schedule = buildSchedule(input, null, options);
+  saveSchedules(loadSchedules().concat(schedule));
+  return publicSchedule(schedule);
+}
+
+function updateSchedule(id, input, options = {}) {
+  const schedules = loadSchedules();
+  const idx = schedules.findIndex((s) => s.id === id);
+  if (idx < 0) return null;
+  schedules[idx] = buildSchedule(input, schedules[idx], options);
+  saveSchedules(schedules);
+  return publicSchedule(schedules[idx]);
+}
+
+function deleteSchedule(id) {
+  const schedules = loadSchedules();
+  const next = schedules.filter((s) => s.id !== id);
+  if (next.length === schedules.length) return false;
+  saveSchedules(next);
+  return true;
+}
+
+function listRuns(scheduleId) {
+  const runs = loadRuns();
+  return scheduleId ? runs.filter((r) => r.scheduleId === scheduleId) : runs;
+}
+
+function markSchedule(id, changes) {
+  const schedules = loadSchedules();
+  const schedule = schedules.find((s) => s.id === id);
+  if (!schedule) return;
+  Object.assign(schedule, changes);
+  saveSchedules(schedules);
+}
+
+// Run a schedule now: build the report, render the file and deliver it. Resolves with the
+// history entry (failed runs are recorded too, not thrown).
+// `actor` is the user who pressed "run now"; timed runs have none
+async function runSchedule(id, trigger = 'manual', actor = null) {
+  const schedule = loadSchedules().find((s) => s.id === id);
+  if (!schedule) return null;
+  if (running.has(id)) {
+    const err = new Error('schedule is already running');
+    err.status = 409;
+    throw err;
+  }
+  running.add(id);
+  const now = new Date();
+  const entry = { id: crypto.randomUUID(), scheduleId: id, name: schedule.name, trigger, startedAt: now.toISOString() };
+  try {
+    const body = runBody(schedule);
+    entry.params = body;
+    const run = prepareRun(body, { now });
+    // the days the preset came to, for the file name and the run log
+    if (run.range) Object.assign(body, run.range);
+    const result = await runReport(run);
+    const buffer = await exportToBuffer(result, { format: schedule.format, columns: schedule.columns, bom: schedule.bom, sheetName: run.report.name });
+    const file = {
+      name: exportFilename(Object.assign({}, body, { storeKey: run.storeKey, reportType: run.report.name }), schedule.format),
+      buffer,
+      contentType: FORMATS[schedule.format].contentType,
+    };
+    entry.historyId = history.recordRun({
+      kind: 'schedule',
+      user: actor,
+      params: describeRun(run, body),
+      startedAt: entry.startedAt,
+      schedule: schedule.name,
+      file: { name: file.name, format: schedule.format, columns: schedule.columns, bom: schedule.bom },
+    }, result).id;
+    const summary = `${schedule.name}: ${result.meta.orders} ${result.meta.resource || 'orders'}, ${result.meta.rows} rows` + (result.meta.errors ? `, ${result.meta.errors.length} errors` : '');
+    const delivered = await deliver(file, schedule.delivery, { name: schedule.name, summary });
+    Object.assign(entry, {
+      status: 'done',
+      orders: result.meta.orders,
+      rows: result.meta.rows,
+      errors: (result.meta.errors || []).length,
+      file: file.name,
+      bytes: buffer.length,
+      delivery: delivered,
+    });
+    recordAudit({
+      action: 'schedule',
+      user: actor,
+      schedule: schedule.name,
+      trigger,
+      storeKeys: run.stores ? run.stores.map((s) => s.storeKey) : [run.storeKey],
+      reportType: run.report.name,
+      format: schedule.format,
+      rows: result.meta.rows,
+      delivery: schedule.delivery ? schedule.delivery.type : 'folder',
+    });
+  } catch (err) {
+    console.error('Scheduled export failed', schedule.name, err);
+    Object.assign(entry, { status: 'failed', error: String(err.message || err) });
+  } finally {
+    running.delete(id);
+  }
+  entry.finishedAt = new Date().toISOString();
+  recordRun(entry);
+  markSchedule(id, { lastRunAt: entry.startedAt, lastStatus: entry.status });
+  return entry;
+}
+
+function tick(now = new Date()) {
+  loadSchedules().forEach((schedule) => {
+    if (!schedule.enabled || running.has(schedule.id)) return;
+    let parsed;
+    try {
+      parsed = parseCron(schedule.cron);
+    } catch (err) {
+      return;
+    }
+    if (cronMatches(parsed, now)) runSchedule(schedule.id, 'cron').catch((err) => console.error('Scheduler', err));
+  });
+}
+
+// check once a minute, aligned to the start of the minute
+function startScheduler() {
+  if (timer) return;
+  const schedule = () => {
+    const now = Date.now();
+    timer = setTimeout(() => {
+      tick(new Date());
+      schedule();
+    }, 60000 - (now % 60000) + 50);
+    timer.unref();
+  };
+  schedule();
+}
+
+function stopScheduler() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  scheduleStores,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  listRuns,
+  runSchedule,
+  startScheduler,
+  stopScheduler,
+};
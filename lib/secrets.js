@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { dataPath, ensureDir } = require('./storage');
+
+// Encryption for secrets kept on disk (store API tokens). AES-256-GCM with a key derived from
+// SECRETS_KEY, or, when that is unset, from a random key generated once into data/secret.key.
+// With the generated key, anyone who can read data/ can decrypt, so set SECRETS_KEY (kept
+// outside the data directory) in production.
+const KEY_FILE = dataPath('secret.key');
+const VERSION = 'v1';
+
+let key = null;
+
+function loadKey() {
+  if (key) return key;
+  let secret = process.env.SECRETS_KEY;
+  if (!secret) {
+    try {
+      secret = fs.readFileSync(KEY_FILE, 'utf8').trim();
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      secret = crypto.randomBytes(32).toString('hex');
+      ensureDir(dataPath());
+      fs.writeFileSync(KEY_FILE, secret, { mode: 0o600, flag: 'wx' });
+      console.warn(`Generated ${KEY_FILE} to encrypt store tokens; set SECRETS_KEY to keep the key elsewhere.`);
+    }
+  }
+  key = crypto.scryptSync(secret, 'brightsites-exporter', 32);
+  return key;
+}
+
+// "v1:<iv>:<tag>:<ciphertext>", base64 parts
+function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', loadKey(), iv);
+  const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), data].map((p) => (Buffer.isBuffer(p) ? p.toString('base64') : p)).join(':');
+}
+
+// Throws when the value was encrypted with another key or has been tampered with
+function decryptSecret(value) {
+  const [version, iv, tag, data] = String(value || '').split(':');
+  if (version !== VERSION || !iv || !tag || !data) throw new Error('unrecognized encrypted value');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', loadKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+};
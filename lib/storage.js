@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+// everything the app persists (job results, caches, settings) lives under DATA_DIR
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+function ensureDir(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function readJson(file, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('readJson error', file, err.message);
+    return fallback;
+  }
+}
+
+// write to a temp file and rename so a crash never leaves half-written JSON behind
+function writeJson(file, data) {
+  ensureDir(path.dirname(file));
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+
+function removeFile(file) {
+  try { fs.unlinkSync(file); } catch (err) { if (err.code !== 'ENOENT') throw err; }
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  ensureDir,
+  readJson,
+  writeJson,
+  removeFile,
+};
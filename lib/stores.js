@@ -0,0 +1,253 @@
+const fs = require('fs');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { badRequest, AuthError } = require('./errors');
+const { encryptSecret, decryptSecret } = require('./secrets');
+const { apiGet } = require('./brightSites');
+const { isTimeZone, checkDateFormat } = require('./dates');
+
+// Stores are managed through the API/UI and kept in data/stores.json. API tokens are stored
+// encrypted (./secrets) and never leave this module except to call the store API.
+const STORES_FILE = dataPath('stores.json');
+// "all" already means every store in run requests
+const RESERVED_KEYS = ['all'];
+
+// a connection test gives up after this long instead of waiting out the socket timeout
+const TEST_TIMEOUT_MS = Number(process.env.STORE_TEST_TIMEOUT_MS) || 10000;
+
+let warnedEnvIgnored = false;
+
+function text(v) {
+  return v === undefined || v === null ? '' : String(v).trim();
+}
+
+// One-time migration: the first time there is no stores file, copy the stores from
+// BRIGHTSITES_STORES (and the single-store BRIGHTSITES_SUBDOMAIN / BRIGHTSITES_API_TOKEN).
+function importEnvStores() {
+  const entries = [];
+  if (process.env.BRIGHTSITES_STORES) {
+    try {
+      Object.entries(JSON.parse(process.env.BRIGHTSITES_STORES)).forEach(([key, v]) => entries.push(Object.assign({}, v, { key })));
+    } catch (e) {
+      console.warn('BRIGHTSITES_STORES invalid JSON; no stores imported');
+    }
+  }
+  if (process.env.BRIGHTSITES_SUBDOMAIN && process.env.BRIGHTSITES_API_TOKEN && !entries.some((e) => e.key === 'default')) {
+    entries.push({ key: 'default', subdomain: process.env.BRIGHTSITES_SUBDOMAIN, token: process.env.BRIGHTSITES_API_TOKEN });
+  }
+  if (!entries.length) return [];
+
+  const records = [];
+  entries.forEach((entry) => {
+    try {
+      records.push(buildStore(entry, null, records));
+    } catch (err) {
+      console.warn(`Store '${entry.key}' not imported: ${err.message}`);
+    }
+  });
+  writeJson(STORES_FILE, records);
+  console.log(`Imported ${records.length} store(s) into ${STORES_FILE}; the environment variables are no longer read and can be removed.`);
+  return records;
+}
+
+function loadRecords() {
+  if (!fs.existsSync(STORES_FILE)) return importEnvStores();
+  if (process.env.BRIGHTSITES_STORES && !warnedEnvIgnored) {
+    warnedEnvIgnored = true;
+    console.warn(`BRIGHTSITES_STORES is ignored: stores are managed in ${STORES_FILE}`);
+  }
+  return readJson(STORES_FILE, []);
+}
+
+function saveRecords(records) {
+  writeJson(STORES_FILE, records);
+}
+
+// what the API returns: everything but the token
+function publicStore(record) {
+  return {
+    key: record.key,
+    label: record.label || record.key,
+    subdomain: record.subdomain,
+    rps: record.rps,
+    timezone: record.timezone || '',
+    dateFormat: record.dateFormat || '',
+    disabled: !!record.disabled,
+    hasToken: !!record.tokenEncrypted,
+    hasWebhookSecret: !!record.webhookSecretEncrypted,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+  };
+}
+
+// Validate user input into a stored store. `previous` is the store being updated, if any;
+// `records` the other stores (for the unique key check).
+function buildStore(input = {}, previous = null, records = loadRecords()) {
+  const key = previous ? previous.key : text(input.key);
+  if (!previous) {
+    if (!/^[A-Za-z0-9][\w-]{0,63}$/.test(key)) throw badRequest('key must be 1-64 letters, digits, _ or -');
+    if (RESERVED_KEYS.includes(key.toLowerCase())) throw badRequest(`'${key}' can't be used as a store key`);
+    if (records.some((r) => r.key.toLowerCase() === key.toLowerCase())) throw badRequest(`store '${key}' already exists`);
+  }
+  const merged = Object.assign({}, previous || {}, input);
+  // "acme" or "acme.mybrightsites.com"
+  const subdomain = text(merged.subdomain).toLowerCase().replace(/^https?:\/\//, '').replace(/\.mybrightsites\.com\/?$/, '');
+  if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(subdomain)) throw badRequest('subdomain must be the store\'s <subdomain>.mybrightsites.com name');
+
+  let tokenEncrypted = previous ? previous.tokenEncrypted : undefined;
+  if (text(input.token)) tokenEncrypted = encryptSecret(text(input.token));
+  if (!tokenEncrypted) throw badRequest('token is required');
+
+  // shared secret for incoming webhooks (see ./webhooks); blank keeps it, null removes it
+  let webhookSecretEncrypted = previous ? previous.webhookSecretEncrypted : undefined;
+  if (input.webhookSecret === null) webhookSecretEncrypted = undefined;
+  else if (text(input.webhookSecret)) webhookSecretEncrypted = encryptSecret(text(input.webhookSecret));
+
+  let rps;
+  if (merged.rps !== undefined && merged.rps !== null && merged.rps !== '') {
+    rps = Number(merged.rps);
+    if (!(rps > 0)) throw badRequest('rps must be a positive number');
+  }
+
+  // IANA name such as America/New_York; blank is the server's timezone (see ./dates)
+  const timezone = text(merged.timezone);
+  if (timezone && !isTimeZone(timezone)) throw badRequest(`timezone '${timezone}' is not a known IANA timezone, e.g. America/New_York`);
+  // how Placed and Ship Date are written, e.g. MM/DD/YYYY HH:mm; blank keeps the API's values
+  const dateFormat = text(merged.dateFormat);
+  const formatProblem = dateFormat && checkDateFormat(dateFormat);
+  if (formatProblem) throw badRequest(formatProblem);
+
+  return {
+    key,
+    label: text(merged.label) || key,
+    subdomain,
+    tokenEncrypted,
+    webhookSecretEncrypted,
+    rps,
+    timezone: timezone || undefined,
+    dateFormat: dateFormat || undefined,
+    disabled: !!merged.disabled,
+    createdAt: (previous && previous.createdAt) || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+function listStores() {
+  return loadRecords().map(publicStore);
+}
+
+function getStore(key) {
+  const record = loadRecords().find((r) => r.key === key);
+  return record ? publicStore(record) : null;
+}
+
+function createStore(input) {
+  const records = loadRecords();
+  const record = buildStore(input, null, records);
+  saveRecords(records.concat(record));
+  return publicStore(record);
+}
+
+function updateStore(key, input) {
+  const records = loadRecords();
+  const idx = records.findIndex((r) => r.key === key);
+  if (idx < 0) return null;
+  records[idx] = buildStore(input, records[idx], records);
+  saveRecords(records);
+  return publicStore(records[idx]);
+}
+
+function deleteStore(key) {
+  const records = loadRecords();
+  const next = records.filter((r) => r.key !== key);
+  if (next.length === records.length) return false;
+  saveRecords(next);
+  return true;
+}
+
+function withToken(record) {
+  return {
+    label: record.label || record.key,
+    subdomain: record.subdomain,
+    token: decryptSecret(record.tokenEncrypted),
+    rps: record.rps,
+    timezone: record.timezone || '',
+    dateFormat: record.dateFormat || '',
+  };
+}
+
+// Enabled stores with their decrypted tokens, as { key: { label, subdomain, token, rps, timezone, dateFormat } }.
+// For the server side only: never send this to a client.
+function getConfiguredStores() {
+  const out = {};
+  loadRecords().filter((r) => !r.disabled).forEach((record) => {
+    try {
+      out[record.key] = withToken(record);
+    } catch (err) {
+      console.warn(`Store '${record.key}': token can't be decrypted (was SECRETS_KEY changed?); store skipped`);
+    }
+  });
+  return out;
+}
+
+// the decrypted webhook secret of an enabled store, or null
+function getWebhookSecret(key) {
+  const record = loadRecords().find((r) => r.key === key && !r.disabled);
+  if (!record || !record.webhookSecretEncrypted) return null;
+  try {
+    return decryptSecret(record.webhookSecretEncrypted);
+  } catch (err) {
+    console.warn(`Store '${key}': webhook secret can't be decrypted (was SECRETS_KEY changed?)`);
+    return null;
+  }
+}
+
+// Call the store API once (first page of orders, one record) and report whether the token
+// was accepted and how long the call took. Disabled stores can be tested too.
+async function testConnection(key) {
+  const record = loadRecords().find((r) => r.key === key);
+  if (!record) return null;
+  const result = { key, testedAt: new Date().toISOString() };
+  let store;
+  try {
+    store = withToken(record);
+  } catch (err) {
+    return Object.assign(result, { ok: false, authenticated: false, error: 'token can\'t be decrypted; enter it again' });
+  }
+  const started = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TEST_TIMEOUT_MS);
+  try {
+    await apiGet('/orders', { page: 1, per_page: 1 }, { subdomain: store.subdomain, token: store.token, retries: 0, signal: controller.signal });
+    return Object.assign(result, { ok: true, authenticated: true, latencyMs: Date.now() - started });
+  } catch (err) {
+    return Object.assign(result, {
+      ok: false,
+      // only a 401/403 says the token is wrong; other failures leave it unknown
+      authenticated: err instanceof AuthError ? false : null,
+      latencyMs: Date.now() - started,
+      httpStatus: err.httpStatus,
+      error: connectionFailure(err),
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Why a connection test failed, for the browser: the status or error code, never the
+// message, which may hold the request URL and with it the token
+function connectionFailure(err) {
+  if (err.name === 'AbortError') return `no answer within ${TEST_TIMEOUT_MS / 1000}s`;
+  if (err.httpStatus) return `HTTP ${err.httpStatus}`;
+  return err.code || 'request failed';
+}
+
+module.exports = {
+  getConfiguredStores,
+  listStores,
+  getStore,
+  createStore,
+  updateStore,
+  deleteStore,
+  getWebhookSecret,
+  testConnection,
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { badRequest } = require('./errors');
+const { compile, isEmpty, FUNCTIONS } = require('./expressions');
+const { rowContexts, resourceFor, ADDRESS_FIELDS } = require('./reports');
+
+const TEMPLATES_FILE = dataPath('templates.json');
+
+// what one output row stands for; each grain has its own row context (see rowContexts)
+const GRAINS = ['lineItem', 'order', 'shipment', 'product', 'variant', 'customer'];
+
+const FORMATTERS = {
+  date: (v) => {
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? v : d.toISOString().slice(0, 10);
+  },
+  datetime: (v) => {
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? v : d.toISOString();
+  },
+  number: (v) => (Number.isNaN(Number(v)) ? v : String(Number(v))),
+  money: (v) => (Number.isNaN(Number(v)) ? v : Number(v).toFixed(2)),
+  upper: (v) => v.toUpperCase(),
+  lower: (v) => v.toLowerCase(),
+  trim: (v) => v.trim(),
+};
+
+function addressColumns(role) {
+  const label = role === 'billing' ? 'Billing' : 'Shipping';
+  const headers = ['Name', 'Company', 'Address1', 'Address2', 'City', 'State', 'Zip', 'Country', 'Email', 'Phone'];
+  return ADDRESS_FIELDS.map((field, i) => ({ header: `${label} ${headers[i]}`, source: `${role}.${field}` }));
+}
+
+// Read-only templates shipped with the app. "Needed Excel" reproduces the report of the same
+// name, including the historical "Shipping Landded Cost" header the warehouse imports expect.
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'needed-excel',
+    name: 'Needed Excel',
+    description: 'One row per line item in the fixed warehouse layout',
+    grain: 'lineItem',
+    builtIn: true,
+    columns: [
+      { header: 'Order #', source: 'orderNumber' },
+      { header: 'Placed', source: 'placed' },
+      { header: 'Order Status', source: 'order.status' },
+      { header: 'Line Item ID', source: 'lineItem.id' },
+      { header: 'Tracking #', source: 'tracking' },
+      { header: 'Shipping Landded Cost', source: 'landedCost' },
+      { header: 'Ship Method', source: 'shipMethod' },
+      { header: 'Ship Date', source: 'shipDate' },
+      { header: 'Product Personalization', source: 'personalization' },
+      { header: 'Quantity', source: 'quantity' },
+      { header: 'Product Name', source: 'productName' },
+      { header: 'Product Options', source: 'productOptions' },
+      { header: 'Billing Info', source: 'billingInfo' },
+      { header: 'Shipping Info', source: 'shippingInfo' },
+    ].concat(addressColumns('billing'), addressColumns('shipping'), [
+      { header: 'Carrier', source: 'carrier' },
+      { header: 'Tracking URL', source: 'trackingUrl' },
+    ]),
+  },
+];
+
+function loadTemplates() {
+  return readJson(TEMPLATES_FILE, []);
+}
+
+function saveTemplates(templates) {
+  writeJson(TEMPLATES_FILE, templates);
+}
+
+function listTemplates() {
+  return BUILT_IN_TEMPLATES.concat(loadTemplates());
+}
+
+function getTemplate(id) {
+  return listTemplates().find((t) => t.id === id) || null;
+}
+
+// Names a template column can reference for each grain, taken from the row contexts themselves
+function templateFields() {
+  const sample = { order: {}, line_items: [{}], shipments: [{}], product: {}, variants: [{}], customer: {} };
+  const grains = {};
+  GRAINS.forEach((grain) => {
+    grains[grain] = Object.keys(rowContexts(grain, sample)[0]);
+  });
+  return { grains, functions: FUNCTIONS, formats: Object.keys(FORMATTERS) };
+}
+
+function cellText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(cellText).filter(Boolean).join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function compileColumn(column) {
+  const evaluate = compile(column.source);
+  const format = column.format ? FORMATTERS[column.format] : null;
+  return (ctx) => {
+    let value = evaluate(ctx);
+    if (isEmpty(value) && column.default !== undefined) value = column.default;
+    const out = cellText(value);
+    return format && out !== '' ? format(out) : out;
+  };
+}
+
+// Validate user input into a stored template. `previous` is the template being updated, if any.
+function buildTemplate(input = {}, previous = null) {
+  const merged = Object.assign({}, previous || {}, input);
+  const name = String(merged.name || '').trim();
+  if (!name) throw badRequest('name is required');
+  const clash = listTemplates().find((t) => t.name.toLowerCase() === name.toLowerCase() && (!previous || t.id !== previous.id));
+  if (clash) throw badRequest(`a template named '${name}' already exists`);
+  const grain = merged.grain || 'lineItem';
+  if (!GRAINS.includes(grain)) throw badRequest(`grain must be one of ${GRAINS.join(', ')}`);
+  if (!Array.isArray(merged.columns) || !merged.columns.length) throw badRequest('columns must be a non-empty array');
+
+  const headers = new Set();
+  const columns = merged.columns.map((col, idx) => {
+    const where = `column ${idx + 1}`;
+    const header = String((col && col.header) || '').trim();
+    if (!header) throw badRequest(`${where}: header is required`);
+    if (headers.has(header)) throw badRequest(`${where}: duplicate header '${header}'`);
+    headers.add(header);
+    const source = String(col.source || '').trim();
+    try {
+      compile(source);
+    } catch (err) {
+      throw badRequest(`${where} (${header}): invalid source: ${err.message}`);
+    }
+    if (col.format && !FORMATTERS[col.format]) {
+      throw badRequest(`${where} (${header}): format must be one of ${Object.keys(FORMATTERS).join(', ')}`);
+    }
+    const column = { header, source };
+    if (col.default !== undefined && col.default !== null && col.default !== '') column.default = String(col.default);
+    if (col.format) column.format = col.format;
+    return column;
+  });
+
+  return {
+    id: (previous && previous.id) || crypto.randomUUID(),
+    name,
+    description: String(merged.description || ''),
+    grain,
+    columns,
+    createdAt: (previous && previous.createdAt) || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+function readOnlyError() {
+  return badRequest('built-in templates are read-only; save a copy under a new name to change it');
+}
+
+function createTemplate(input) {
+  const template = buildTemplate(input);
+  saveTemplates(loadTemplates().concat(template));
+  return template;
+}
+
+function updateTemplate(id, input) {
+  if (BUILT_IN_TEMPLATES.some((t) => t.id === id)) throw readOnlyError();
+  const templates = loadTemplates();
+  const idx = templates.findIndex((t) => t.id === id);
+  if (idx < 0) return null;
+  templates[idx] = buildTemplate(input, templates[idx]);
+  saveTemplates(templates);
+  return templates[idx];
+}
+
+function deleteTemplate(id) {
+  if (BUILT_IN_TEMPLATES.some((t) => t.id === id)) throw readOnlyError();
+  const templates = loadTemplates();
+  const next = templates.filter((t) => t.id !== id);
+  if (next.length === templates.length) return false;
+  saveTemplates(next);
+  return true;
+}
+
+// A template in the shape of a report registry entry so the pipeline can run it like one
+function templateReport(template) {
+  const columns = template.columns.map(compileColumn);
+  return {
+    name: template.name,
+    description: template.description,
+    templateId: template.id,
+    columns: template.columns.map((c) => c.header),
+    grain: template.grain,
+    // sources may reference any part of the order or product, so fetch everything
+    enrich: resourceFor(template.grain) === 'orders' ? { order: true, lineItems: true, shipments: true } : { variants: true },
+    buildRows: (entry, options) => rowContexts(template.grain, entry, options).map((ctx) => columns.map((col) => col(ctx))),
+  };
+}
+
+module.exports = {
+  GRAINS,
+  listTemplates,
+  getTemplate,
+  templateFields,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  templateReport,
+};
@@ -0,0 +1,62 @@
+// Per-store request budget. Requests are spaced 1/rps apart and a 429 pauses the whole
+// store so concurrent workers back off together instead of hammering the API.
+const DEFAULT_RPS = Number(process.env.BRIGHTSITES_RPS) || 4;
+
+const limiters = new Map();
+
+function abortError() {
+  const err = new Error('Aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function createLimiter(rps = DEFAULT_RPS) {
+  const limiter = {
+    rps,
+    next: 0,
+    pausedUntil: 0,
+    // wait for the next free slot in the budget
+    async acquire(signal) {
+      const now = Date.now();
+      const slot = Math.max(now, limiter.next, limiter.pausedUntil);
+      limiter.next = slot + 1000 / limiter.rps;
+      if (slot > now) await sleep(slot - now, signal);
+    },
+    pause(ms) {
+      limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + ms);
+    },
+  };
+  return limiter;
+}
+
+// one limiter per store (keyed by subdomain); a changed rps budget takes effect immediately
+function limiterFor(key, rps) {
+  const budget = Number(rps) > 0 ? Number(rps) : DEFAULT_RPS;
+  if (!limiters.has(key)) limiters.set(key, createLimiter(budget));
+  const limiter = limiters.get(key);
+  limiter.rps = budget;
+  return limiter;
+}
+
+module.exports = {
+  DEFAULT_RPS,
+  abortError,
+  sleep,
+  createLimiter,
+  limiterFor,
+};
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { badRequest } = require('./errors');
+
+// Grid views over stored run results (see ./history): which columns show, in what order and
+// under what header, sorting, per-column filters, full-text search and grouping by order.
+// The same view drives the paged query API and downloads, so a file holds exactly the rows
+// the grid shows. Saved views are shared by everyone and kept in views.json.
+const VIEWS_FILE = dataPath('views.json');
+
+const SORT_DIRECTIONS = ['asc', 'desc'];
+const GROUPS = ['', 'order'];
+// columns that identify the order a row belongs to, by report (profiles name it differently)
+const ORDER_COLUMNS = ['Order #', 'Order Number', 'Reference 1'];
+const PAGE_LIMIT = 500;
+
+function text(v) {
+  return v === undefined || v === null ? '' : String(v);
+}
+
+function isNumeric(v) {
+  return text(v).trim() !== '' && !Number.isNaN(Number(v));
+}
+
+// The view settings from user input, checked: { columns, sort, filters, search, groupBy, issue }.
+// `columns` lists the shown columns in order as { name, label }; empty shows every column.
+function viewSpec(input = {}) {
+  const columns = input.columns || [];
+  if (!Array.isArray(columns)) throw badRequest('columns must be an array of { name, label }');
+  const sort = input.sort || [];
+  if (!Array.isArray(sort)) throw badRequest('sort must be an array of { column, dir }');
+  const filters = input.filters || {};
+  if (typeof filters !== 'object' || Array.isArray(filters)) throw badRequest('filters must be an object of column: text');
+  const groupBy = input.groupBy || '';
+  if (!GROUPS.includes(groupBy)) throw badRequest(`groupBy must be 'order' or empty`);
+  return {
+    columns: columns.map((c) => {
+      const name = typeof c === 'string' ? c : text(c && c.name);
+      if (!name) throw badRequest('every column needs a name');
+      return { name, label: (c && c.label && text(c.label).trim()) || name };
+    }),
+    sort: sort.map((s) => {
+      const dir = (s && s.dir) || 'asc';
+      if (!s || typeof s !== 'object' || !s.column || !SORT_DIRECTIONS.includes(dir)) {
+        throw badRequest(`sort entries need a column and a dir of ${SORT_DIRECTIONS.join(' or ')}`);
+      }
+      return { column: text(s.column), dir };
+    }),
+    filters: Object.fromEntries(Object.entries(filters).map(([k, v]) => {
+      if (v !== null && typeof v === 'object') throw badRequest(`the filter for '${k}' must be text`);
+      return [k, text(v).trim()];
+    }).filter(([, v]) => v)),
+    search: text(input.search).trim(),
+    groupBy,
+    // '' for every row, 'any' for rows with a diagnostics issue, or one issue (e.g. 'rejected')
+    issue: text(input.issue),
+  };
+}
+
+// Filter text: "=x" equals x ("=" alone: empty), "!x" does not contain x, ">n" / "<n" compare
+// numbers, anything else is a case-insensitive "contains"
+function filterMatcher(filter) {
+  const value = filter.slice(1).trim().toLowerCase();
+  if (filter[0] === '=') return (cell) => text(cell).trim().toLowerCase() === value;
+  if (filter[0] === '!') return (cell) => !text(cell).toLowerCase().includes(value);
+  if ((filter[0] === '>' || filter[0] === '<') && isNumeric(value)) {
+    const limit = Number(value);
+    return filter[0] === '>' ? (cell) => isNumeric(cell) && Number(cell) > limit : (cell) => isNumeric(cell) && Number(cell) < limit;
+  }
+  const needle = filter.toLowerCase();
+  return (cell) => text(cell).toLowerCase().includes(needle);
+}
+
+// numbers as numbers, text by locale with embedded numbers in order; empty cells last either way
+function compareCells(a, b) {
+  const x = text(a);
+  const y = text(b);
+  if (!x || !y) return (x ? 0 : 1) - (y ? 0 : 1);
+  if (isNumeric(x) && isNumeric(y)) return Number(x) - Number(y);
+  return x.localeCompare(y, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function groupKeyOf(columns) {
+  const order = ORDER_COLUMNS.map((c) => columns.indexOf(c)).find((i) => i >= 0);
+  if (order === undefined) return null;
+  const store = columns.indexOf('Store');
+  return (row) => (store >= 0 ? `${row[store]} / ${row[order]}` : text(row[order]));
+}
+
+// The row indexes a view shows, in order, with the group each belongs to
+function viewIndexes(result, spec) {
+  const { columns, rows } = result;
+  const diagnostics = result.diagnostics || [];
+  let indexes = rows.map((r, i) => i);
+  if (spec.issue) {
+    indexes = indexes.filter((i) => {
+      const issues = (diagnostics[i] && diagnostics[i].issues) || [];
+      return spec.issue === 'any' ? issues.length > 0 : issues.includes(spec.issue);
+    });
+  }
+  Object.entries(spec.filters).forEach(([column, filter]) => {
+    const idx = columns.indexOf(column);
+    if (idx === -1) return;
+    const match = filterMatcher(filter);
+    indexes = indexes.filter((i) => match(rows[i][idx]));
+  });
+  if (spec.search) {
+    const terms = spec.search.toLowerCase().split(/\s+/);
+    indexes = indexes.filter((i) => {
+      const haystack = rows[i].map(text).join('\u0000').toLowerCase();
+      return terms.every((t) => haystack.includes(t));
+    });
+  }
+  const sorts = spec.sort.map((s) => ({ idx: columns.indexOf(s.column), sign: s.dir === 'desc' ? -1 : 1 })).filter((s) => s.idx >= 0);
+  if (sorts.length) {
+    indexes.sort((a, b) => {
+      for (const { idx, sign } of sorts) {
+        const diff = compareCells(rows[a][idx], rows[b][idx]);
+        if (diff) return sign * diff;
+      }
+      return a - b;
+    });
+  }
+  const groupKey = spec.groupBy === 'order' ? groupKeyOf(columns) : null;
+  if (!groupKey) return { indexes, groups: null };
+  // groups follow their first row; a group's rows stay in sorted order
+  const groups = new Map();
+  indexes.forEach((i) => {
+    const key = groupKey(rows[i]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+  return { indexes: Array.from(groups.values()).flat(), groups, groupKey };
+}
+
+// the shown columns as { name, label, idx }; unknown names are dropped
+function viewColumns(result, spec) {
+  const wanted = spec.columns.length ? spec.columns : result.columns.map((name) => ({ name, label: name }));
+  return wanted.map((c) => Object.assign({}, c, { idx: result.columns.indexOf(c.name) })).filter((c) => c.idx >= 0);
+}
+
+// One page of a result through a view: { columns: [{ name, label }], allColumns, total, totalRows,
+// offset, limit, rows: [{ index, group, cells, issues, rejections, sources }], groups: { key: rows } }.
+// `index` is the row's position in the stored result; `allColumns` lists the result's columns.
+function queryResult(result, spec, { offset = 0, limit = 50 } = {}) {
+  const start = Math.max(0, Math.floor(Number(offset)) || 0);
+  const size = Math.min(Math.max(1, Math.floor(Number(limit)) || 50), PAGE_LIMIT);
+  const columns = viewColumns(result, spec);
+  const { indexes, groups, groupKey } = viewIndexes(result, spec);
+  const diagnostics = result.diagnostics || [];
+  const rows = indexes.slice(start, start + size).map((i) => {
+    const diag = diagnostics[i] || { sources: {}, issues: [] };
+    const row = { index: i, cells: columns.map((c) => text(result.rows[i][c.idx])), issues: diag.issues, sources: diag.sources };
+    if (diag.rejections) row.rejections = diag.rejections;
+    if (diag.addressProblems) row.addressProblems = diag.addressProblems;
+    if (groupKey) row.group = groupKey(result.rows[i]);
+    return row;
+  });
+  const page = {
+    columns: columns.map(({ name, label }) => ({ name, label })),
+    allColumns: result.columns,
+    total: indexes.length,
+    totalRows: result.rows.length,
+    offset: start,
+    limit: size,
+    rows,
+    meta: result.meta,
+  };
+  if (groups) page.groups = Object.fromEntries(Array.from(new Set(rows.map((r) => r.group))).map((key) => [key, groups.get(key).length]));
+  if (result.pivot) page.pivot = true;
+  return page;
+}
+
+// The whole result through a view, as an exportable result ({ columns, rows, meta }). The
+// columns carry the view's labels; `sourceColumns` has the names they came from (for cell types).
+function applyView(result, spec) {
+  const columns = viewColumns(result, spec);
+  const { indexes } = viewIndexes(result, spec);
+  return {
+    columns: columns.map((c) => c.label),
+    sourceColumns: columns.map((c) => c.name),
+    rows: indexes.map((i) => columns.map((c) => result.rows[i][c.idx])),
+    meta: Object.assign({}, result.meta, { rows: indexes.length }),
+  };
+}
+
+function loadViews() {
+  return readJson(VIEWS_FILE, []);
+}
+
+function saveViews(views) {
+  writeJson(VIEWS_FILE, views);
+}
+
+// saved views, optionally only those for one report type
+function listViews(reportType) {
+  return loadViews().filter((v) => !reportType || v.reportType === reportType);
+}
+
+function getView(id) {
+  return loadViews().find((v) => v.id === id) || null;
+}
+
+function buildView(input, previous = null) {
+  const merged = Object.assign({}, previous || {}, input);
+  const name = text(merged.name).trim();
+  if (!name) throw badRequest('name is required');
+  if (!text(merged.reportType).trim()) throw badRequest('reportType is required: the report (or template) the view is for');
+  return Object.assign({
+    id: previous ? previous.id : crypto.randomUUID(),
+    name,
+    reportType: text(merged.reportType).trim(),
+  }, viewSpec(merged), {
+    owner: previous ? previous.owner : merged.owner,
+    createdAt: previous ? previous.createdAt : new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// `owner` is the user saving it
+function createView(input, owner) {
+  const views = loadViews();
+  const view = buildView(Object.assign({}, input, { owner }));
+  if (views.some((v) => v.reportType === view.reportType && v.name === view.name)) {
+    throw badRequest(`a view named '${view.name}' already exists for ${view.reportType}`);
+  }
+  views.push(view);
+  saveViews(views);
+  return view;
+}
+
+function updateView(id, input) {
+  const views = loadViews();
+  const idx = views.findIndex((v) => v.id === id);
+  if (idx === -1) return null;
+  views[idx] = buildView(input, views[idx]);
+  saveViews(views);
+  return views[idx];
+}
+
+function deleteView(id) {
+  const views = loadViews();
+  const idx = views.findIndex((v) => v.id === id);
+  if (idx === -1) return false;
+  views.splice(idx, 1);
+  saveViews(views);
+  return true;
+}
+
+module.exports = {
+  viewSpec,
+  queryResult,
+  applyView,
+  listViews,
+  getView,
+  createView,
+  updateView,
+  deleteView,
+};
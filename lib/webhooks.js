@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataPath, readJson, writeJson, ensureDir } = require('./storage');
+const { badRequest, unauthorized, httpError } = require('./errors');
+const { loadOrder, loadLineItems, loadShipments } = require('./brightSites');
+const { orderIdentifier } = require('./reports');
+const { getConfiguredStores, getWebhookSecret } = require('./stores');
+const { orderSnapshot, orderChanges } = require('./changes');
+const { prepareRun } = require('./pipeline');
+const { dateColumnFormatter, resolvePreset } = require('./dates');
+const { escapeCsvCell, exportFilename } = require('./export');
+const { recordAudit } = require('./audit');
+const { exportDir } = require('./delivery');
+const cache = require('./cache');
+
+// BrightSites webhooks: each event refreshes its order in the cache (./cache), records what
+// changed and can append the order to a file through the store's export rules. Events are
+// queued in data/webhook-events.json, so they survive a restart and failed ones are retried.
+const EVENTS_FILE = dataPath('webhook-events.json');
+const RULES_FILE = dataPath('webhook-rules.json');
+const EVENT_TYPES = ['order.created', 'order.updated', 'shipment.created'];
+// events kept (also the window in which duplicates are recognized)
+const EVENT_LIMIT = Number(process.env.WEBHOOK_EVENT_LIMIT) || 1000;
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+// first retry delay; it doubles with each attempt, up to an hour
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+let processing = null;
+let timer = null;
+
+function loadEvents() {
+  return readJson(EVENTS_FILE, []);
+}
+
+function saveEvents(events) {
+  writeJson(EVENTS_FILE, events.slice(0, EVENT_LIMIT));
+}
+
+function updateEvent(id, changes) {
+  const events = loadEvents();
+  const event = events.find((e) => e.id === id);
+  if (!event) return null;
+  Object.assign(event, changes);
+  saveEvents(events);
+  return event;
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function signBody(secret, rawBody) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+// X-BrightSites-Signature: [sha256=]<hex HMAC-SHA256 of the raw body>, or the secret itself in
+// X-Webhook-Secret for senders that can only add a fixed header
+function verifyRequest(secret, rawBody, headers) {
+  const signature = headers['x-brightsites-signature'];
+  if (signature) return safeEqual(String(signature).replace(/^sha256=/i, ''), signBody(secret, rawBody));
+  const token = headers['x-webhook-secret'];
+  return !!token && safeEqual(token, secret);
+}
+
+// "order_created", "Order.Created" -> "order.created"
+function eventType(value) {
+  return String(value || '').trim().toLowerCase().replace(/[_\s/]+/g, '.');
+}
+
+// { type, orderId } from an event body: { event|type|topic, data }. Order events carry the
+// order (as `data` or `data.order`); shipment events its `order_id`.
+function parseEvent(body, headers) {
+  const type = eventType(body.event || body.type || body.topic || headers['x-brightsites-event']);
+  if (!EVENT_TYPES.includes(type)) throw badRequest(`event type '${type}' not supported. Use ${EVENT_TYPES.join(', ')}.`);
+  const data = body.data || body.payload || body;
+  const order = data.order || {};
+  const shipment = data.shipment || {};
+  const orderId = type.startsWith('order.')
+    ? (order.id || data.id || order.order_id || data.order_id)
+    : (shipment.order_id || data.order_id || order.id);
+  if (!orderId) throw badRequest('event has no order id');
+  return { type, orderId: String(orderId) };
+}
+
+// Verify and queue an incoming webhook. Returns { event, duplicate }; an event id seen
+// before (the body's `id`, X-BrightSites-Event-Id, or else a hash of the body) is not queued again.
+function receiveEvent(storeKey, rawBody, headers = {}) {
+  const secret = getWebhookSecret(storeKey);
+  if (!secret) throw httpError(404, `webhooks are not set up for store '${storeKey}'`);
+  if (!verifyRequest(secret, rawBody, headers)) throw unauthorized('invalid webhook signature');
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString('utf8'));
+  } catch (err) {
+    throw badRequest('webhook body must be JSON');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('webhook body must be a JSON object');
+  const { type, orderId } = parseEvent(body, headers);
+  const eventId = String(body.id || body.event_id || headers['x-brightsites-event-id'] || crypto.createHash('sha256').update(rawBody).digest('hex'));
+
+  const events = loadEvents();
+  const seen = events.find((e) => e.storeKey === storeKey && e.eventId === eventId);
+  if (seen) return { event: seen, duplicate: true };
+  const now = new Date().toISOString();
+  const event = { id: crypto.randomUUID(), eventId, storeKey, type, orderId, status: 'pending', attempts: 0, receivedAt: now, nextAttemptAt: now };
+  saveEvents([event].concat(events));
+  setImmediate(() => processQueue().catch((err) => console.error('Webhooks', err)));
+  return { event, duplicate: false };
+}
+
+function due(event, now) {
+  return (event.status === 'pending' || event.status === 'retrying') && Date.parse(event.nextAttemptAt) <= now;
+}
+
+// Work through due events, oldest first, one at a time. Resolves once the queue is empty
+// (events waiting for a retry are left to the timer).
+function processQueue() {
+  if (!processing) {
+    processing = (async () => {
+      for (;;) {
+        const next = loadEvents().filter((e) => due(e, Date.now())).pop();
+        if (!next) break;
+        await processEvent(next);
+      }
+    })().finally(() => {
+      processing = null;
+      scheduleRetry();
+    });
+  }
+  return processing;
+}
+
+function scheduleRetry() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+  const waiting = loadEvents().filter((e) => e.status === 'retrying' || e.status === 'pending');
+  if (!waiting.length) return;
+  const at = Math.min(...waiting.map((e) => Date.parse(e.nextAttemptAt)));
+  timer = setTimeout(() => {
+    timer = null;
+    processQueue().catch((err) => console.error('Webhooks', err));
+  }, Math.max(0, at - Date.now()));
+  timer.unref();
+}
+
+async function processEvent(event) {
+  const attempts = event.attempts + 1;
+  updateEvent(event.id, { status: 'processing', attempts });
+  try {
+    const store = getConfiguredStores()[event.storeKey];
+    if (!store) throw new Error(`store '${event.storeKey}' not found or disabled`);
+    const storeOpts = { subdomain: store.subdomain, token: store.token, rps: store.rps };
+    const [fullOrder, line_items, shipments] = await Promise.all([
+      loadOrder(event.orderId, storeOpts),
+      loadLineItems(event.orderId, storeOpts),
+      loadShipments(event.orderId, storeOpts),
+    ]);
+    const entry = { order: fullOrder, line_items, shipments };
+    // changes since the order was last cached; parts that were never cached can't be compared
+    const previous = cache.cachedOrder(event.storeKey, orderIdentifier(fullOrder));
+    const after = orderSnapshot(event.storeKey, entry);
+    const compare = previous ? { lineItems: !!previous.line_items, shipments: !!previous.shipments } : { lineItems: true };
+    const changes = orderChanges(previous && orderSnapshot(event.storeKey, previous), after, compare);
+    // the cache is only updated once the rules ran, so a retry sees the same changes
+    const exports = applyRules(event, store, entry, changes);
+    cache.storeEnrichment(event.storeKey, fullOrder, { fullOrder, line_items, shipments });
+    cache.saveCache(event.storeKey);
+    updateEvent(event.id, { status: 'done', orderNumber: after.number, orderStatus: after.status, changes, exports, error: undefined, processedAt: new Date().toISOString() });
+  } catch (err) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    if (failed) console.error('Webhook event failed', event.storeKey, event.type, event.orderId, err.message);
+    updateEvent(event.id, {
+      status: failed ? 'failed' : 'retrying',
+      error: String(err.message || err),
+      nextAttemptAt: new Date(Date.now() + Math.min(RETRY_BASE_MS * (2 ** (attempts - 1)), RETRY_MAX_MS)).toISOString(),
+    });
+  }
+}
+
+// requeue a failed event now (attempts start over)
+function retryEvent(id) {
+  const event = updateEvent(id, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() });
+  if (event) setImmediate(() => processQueue().catch((err) => console.error('Webhooks', err)));
+  return event;
+}
+
+function listEvents() {
+  return loadEvents();
+}
+
+// --- export rules: "append new paid orders to today's file" ---
+
+function loadRules() {
+  return readJson(RULES_FILE, []);
+}
+
+function saveRules(rules) {
+  writeJson(RULES_FILE, rules);
+}
+
+// the report a rule writes, resolved against its store (throws a 400 for unknown ones)
+function ruleRun(rule, stores) {
+  const run = prepareRun({ storeKey: rule.storeKey, reportType: rule.reportType || undefined, templateId: rule.templateId || undefined }, { stores });
+  if (run.resource !== 'orders' || run.report.aggregate) {
+    throw badRequest(`report '${run.report.name}' can't be appended to order by order; choose an order or line item report.`);
+  }
+  return run;
+}
+
+// { name, storeKey, events: [...], status, reportType | templateId, path, enabled }
+function buildRule(input = {}, previous = null, stores = getConfiguredStores()) {
+  const merged = Object.assign({}, previous || {}, input);
+  const name = String(merged.name || '').trim();
+  if (!name) throw badRequest('name is required');
+  const events = Array.isArray(merged.events) && merged.events.length ? merged.events.map(eventType) : EVENT_TYPES.slice();
+  const unknown = events.filter((t) => !EVENT_TYPES.includes(t));
+  if (unknown.length) throw badRequest(`events '${unknown.join("', '")}' not supported. Use ${EVENT_TYPES.join(', ')}.`);
+  const rule = {
+    id: previous ? previous.id : crypto.randomUUID(),
+    name,
+    storeKey: String(merged.storeKey || ''),
+    events,
+    status: String(merged.status || '').trim(),
+    reportType: merged.templateId ? '' : String(merged.reportType || ''),
+    templateId: String(merged.templateId || ''),
+    path: String(merged.path || '').trim(),
+    enabled: merged.enabled !== false,
+    lastFile: previous ? previous.lastFile : null,
+  };
+  // a folder under the export root, like folder deliveries
+  exportDir(rule.path);
+  rule.reportType = ruleRun(rule, stores).report.name;
+  return rule;
+}
+
+function listRules() {
+  return loadRules();
+}
+
+function getRule(id) {
+  return loadRules().find((r) => r.id === id) || null;
+}
+
+function createRule(input, { stores } = {}) {
+  const rule = buildRule(input, null, stores);
+  saveRules(loadRules().concat(rule));
+  return rule;
+}
+
+function updateRule(id, input, { stores } = {}) {
+  const rules = loadRules();
+  const idx = rules.findIndex((r) => r.id === id);
+  if (idx < 0) return null;
+  rules[idx] = buildRule(input, rules[idx], stores);
+  saveRules(rules);
+  return rules[idx];
+}
+
+function deleteRule(id) {
+  const rules = loadRules();
+  const next = rules.filter((r) => r.id !== id);
+  if (next.length === rules.length) return false;
+  saveRules(next);
+  return true;
+}
+
+function ruleMatches(rule, event, order) {
+  if (!rule.enabled || rule.storeKey !== event.storeKey || !rule.events.includes(event.type)) return false;
+  return !rule.status || String(order.status || '').toLowerCase() === rule.status.toLowerCase();
+}
+
+// Append the event's order to today's file of every matching rule: a CSV named like other
+// exports (<store>_<report>_<date>.csv), with a header when the file is new. "Today" is the
+// day it is in the store's timezone. Each order goes into a day's file once.
+// Returns [{ rule, file, rows }].
+function applyRules(event, store, entry, changes) {
+  const rules = loadRules();
+  const written = [];
+  const day = resolvePreset('today', new Date(), store.timezone).start;
+  rules.filter((rule) => ruleMatches(rule, event, entry.order)).forEach((rule) => {
+    const run = ruleRun(rule, { [event.storeKey]: store });
+    const name = exportFilename({ storeKey: event.storeKey, reportType: run.report.name, day }, 'csv');
+    const orderKey = String(orderIdentifier(entry.order));
+    const lastFile = rule.lastFile && rule.lastFile.name === name ? rule.lastFile : { name, orders: [] };
+    if (lastFile.orders.includes(orderKey)) return;
+    const rows = run.report.buildRows(entry, { allocation: run.allocation, timeZone: store.timezone }).map(dateColumnFormatter(run.report.columns, store));
+    const dir = ensureDir(exportDir(rule.path));
+    const file = path.join(dir, name);
+    const lines = rows.map((r) => r.map(escapeCsvCell).join(',') + '\n');
+    if (!fs.existsSync(file)) lines.unshift(run.report.columns.map(escapeCsvCell).join(',') + '\n');
+    fs.appendFileSync(file, lines.join(''));
+    rule.lastFile = { name, orders: lastFile.orders.concat(orderKey) };
+    written.push({ rule: rule.name, file, rows: rows.length });
+    recordAudit({
+      action: 'webhook-export',
+      user: null,
+      rule: rule.name,
+      storeKeys: [event.storeKey],
+      reportType: run.report.name,
+      format: 'csv',
+      rows: rows.length,
+      target: file,
+      changes: changes.map((c) => c.change),
+    });
+  });
+  if (written.length) saveRules(rules);
+  return written;
+}
+
+// pick up events left pending or waiting for a retry by a previous process
+function startWebhookWorker() {
+  loadEvents().filter((e) => e.status === 'processing').forEach((e) => updateEvent(e.id, { status: 'retrying' }));
+  scheduleRetry();
+}
+
+function stopWebhookWorker() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  signBody,
+  receiveEvent,
+  processQueue,
+  retryEvent,
+  listEvents,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  startWebhookWorker,
+  stopWebhookWorker,
+};
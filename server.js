@@ -3,406 +3,826 @@ const path = require('path');
 const dotenv = require('dotenv');
 dotenv.config();
 
-const {
-  fetchAllPages,
-  loadLineItems,
-  loadShipments,
-  composeAddressBlob,
-  trackingForLineItem,
-} = require('./lib/brightSites');
+const { listReports } = require('./lib/reports');
+const profiles = require('./lib/profiles');
+const views = require('./lib/views');
+const stores = require('./lib/stores');
+const { prepareRun, describeRun, rerunBody, runReport } = require('./lib/pipeline');
+const jobs = require('./lib/jobs');
+const history = require('./lib/history');
+const { FORMATS, normalizeFormat, sendExport } = require('./lib/export');
+const cache = require('./lib/cache');
+const scheduler = require('./lib/scheduler');
+const templates = require('./lib/templates');
+const dates = require('./lib/dates');
+const { httpError, badRequest, forbidden } = require('./lib/errors');
+const auth = require('./lib/auth');
+const oidc = require('./lib/oidc');
+const { recordAudit, readAudit } = require('./lib/audit');
+const webhooks = require('./lib/webhooks');
 
 const app = express();
+// behind a proxy, req.ip / req.protocol come from X-Forwarded-* (TRUST_PROXY=1)
+if (process.env.TRUST_PROXY === '1') app.set('trust proxy', 1);
+
+// BrightSites webhooks are signed with the store's webhook secret rather than sent with a
+// session, and read raw so the signature is checked against the exact body
+app.post('/webhooks/brightsites/:storeKey', express.raw({ type: '*/*', limit: '1mb' }), (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const { event, duplicate } = webhooks.receiveEvent(req.params.storeKey, rawBody, req.headers);
+    res.status(duplicate ? 200 : 202).json({ id: event.id, status: event.status, duplicate });
+  } catch (err) {
+    if (err.status === 401) recordAudit({ action: 'webhook-rejected', storeKeys: [req.params.storeKey], ip: req.ip });
+    sendError(res, err, '/webhooks/brightsites/:storeKey');
+  }
+});
+
 app.use(express.json({ limit: '5mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 const PORT = process.env.PORT || 3000;
 
-// simple promise pool for concurrency-limited enrichment
-async function promisePool(items, worker, concurrency = 5) {
-  const results = [];
-  let i = 0;
-  const runners = new Array(concurrency).fill(null).map(async () => {
-    while (i < items.length) {
-      const idx = i++;
-      try {
-        results[idx] = await worker(items[idx], idx);
-      } catch (err) {
-        results[idx] = { error: String(err) };
-      }
-    }
-  });
-  await Promise.all(runners);
-  return results;
+function sendError(res, err, where) {
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  console.error(`Error ${where}`, err);
+  return res.status(500).json({ error: String(err) });
 }
 
-const COLUMNS = [
-  'Order #','Placed','Order Status','Line Item ID','Tracking #',
-  'Shipping Landded Cost','Ship Method','Ship Date',
-  'Product Personalization','Quantity','Product Name','Product Options',
-  'Billing Info','Shipping Info'
-];
-
-// appended structured columns (kept after the required headers)
-const STRUCTURED_COLUMNS = [
-  'Billing Name','Billing Company','Billing Address1','Billing Address2','Billing City','Billing State','Billing Zip','Billing Country','Billing Email','Billing Phone',
-  'Shipping Name','Shipping Company','Shipping Address1','Shipping Address2','Shipping City','Shipping State','Shipping Zip','Shipping Country','Shipping Email','Shipping Phone'
-];
-
-// full columns exposed in API
-const ALL_COLUMNS = COLUMNS.concat(STRUCTURED_COLUMNS);
-
-function formatProductOptions(opts) {
-  if (!opts) return '';
-  if (typeof opts === 'string') return opts;
-  if (Array.isArray(opts)) {
-    return opts.map(o => {
-      if (o == null) return '';
-      if (typeof o === 'string') return o;
-      // common shape: { option_name, sub_option_name }
-      if (o.option_name || o.sub_option_name) {
-        const name = o.option_name || o.name || '';
-        const sub = o.sub_option_name || o.value || o.sub || '';
-        return [name, sub].filter(Boolean).join(': ');
-      }
-      // fallback: stringify shallow
-      try { return JSON.stringify(o); } catch (e) { return String(o); }
-    }).filter(Boolean).join('; ');
-  }
-  if (typeof opts === 'object') {
-    // map key: value
-    try {
-      const parts = Object.entries(opts).map(([k, v]) => `${k}: ${v}`);
-      return parts.join('; ');
-    } catch (e) {
-      return String(opts);
-    }
+function exportOptions(source) {
+  const format = normalizeFormat(source.format);
+  if (!format) throw badRequest(`format '${String(source.format)}' not supported. Use ${Object.keys(FORMATS).join(', ')}.`);
+  const bom = source.bom === true || source.bom === '1' || source.bom === 'true';
+  return { format, columns: source.columns, bom };
+}
+
+// The grid view a query or download goes through: a saved one (`viewId`) or the grid's
+// current settings (`view`, JSON in query strings); null for the plain result
+function requestedView(source) {
+  if (source.viewId) {
+    const view = views.getView(String(source.viewId));
+    if (!view) throw httpError(404, `view '${String(source.viewId)}' not found`);
+    return view;
+  }
+  if (!source.view) return null;
+  if (typeof source.view !== 'string') return views.viewSpec(source.view);
+  try {
+    return views.viewSpec(JSON.parse(source.view));
+  } catch (err) {
+    if (err.status) throw err;
+    throw badRequest('view must be JSON');
   }
-  return String(opts);
 }
 
-function formatProductPersonalization(pp) {
-  if (!pp) return '';
-  if (typeof pp === 'string') return pp;
-  const arr = Array.isArray(pp) ? pp : (pp.personalizations || pp.product_personalizations || []);
-  if (!Array.isArray(arr) || arr.length === 0) return '';
-  return arr.map(item => {
-    if (!item) return '';
-    const title = item.title || item.name || '';
-    let attrs = '';
-    if (Array.isArray(item.attributes)) {
-      attrs = item.attributes.map(a => {
-        if (typeof a === 'string') return a;
-        const k = a.key || a.name || '';
-        const v = a.value || a.val || '';
-        return [k, v].filter(Boolean).join(': ');
-      }).filter(Boolean).join(', ');
-    }
-    let price = '';
-    if (item.price_modifier) {
-      const pt = item.price_modifier.modifier_type || item.price_modifier.type || '';
-      const amt = item.price_modifier.amount || item.price_modifier.value || '';
-      price = (pt || amt) ? `${pt || ''}${amt || ''}` : '';
-    }
-    const parts = [];
-    if (title) parts.push(title);
-    if (attrs) parts.push(`Attributes: ${attrs}`);
-    if (price) parts.push(`Price: ${price}`);
-    return parts.join(' | ');
-  }).filter(Boolean).join(' ; ');
+// a download through a view has the view's columns and rows; `columns` is then ignored
+function viewedExport(result, view, options) {
+  if (!view) return { result, options };
+  return { result: views.applyView(result, view), options: Object.assign({}, options, { columns: undefined }) };
+}
+
+// the stores the signed-in user may export from (key -> store)
+function userStores(req) {
+  return auth.storesFor(req.user, stores.getConfiguredStores());
 }
 
-// support multiple stores via env var BRIGHTSITES_STORES as JSON object { key: { subdomain, token, label } }
-function getConfiguredStores() {
-  const env = process.env.BRIGHTSITES_STORES;
-  if (env) {
-    try {
-      const parsed = JSON.parse(env);
-      // normalize: if an entry lacks `token`, use the map key as the token
-      const out = {};
-      Object.entries(parsed).forEach(([k, v]) => {
-        const store = Object.assign({}, v || {});
-        if (!store.token) store.token = k;
-        out[k] = store;
-      });
-      return out;
-    } catch (e) { console.warn('BRIGHTSITES_STORES invalid JSON'); }
-  }
-  // No hard-coded defaults. Return empty object if BRIGHTSITES_STORES not provided.
-  return {};
+function jobStoreKeys(job) {
+  return job.params.storeKeys || [job.params.storeKey];
 }
 
+// jobs belong to the user who started them; admins see everyone's. Losing access to a
+// store also hides earlier jobs that exported from it.
+function canSeeJob(req, job) {
+  if (!job) return false;
+  if (job.owner !== req.user.username && !auth.hasRole(req.user, 'admin')) return false;
+  return auth.canAccessStores(req.user, jobStoreKeys(job));
+}
+
+function findJob(req, res) {
+  const job = jobs.getJob(String(req.params.id || req.query.jobId || ''));
+  if (canSeeJob(req, job)) return job;
+  res.status(404).json({ error: 'job not found' });
+  return null;
+}
+
+function audit(req, event) {
+  recordAudit(Object.assign({ user: req.user ? req.user.username : null, ip: req.ip }, event));
+}
+
+function startSession(req, res, user, provider) {
+  const session = auth.createSession(user);
+  res.set('Set-Cookie', auth.sessionCookie(session));
+  recordAudit({ action: 'login', provider, user: user.username, ip: req.ip });
+  return session;
+}
+
+// --- sign-in (the only /api routes that work without a session) ---
+
+app.get('/api/auth/config', (req, res) => {
+  res.json({ oidc: oidc.oidcEnabled() });
+});
+
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  try {
+    const user = auth.authenticate(username, password);
+    const session = startSession(req, res, user, 'local');
+    res.json({ user, csrfToken: session.csrfToken });
+  } catch (err) {
+    recordAudit({ action: 'login-failed', user: String(username || ''), ip: req.ip });
+    sendError(res, err, '/api/auth/login');
+  }
+});
+
+app.get('/auth/oidc/login', async (req, res) => {
+  try {
+    if (!oidc.oidcEnabled()) return res.status(404).send('Single sign-on is not configured');
+    res.redirect(await oidc.authorizationUrl(`${req.protocol}://${req.get('host')}/auth/oidc/callback`));
+  } catch (err) {
+    console.error('Error /auth/oidc/login', err);
+    res.status(502).send('Could not reach the identity provider');
+  }
+});
+
+app.get('/auth/oidc/callback', async (req, res) => {
+  try {
+    const claims = await oidc.completeSignIn(req.query);
+    startSession(req, res, auth.oidcUser(claims), 'oidc');
+    res.redirect('/');
+  } catch (err) {
+    if (!err.status) console.error('Error /auth/oidc/callback', err);
+    recordAudit({ action: 'login-failed', provider: 'oidc', ip: req.ip, error: err.message });
+    res.status(err.status || 500).send(`Sign-in failed: ${err.status ? err.message : 'unexpected error'}`);
+  }
+});
+
+app.use('/api', auth.requireAuth);
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user, csrfToken: req.session.csrfToken });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.destroySession(req.session.id);
+  res.set('Set-Cookie', auth.sessionCookie(null));
+  res.json({ signedOut: true });
+});
+
+// --- users and audit log (admins) ---
+
+app.get('/api/users', auth.requireRole('admin'), (req, res) => {
+  res.json(auth.listUsers());
+});
+
+app.post('/api/users', auth.requireRole('admin'), (req, res) => {
+  try {
+    const user = auth.createUser(req.body || {});
+    audit(req, { action: 'user-created', target: user.username, role: user.role, stores: user.stores });
+    res.status(201).json(user);
+  } catch (err) {
+    sendError(res, err, '/api/users');
+  }
+});
+
+app.put('/api/users/:id', auth.requireRole('admin'), (req, res) => {
+  try {
+    const user = auth.updateUser(req.params.id, req.body || {});
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    audit(req, { action: 'user-updated', target: user.username, role: user.role, stores: user.stores, disabled: user.disabled });
+    res.json(user);
+  } catch (err) {
+    sendError(res, err, '/api/users/:id');
+  }
+});
+
+app.delete('/api/users/:id', auth.requireRole('admin'), (req, res) => {
+  try {
+    const user = auth.getUser(req.params.id);
+    if (!user || !auth.deleteUser(req.params.id)) return res.status(404).json({ error: 'user not found' });
+    audit(req, { action: 'user-deleted', target: user.username });
+    res.json({ id: req.params.id, deleted: true });
+  } catch (err) {
+    sendError(res, err, '/api/users/:id');
+  }
+});
+
+// ?limit=200&user=alice&action=download
+app.get('/api/audit', auth.requireRole('admin'), (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 200, 5000);
+  res.json(readAudit({ limit, user: req.query.user || undefined, action: req.query.action || undefined }));
+});
+
+// synchronous run: kept for small exports and scripts; the UI uses /api/jobs.
+// With `format` set the file is streamed back instead of the JSON rows.
 app.post('/api/run', async (req, res) => {
   try {
     const body = req.body || {};
-    // require explicit storeKey to avoid accidental defaults; caller must select a store
-    const storeKey = body.storeKey;
-    const stores = getConfiguredStores();
-    if (!storeKey) {
-      return res.status(400).json({ error: 'storeKey is required. Call GET /api/stores to list available stores and include storeKey in the request body.' });
+    const options = body.format ? exportOptions(body) : null;
+    const run = prepareRun(body, { stores: userStores(req) });
+    const startedAt = new Date().toISOString();
+    const result = await runReport(run);
+    const entry = history.recordRun({ kind: 'run', user: req.user.username, params: describeRun(run, body), startedAt }, result);
+    // the order snapshot is kept in the history for change reports, not sent back
+    delete result.snapshot;
+    audit(req, {
+      action: options ? 'download' : 'run',
+      storeKeys: run.stores ? run.stores.map((s) => s.storeKey) : [run.storeKey],
+      reportType: run.report.name,
+      templateId: run.report.templateId || undefined,
+      format: options ? options.format : undefined,
+      rows: result.meta.rows,
+      history: entry.id,
+    });
+    if (options) return await sendExport(res, result, Object.assign({ storeKey: run.storeKey, reportType: run.report.name }, body), options);
+    return res.json(Object.assign({ historyId: entry.id }, result));
+  } catch (err) {
+    if (res.headersSent) {
+      console.error('Error /api/run', err);
+      return res.end();
     }
-    const store = stores[storeKey];
-    if (!store) {
-      return res.status(400).json({ error: `storeKey '${String(storeKey)}' not found. Available stores: ${Object.keys(stores).join(', ')}` });
+    sendError(res, err, '/api/run');
+  }
+});
+
+app.post('/api/jobs', (req, res) => {
+  try {
+    const job = jobs.createJob(req.body || {}, { owner: req.user.username, stores: userStores(req) });
+    res.status(202).json(job);
+  } catch (err) {
+    sendError(res, err, '/api/jobs');
+  }
+});
+
+app.get('/api/jobs', (req, res) => {
+  res.json(jobs.listJobs().filter((job) => canSeeJob(req, job)));
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (job) res.json(job);
+});
+
+app.get('/api/jobs/:id/result', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  if (job.status !== 'done') return res.status(409).json({ error: `job is ${job.status}` });
+  const result = jobs.getJobResult(req.params.id);
+  if (!result) return res.status(404).json({ error: 'job result not found' });
+  audit(req, { action: 'view', job: job.id, storeKeys: jobStoreKeys(job), reportType: job.params.reportType, rows: result.meta.rows });
+  res.json(result);
+});
+
+// file download of a finished job: ?jobId=...&format=csv|xlsx|ndjson|html&columns=A,B&bom=1,
+// optionally through a grid view (&viewId=... or &view={...})
+app.get('/api/export', async (req, res) => {
+  try {
+    const view = requestedView(req.query);
+    const job = findJob(req, res);
+    if (!job) return;
+    if (job.status !== 'done') return res.status(409).json({ error: `job is ${job.status}` });
+    const stored = jobs.getJobResult(job.id);
+    if (!stored) return res.status(404).json({ error: 'job result not found' });
+    const { result, options } = viewedExport(stored, view, exportOptions(req.query));
+    audit(req, {
+      action: 'download',
+      job: job.id,
+      storeKeys: jobStoreKeys(job),
+      reportType: job.params.reportType,
+      templateId: job.params.templateId || undefined,
+      format: options.format,
+      rows: result.meta.rows,
+      view: view ? view.id || 'custom' : undefined,
+    });
+    await sendExport(res, result, job.params, options);
+  } catch (err) {
+    if (res.headersSent) {
+      console.error('Error /api/export', err);
+      return res.end();
     }
-    const storeOpts = { subdomain: store.subdomain, token: store.token };
-    const reportType = body.reportType || 'Needed Excel';
-    const dateFilterType = body.dateFilterType || 'created_at';
-    const status = body.status;
-
-    const params = {};
-    // status filter
-    if (status) params.status = status;
-
-    // date range
-    if (body.start && body.end) {
-      const fromKey = `${dateFilterType}_from`;
-      const toKey = `${dateFilterType}_to`;
-      params[fromKey] = new Date(body.start).toISOString();
-      params[toKey] = new Date(body.end).toISOString();
+    sendError(res, err, '/api/export');
+  }
+});
+
+// progress stream (Server-Sent Events); closes once the job reaches a final state
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  const isFinal = (j) => ['done', 'failed', 'cancelled'].includes(j.status);
+  let unsubscribe = () => {};
+  const send = (j) => {
+    res.write(`event: ${isFinal(j) ? j.status : 'progress'}\ndata: ${JSON.stringify(j)}\n\n`);
+    if (isFinal(j)) {
+      unsubscribe();
+      res.end();
     }
+  };
+  unsubscribe = jobs.onJobUpdate(job.id, send);
+  req.on('close', () => unsubscribe());
+  send(job);
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  if (!findJob(req, res)) return;
+  if (!jobs.cancelJob(req.params.id)) return res.status(404).json({ error: 'job not found' });
+  res.json(jobs.getJob(req.params.id) || { id: req.params.id, deleted: true });
+});
+
+// runs belong to whoever ran them; admins see everyone's, managers also see scheduled runs.
+// As with jobs, losing access to a store hides the runs that exported from it.
+function canSeeRun(req, entry) {
+  if (!entry) return false;
+  const mine = entry.user === req.user.username
+    || auth.hasRole(req.user, 'admin')
+    || (entry.kind === 'schedule' && auth.hasRole(req.user, 'manager'));
+  return mine && auth.canAccessStores(req.user, entry.storeKeys);
+}
+
+function findRun(req, res, id = req.params.id) {
+  const entry = history.getHistoryEntry(String(id || ''));
+  if (canSeeRun(req, entry)) return entry;
+  res.status(404).json({ error: `run '${String(id || '')}' not found` });
+  return null;
+}
+
+// ?limit=100&kind=job|run|schedule|cli
+app.get('/api/history', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  const entries = history.listHistory()
+    .filter((e) => canSeeRun(req, e) && (!req.query.kind || e.kind === req.query.kind));
+  res.json(entries.slice(0, limit));
+});
 
-    // fetch all orders with pagination
-  const orders = await fetchAllPages('/orders', params, 200, storeOpts);
-
-    // compact snapshot of first order for debugging address fields (safe to JSON)
-    let debugInfo = null;
-    if (Array.isArray(orders) && orders.length > 0) {
-      const o = orders[0] || {};
-      debugInfo = {
-        sampleOrderKeys: Object.keys(o),
-        sampleOrderFields: {
-          order_id: o.order_id || o.id || null,
-          customer: o.customer || null,
-          customer_email: o.customer_email || null,
-          billing: o.billing || null,
-          billing_address: o.billing_address || null,
-          billing_contact: o.billing_contact || null,
-          shipping: o.shipping || null,
-          shipping_address: o.shipping_address || null,
-          shipping_contact: o.shipping_contact || null,
-        }
-      };
-         // try to fetch the show-order for better debug info
-         const firstId = o.order_id || o.id || o.orderNumber || o.number;
-         try {
-           const fullFirst = await require('./lib/brightSites').loadOrder(firstId, storeOpts);
-           debugInfo = {
-             sampleOrderKeys: Object.keys(fullFirst || o),
-             sampleOrderFields: {
-               order_id: fullFirst.order_id || fullFirst.id || o.order_id || o.id || null,
-               customer: fullFirst.customer || fullFirst.customer_email || fullFirst.customer_id || o.customer || null,
-               customer_email: fullFirst.customer_email || null,
-               billing: fullFirst.billing || fullFirst.billing_address || fullFirst.billing_contact || null,
-               billing_address: fullFirst.billing_address || null,
-               billing_contact: fullFirst.billing_contact || null,
-               shipping: fullFirst.shipping || fullFirst.shipment || null,
-               shipping_address: fullFirst.shipping_address || null,
-               shipping_contact: fullFirst.shipping_contact || null,
-             }
-           };
-         } catch (e) {
-           const o = orders[0] || {};
-           debugInfo = {
-             sampleOrderKeys: Object.keys(o),
-             sampleOrderFields: {
-               order_id: o.order_id || o.id || null,
-               customer: o.customer || null,
-               customer_email: o.customer_email || null,
-               billing: o.billing || null,
-               billing_address: o.billing_address || null,
-               billing_contact: o.billing_contact || null,
-               shipping: o.shipping || null,
-               shipping_address: o.shipping_address || null,
-               shipping_contact: o.shipping_contact || null,
-             }
-           };
-         }
+// the change report between two runs the user can see (`source.from` and `source.to`)
+function findChanges(req, res, source) {
+  if (!source.from || !source.to) throw badRequest('from and to are required: the ids of the two runs to compare, oldest first.');
+  const from = findRun(req, res, source.from);
+  if (!from) return null;
+  const to = findRun(req, res, source.to);
+  if (!to) return null;
+  return { from, to, report: history.compareRuns(from.id, to.id) };
+}
+
+// what changed from one run to a later one: ?from=<run id>&to=<run id>[&format=csv|xlsx|...]
+// (downloads can go through a grid view, as for /api/history/:id/export)
+app.get('/api/history/changes', async (req, res) => {
+  try {
+    const view = req.query.format ? requestedView(req.query) : null;
+    const changes = findChanges(req, res, req.query);
+    if (!changes) return;
+    const { from, to } = changes;
+    const { result: report, options } = req.query.format ? viewedExport(changes.report, view, exportOptions(req.query)) : { result: changes.report, options: null };
+    audit(req, {
+      action: options ? 'download' : 'view',
+      history: [from.id, to.id],
+      storeKeys: Array.from(new Set(from.storeKeys.concat(to.storeKeys))),
+      reportType: changes.report.meta.reportType,
+      format: options ? options.format : undefined,
+      rows: report.meta.rows,
+      view: view ? view.id || 'custom' : undefined,
+    });
+    if (options) return await sendExport(res, report, { storeKey: to.params.storeKey, reportType: 'changes' }, options);
+    res.json(report);
+  } catch (err) {
+    if (res.headersSent) {
+      console.error('Error /api/history/changes', err);
+      return res.end();
     }
+    sendError(res, err, '/api/history/changes');
+  }
+});
+
+// Paged grid queries. Body: { offset, limit, viewId | view: { columns, sort, filters, search,
+// groupBy, issue } } (see lib/views.js); the change report also takes { from, to }.
+app.post('/api/history/changes/query', (req, res) => {
+  try {
+    const body = req.body || {};
+    const view = requestedView(body) || views.viewSpec();
+    const changes = findChanges(req, res, body);
+    if (changes) res.json(views.queryResult(changes.report, view, body));
+  } catch (err) {
+    sendError(res, err, '/api/history/changes/query');
+  }
+});
+
+app.get('/api/history/:id', (req, res) => {
+  const entry = findRun(req, res);
+  if (entry) res.json(entry);
+});
+
+app.get('/api/history/:id/result', (req, res) => {
+  const entry = findRun(req, res);
+  if (!entry) return;
+  const result = history.getHistoryResult(entry.id);
+  if (!result) return res.status(404).json({ error: 'run result not found' });
+  audit(req, { action: 'view', history: entry.id, storeKeys: entry.storeKeys, reportType: entry.reportType, rows: result.meta.rows });
+  res.json(result);
+});
 
-  let rows = [];
-
-    if (reportType === 'Needed Excel') {
-      // Enrich orders with line_items and shipments (concurrency-limited)
-      const enriched = await promisePool(
-        orders,
-        async (order) => {
-          const orderIdentifier = order.id || order.order_id || order.orderNumber || order.number;
-          const [fullOrder, line_items, shipments] = await Promise.all([
-            require('./lib/brightSites').loadOrder(orderIdentifier, storeOpts),
-            loadLineItems(orderIdentifier, storeOpts),
-            loadShipments(orderIdentifier, storeOpts),
-          ]);
-          // merge returned fullOrder over the minimal order snapshot so we prefer show-order fields
-          const mergedOrder = Object.assign({}, order, fullOrder || {});
-          return { order: mergedOrder, line_items, shipments };
-        },
-        5
-      );
-
-  enriched.forEach(({ order, line_items = [], shipments = [] }) => {
-        // if no line items, skip
-        line_items.forEach((li) => {
-          // find shipments that include this line item
-          const tracking = trackingForLineItem({ order, shipments }, li.id);
-
-          // pick a representative shipment for costs/method/date
-          let representative = null;
-          // prefer shipment that references this line item
-          for (const s of shipments) {
-            const ids = (s.line_item_ids || []).map(String);
-            const sLineItems = (s.line_items || []).map((x) => String(x.id || x));
-            if (ids.includes(String(li.id)) || sLineItems.includes(String(li.id))) {
-              representative = s;
-              break;
-            }
-          }
-          if (!representative && shipments.length) representative = shipments[0];
-
-          const shippingLanded = (representative && (representative.landed_cost || representative.shipping_cost)) || order.shipping_total || '';
-          const shipMethod = (representative && (representative.shipping_method || order.shipping_method)) || '';
-          const shipDate = (representative && (representative.ship_date || representative.shipped_at)) || '';
-
-          const placed = order.placed_at || order.created_at || '';
-          const productPersonalization = formatProductPersonalization(li.product_personalizations || li.personalizations || li.personalization || li.product_personalization);
-          const quantity = li.quantity || '';
-          const productName = li.name || li.product_name || '';
-          const productOptions = formatProductOptions(li.options_text || li.product_options || li.options);
-
-          // Prefer the documented show-order fields (billing_contact, billing_address, shipping_contact, shipping_address)
-          const billingSrc = order.billing_contact || order.billing_address || order.billing || {};
-          // If billing_contact/address are objects nested under different keys, merge them as a defensive fallback
-          const billingMerged = Object.assign({}, order.billing || {}, order.billing_address || {}, order.billing_contact || {});
-
-          const shippingSrc = order.shipping_contact || order.shipping_address || order.shipping || {};
-          const shippingMerged = Object.assign({}, order.shipping || {}, order.shipping_address || {}, order.shipping_contact || {});
-          // pass representative shipment as extras so composeAddressBlob can use shipment address fallbacks
-          // Use merged objects so we capture any fields present under alternative keys
-          const billingInfo = composeAddressBlob(billingMerged, order, { order, role: 'billing' });
-          const shippingInfo = composeAddressBlob(shippingMerged, order, { shipment: representative, shipments, role: 'shipping' });
-
-          // capture debug info for the first row to help diagnose empty billing/shipping
-          if (!debugInfo) {
-            debugInfo = {
-              order_id: order.order_id || order.id || null,
-              billingSrc,
-              shippingSrc,
-              representative: representative || null,
-              order_sample: {
-                customer: order.customer || null,
-                customer_email: order.customer_email || null,
-                billing: order.billing || null,
-                billing_address: order.billing_address || null,
-                shipping: order.shipping || null,
-                shipping_address: order.shipping_address || null,
-              }
-            };
-          }
-
-          // helper to pick from merged sources with aliases
-          const pick = (obj, ...keys) => {
-            for (const k of keys) {
-              if (!obj) continue;
-              const v = obj[k];
-              if (v !== undefined && v !== null && String(v).trim() !== '') return v;
-            }
-            return '';
-          };
-
-          // extract structured billing fields from billingMerged or order fallbacks
-          const billingFirst = pick(billingMerged, 'first_name','first','firstName','firstname');
-          const billingLast = pick(billingMerged, 'last_name','last','lastName','lastname');
-          const billingName = ((billingFirst || billingLast) ? `${billingFirst || ''} ${billingLast || ''}`.trim() : (pick(order, 'customer_name','customer','username') || ''));
-          const billingCompany = pick(billingMerged, 'company','business','org');
-          const billingAddress1 = pick(billingMerged, 'first_address','address1','firstAddress','address','street1');
-          const billingAddress2 = pick(billingMerged, 'second_address','address2','secondAddress','address_line_2','street2');
-          const billingCity = pick(billingMerged, 'city','town');
-          const billingState = pick(billingMerged, 'state','province','region');
-          const billingZip = pick(billingMerged, 'zip','postcode','postal_code');
-          const billingCountry = pick(billingMerged, 'country','country_name');
-          const billingEmail = pick(billingMerged, 'email','contact_email') || pick(order, 'customer_email','customer');
-          const billingPhone = pick(billingMerged, 'phone','telephone','contact_phone') || pick(order, 'customer_phone');
-
-          // extract structured shipping fields from shippingMerged or shipment/order fallbacks
-          const shippingFirst = pick(shippingMerged, 'first_name','first','firstName','firstname');
-          const shippingLast = pick(shippingMerged, 'last_name','last','lastName','lastname');
-          const shippingName = ((shippingFirst || shippingLast) ? `${shippingFirst || ''} ${shippingLast || ''}`.trim() : (pick(order, 'customer_name','customer','username') || ''));
-          const shippingCompany = pick(shippingMerged, 'company','business','org');
-          const shippingAddress1 = pick(shippingMerged, 'first_address','address1','firstAddress','address','street1');
-          const shippingAddress2 = pick(shippingMerged, 'second_address','address2','secondAddress','address_line_2','street2');
-          const shippingCity = pick(shippingMerged, 'city','town');
-          const shippingState = pick(shippingMerged, 'state','province','region');
-          const shippingZip = pick(shippingMerged, 'zip','postcode','postal_code');
-          const shippingCountry = pick(shippingMerged, 'country','country_name');
-          const shippingEmail = pick(shippingMerged, 'email','contact_email') || pick(order, 'customer_email','customer');
-          const shippingPhone = pick(shippingMerged, 'phone','telephone','contact_phone') || pick(order, 'customer_phone');
-
-          rows.push([
-            String(order.order_id || order.id || ''),
-            placed,
-            order.status || '',
-            String(li.id || ''),
-            tracking,
-            shippingLanded,
-            shipMethod,
-            shipDate,
-            productPersonalization,
-            String(quantity),
-            productName,
-            productOptions,
-            billingInfo,
-            shippingInfo,
-            // structured billing
-            billingName, billingCompany, billingAddress1, billingAddress2, billingCity, billingState, billingZip, billingCountry, billingEmail, billingPhone,
-            // structured shipping
-            shippingName, shippingCompany, shippingAddress1, shippingAddress2, shippingCity, shippingState, shippingZip, shippingCountry, shippingEmail, shippingPhone,
-          ]);
-        });
-      });
-    } else {
-      // For other report types, return a simple one-row-per-order summary mapping some columns.
-      rows = orders.slice(0).map((order) => {
-        const billingInfo = composeAddressBlob(order.billing || order.billing_address || {}, order);
-        const shippingInfo = composeAddressBlob(order.shipping || order.shipping_address || {}, order);
-        // minimal structured fallbacks
-        const pick = (obj, ...keys) => { for (const k of keys) { if (!obj) continue; const v = obj[k]; if (v !== undefined && v !== null && String(v).trim() !== '') return v; } return ''; };
-        const billingMerged = Object.assign({}, order.billing || {}, order.billing_address || {}, order.billing_contact || {});
-        const shippingMerged = Object.assign({}, order.shipping || {}, order.shipping_address || {}, order.shipping_contact || {});
-        const billingName = (pick(billingMerged,'first_name','first') || pick(order,'customer','username') || '');
-        const shippingName = (pick(shippingMerged,'first_name','first') || pick(order,'customer','username') || '');
-        const structured = [billingName,'','','','','','','', pick(billingMerged,'email','contact_email') || pick(order,'customer_email','customer'),'', shippingName,'','','','','','','', pick(shippingMerged,'email','contact_email') || pick(order,'customer_email','customer'),''];
-        return [
-          String(order.order_id || order.id || ''),
-          order.placed_at || order.created_at || '',
-          order.status || '',
-          '', // Line Item ID
-          '', // Tracking
-          order.shipping_total || '',
-          order.shipping_method || '',
-          '', // Ship Date
-          '', // Product Personalization
-          '', // Quantity
-          '', // Product Name
-          '', // Product Options
-          billingInfo,
-          shippingInfo,
-        ].concat(structured);
-      });
+app.post('/api/history/:id/query', (req, res) => {
+  try {
+    const body = req.body || {};
+    const view = requestedView(body) || views.viewSpec();
+    const entry = findRun(req, res);
+    if (!entry) return;
+    const result = history.getHistoryResult(entry.id);
+    if (!result) return res.status(404).json({ error: 'run result not found' });
+    res.json(Object.assign(views.queryResult(result, view, body), { historyId: entry.id }));
+  } catch (err) {
+    sendError(res, err, '/api/history/:id/query');
+  }
+});
+
+// download a past run again: ?format=csv|xlsx|ndjson|html&columns=A,B&bom=1, optionally
+// through a grid view: &viewId=<saved view> or &view=<JSON view settings>
+app.get('/api/history/:id/export', async (req, res) => {
+  try {
+    const view = requestedView(req.query);
+    const entry = findRun(req, res);
+    if (!entry) return;
+    const stored = history.getHistoryResult(entry.id);
+    if (!stored) return res.status(404).json({ error: 'run result not found' });
+    const { result, options } = viewedExport(stored, view, exportOptions(req.query));
+    history.recordDownload(entry.id, { user: req.user.username, format: options.format });
+    audit(req, {
+      action: 'download',
+      history: entry.id,
+      storeKeys: entry.storeKeys,
+      reportType: entry.reportType,
+      templateId: entry.templateId || undefined,
+      format: options.format,
+      rows: result.meta.rows,
+      view: view ? view.id || 'custom' : undefined,
+    });
+    await sendExport(res, result, entry.params, options);
+  } catch (err) {
+    if (res.headersSent) {
+      console.error('Error /api/history/:id/export', err);
+      return res.end();
     }
+    sendError(res, err, '/api/history/:id/export');
+  }
+});
+
+// run the same export again as a job, e.g. to compare a past run with the current data
+app.post('/api/history/:id/rerun', (req, res) => {
+  try {
+    const entry = findRun(req, res);
+    if (!entry) return;
+    const job = jobs.createJob(rerunBody(entry.params), { owner: req.user.username, stores: userStores(req) });
+    res.status(202).json(job);
+  } catch (err) {
+    sendError(res, err, '/api/history/:id/rerun');
+  }
+});
+
+app.delete('/api/history/:id', (req, res) => {
+  const entry = findRun(req, res);
+  if (!entry) return;
+  history.deleteHistoryEntry(entry.id);
+  audit(req, { action: 'history-deleted', history: entry.id, storeKeys: entry.storeKeys, reportType: entry.reportType });
+  res.json({ id: entry.id, deleted: true });
+});
+
+// last sync time and cached order count for each configured store
+app.get('/api/cache', (req, res) => {
+  res.json(Object.entries(userStores(req)).map(([k, v]) => Object.assign({ label: v.label || k }, cache.syncStatus(k))));
+});
+
+// start an incremental sync (or a full one with { full: true }); poll GET /api/cache for progress
+app.post('/api/cache/:storeKey/sync', auth.requireRole('manager'), (req, res) => {
+  const storeKey = req.params.storeKey;
+  const store = userStores(req)[storeKey];
+  if (!store) return res.status(404).json({ error: `storeKey '${storeKey}' not found` });
+  cache.syncStore(storeKey, store, { full: !!(req.body && req.body.full) })
+    .catch((err) => console.error('Sync failed', storeKey, err));
+  res.status(202).json(cache.syncStatus(storeKey));
+});
+
+// schedules are shared, but only shown to users who can access every store they export
+function canSeeSchedule(req, schedule) {
+  return !!schedule && auth.canAccessStores(req.user, schedule.storeKeys || [schedule.storeKey]);
+}
+
+// "all" stores in a schedule means every configured store when it runs, so only users with
+// access to all stores may save one like that
+function assertScheduleStores(req, input, previous = null) {
+  const { storeKey, storeKeys } = scheduler.scheduleStores(input, previous);
+  const keys = (storeKeys || [storeKey]).filter(Boolean);
+  if (keys.length && !auth.canAccessStores(req.user, keys)) throw forbidden('you cannot schedule exports from those stores');
+}
 
-    const meta = { orders: orders.length, rows: rows.length };
-    if (debugInfo) meta.debug = debugInfo;
-    return res.json({ columns: ALL_COLUMNS, rows, meta });
+function findSchedule(req, res) {
+  const schedule = scheduler.getSchedule(req.params.id);
+  if (canSeeSchedule(req, schedule)) return schedule;
+  res.status(404).json({ error: 'schedule not found' });
+  return null;
+}
+
+app.get('/api/schedules', (req, res) => {
+  res.json(scheduler.listSchedules().filter((s) => canSeeSchedule(req, s)));
+});
+
+app.post('/api/schedules', auth.requireRole('manager'), (req, res) => {
+  try {
+    assertScheduleStores(req, req.body || {});
+    const schedule = scheduler.createSchedule(req.body || {}, { stores: userStores(req), owner: req.user.username });
+    audit(req, { action: 'schedule-created', schedule: schedule.name });
+    res.status(201).json(schedule);
   } catch (err) {
-    console.error('Error /api/run', err);
-    res.status(500).json({ error: String(err) });
+    sendError(res, err, '/api/schedules');
   }
 });
 
-app.listen(PORT, () => console.log(`Server listening on http://localhost:${PORT}`));
+app.get('/api/schedules/:id', (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (schedule) res.json(schedule);
+});
 
+app.put('/api/schedules/:id', auth.requireRole('manager'), (req, res) => {
+  try {
+    const previous = findSchedule(req, res);
+    if (!previous) return;
+    assertScheduleStores(req, req.body || {}, previous);
+    const schedule = scheduler.updateSchedule(req.params.id, req.body || {}, { stores: userStores(req) });
+    if (!schedule) return res.status(404).json({ error: 'schedule not found' });
+    audit(req, { action: 'schedule-updated', schedule: schedule.name });
+    res.json(schedule);
+  } catch (err) {
+    sendError(res, err, '/api/schedules/:id');
+  }
+});
+
+app.delete('/api/schedules/:id', auth.requireRole('manager'), (req, res) => {
+  const schedule = findSchedule(req, res);
+  if (!schedule) return;
+  if (!scheduler.deleteSchedule(req.params.id)) return res.status(404).json({ error: 'schedule not found' });
+  audit(req, { action: 'schedule-deleted', schedule: schedule.name });
+  res.json({ id: req.params.id, deleted: true });
+});
+
+app.get('/api/schedules/:id/runs', (req, res) => {
+  if (findSchedule(req, res)) res.json(scheduler.listRuns(req.params.id));
+});
+
+// "run now": waits for the export and delivery, then returns the history entry
+app.post('/api/schedules/:id/run', auth.requireRole('manager'), async (req, res) => {
+  try {
+    if (!findSchedule(req, res)) return;
+    const entry = await scheduler.runSchedule(req.params.id, 'manual', req.user.username);
+    if (!entry) return res.status(404).json({ error: 'schedule not found' });
+    res.json(entry);
+  } catch (err) {
+    sendError(res, err, '/api/schedules/:id/run');
+  }
+});
+
+// --- webhooks: received events and export rules (managers, for their stores) ---
+
+function findRule(req, res) {
+  const rule = webhooks.getRule(req.params.id);
+  if (rule && auth.canAccessStores(req.user, [rule.storeKey])) return rule;
+  res.status(404).json({ error: 'rule not found' });
+  return null;
+}
+
+// ?storeKey=&status=pending|retrying|done|failed&limit=200
+app.get('/api/webhooks/events', auth.requireRole('manager'), (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 200, 1000);
+  const events = webhooks.listEvents().filter((e) => auth.canAccessStores(req.user, [e.storeKey])
+    && (!req.query.storeKey || e.storeKey === req.query.storeKey)
+    && (!req.query.status || e.status === req.query.status));
+  res.json(events.slice(0, limit));
+});
+
+app.post('/api/webhooks/events/:id/retry', auth.requireRole('manager'), (req, res) => {
+  try {
+    const event = webhooks.listEvents().find((e) => e.id === req.params.id);
+    if (!event || !auth.canAccessStores(req.user, [event.storeKey])) return res.status(404).json({ error: 'event not found' });
+    res.json(webhooks.retryEvent(event.id));
+  } catch (err) {
+    sendError(res, err, '/api/webhooks/events/:id/retry');
+  }
+});
+
+app.get('/api/webhooks/rules', auth.requireRole('manager'), (req, res) => {
+  res.json(webhooks.listRules().filter((r) => auth.canAccessStores(req.user, [r.storeKey])));
+});
+
+app.post('/api/webhooks/rules', auth.requireRole('manager'), (req, res) => {
+  try {
+    const rule = webhooks.createRule(req.body || {}, { stores: userStores(req) });
+    audit(req, { action: 'webhook-rule-created', rule: rule.name, storeKeys: [rule.storeKey] });
+    res.status(201).json(rule);
+  } catch (err) {
+    sendError(res, err, '/api/webhooks/rules');
+  }
+});
+
+app.put('/api/webhooks/rules/:id', auth.requireRole('manager'), (req, res) => {
+  try {
+    if (!findRule(req, res)) return;
+    const rule = webhooks.updateRule(req.params.id, req.body || {}, { stores: userStores(req) });
+    audit(req, { action: 'webhook-rule-updated', rule: rule.name, storeKeys: [rule.storeKey] });
+    res.json(rule);
+  } catch (err) {
+    sendError(res, err, '/api/webhooks/rules/:id');
+  }
+});
+
+app.delete('/api/webhooks/rules/:id', auth.requireRole('manager'), (req, res) => {
+  const rule = findRule(req, res);
+  if (!rule) return;
+  webhooks.deleteRule(rule.id);
+  audit(req, { action: 'webhook-rule-deleted', rule: rule.name, storeKeys: [rule.storeKey] });
+  res.json({ id: rule.id, deleted: true });
+});
+
+// ?all=1 (admins): every store with its settings, disabled ones included; tokens are never returned
 app.get('/api/stores', (req, res) => {
-  const stores = getConfiguredStores();
-  // return as array of { key, label, subdomain }
-  const out = Object.entries(stores).map(([k, v]) => ({ key: k, label: v.label || k, subdomain: v.subdomain }));
+  if (req.query.all && auth.hasRole(req.user, 'admin')) return res.json(stores.listStores());
+  // return as array of { key, label, subdomain, timezone }
+  const out = Object.entries(userStores(req)).map(([k, v]) => ({ key: k, label: v.label || k, subdomain: v.subdomain, timezone: v.timezone || dates.serverTimeZone() }));
   res.json(out);
 });
+
+app.post('/api/stores', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = stores.createStore(req.body || {});
+    audit(req, { action: 'store-created', storeKeys: [store.key] });
+    res.status(201).json(store);
+  } catch (err) {
+    sendError(res, err, '/api/stores');
+  }
+});
+
+app.get('/api/stores/:key', auth.requireRole('admin'), (req, res) => {
+  const store = stores.getStore(req.params.key);
+  if (!store) return res.status(404).json({ error: 'store not found' });
+  res.json(store);
+});
+
+// a blank or missing token keeps the saved one
+app.put('/api/stores/:key', auth.requireRole('admin'), (req, res) => {
+  try {
+    const store = stores.updateStore(req.params.key, req.body || {});
+    if (!store) return res.status(404).json({ error: 'store not found' });
+    audit(req, { action: 'store-updated', storeKeys: [store.key], disabled: store.disabled, tokenChanged: !!(req.body && req.body.token), webhookSecretChanged: !!(req.body && req.body.webhookSecret !== undefined && req.body.webhookSecret !== '') });
+    res.json(store);
+  } catch (err) {
+    sendError(res, err, '/api/stores/:key');
+  }
+});
+
+app.delete('/api/stores/:key', auth.requireRole('admin'), (req, res) => {
+  if (!stores.deleteStore(req.params.key)) return res.status(404).json({ error: 'store not found' });
+  audit(req, { action: 'store-deleted', storeKeys: [req.params.key] });
+  res.json({ key: req.params.key, deleted: true });
+});
+
+// one API call with the saved token: { ok, authenticated, latencyMs, httpStatus, error }
+app.post('/api/stores/:key/test', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const result = await stores.testConnection(req.params.key);
+    if (!result) return res.status(404).json({ error: 'store not found' });
+    res.json(result);
+  } catch (err) {
+    sendError(res, err, '/api/stores/:key/test');
+  }
+});
+
+app.get('/api/reports', (req, res) => {
+  res.json(listReports().concat(profiles.listProfileReports()));
+});
+
+// the date presets with the days they cover today in the store's timezone: ?storeKey=
+// (runs resolve `datePreset` themselves; this is for showing the dates)
+app.get('/api/date-presets', (req, res) => {
+  const store = req.query.storeKey ? userStores(req)[String(req.query.storeKey)] : null;
+  if (req.query.storeKey && !store) return res.status(404).json({ error: 'store not found' });
+  const timezone = (store && store.timezone) || dates.serverTimeZone();
+  res.json({ timezone, presets: dates.listPresets(timezone) });
+});
+
+// import profiles (ShipStation, UPS WorldShip, 3PL pick list) and their settings
+app.get('/api/profiles', (req, res) => {
+  res.json(profiles.listProfiles());
+});
+
+app.put('/api/profiles/:id', auth.requireRole('manager'), (req, res) => {
+  try {
+    const profile = profiles.updateProfileSettings(req.params.id, req.body || {});
+    if (!profile) return res.status(404).json({ error: 'profile not found' });
+    audit(req, { action: 'profile-updated', target: profile.name, settings: Object.keys(req.body || {}) });
+    res.json(profile);
+  } catch (err) {
+    sendError(res, err, '/api/profiles/:id');
+  }
+});
+
+app.get('/api/templates', (req, res) => {
+  res.json(templates.listTemplates());
+});
+
+// context names, functions and formatters available to template column sources
+app.get('/api/templates/fields', (req, res) => {
+  res.json(templates.templateFields());
+});
+
+app.post('/api/templates', auth.requireRole('manager'), (req, res) => {
+  try {
+    res.status(201).json(templates.createTemplate(req.body || {}));
+  } catch (err) {
+    sendError(res, err, '/api/templates');
+  }
+});
+
+app.get('/api/templates/:id', (req, res) => {
+  const template = templates.getTemplate(req.params.id);
+  if (!template) return res.status(404).json({ error: 'template not found' });
+  res.json(template);
+});
+
+app.put('/api/templates/:id', auth.requireRole('manager'), (req, res) => {
+  try {
+    const template = templates.updateTemplate(req.params.id, req.body || {});
+    if (!template) return res.status(404).json({ error: 'template not found' });
+    res.json(template);
+  } catch (err) {
+    sendError(res, err, '/api/templates/:id');
+  }
+});
+
+app.delete('/api/templates/:id', auth.requireRole('manager'), (req, res) => {
+  try {
+    if (!templates.deleteTemplate(req.params.id)) return res.status(404).json({ error: 'template not found' });
+    res.json({ id: req.params.id, deleted: true });
+  } catch (err) {
+    sendError(res, err, '/api/templates/:id');
+  }
+});
+
+// Saved grid views, shared with everyone; their owner or a manager may change them
+function canEditView(req, view) {
+  return view.owner === req.user.username || auth.hasRole(req.user, 'manager');
+}
+
+// ?reportType=... lists the views for one report
+app.get('/api/views', (req, res) => {
+  res.json(views.listViews(req.query.reportType ? String(req.query.reportType) : ''));
+});
+
+app.post('/api/views', (req, res) => {
+  try {
+    const view = views.createView(req.body || {}, req.user.username);
+    audit(req, { action: 'view-created', target: view.name, reportType: view.reportType });
+    res.status(201).json(view);
+  } catch (err) {
+    sendError(res, err, '/api/views');
+  }
+});
+
+app.get('/api/views/:id', (req, res) => {
+  const view = views.getView(req.params.id);
+  if (!view) return res.status(404).json({ error: 'view not found' });
+  res.json(view);
+});
+
+app.put('/api/views/:id', (req, res) => {
+  try {
+    const existing = views.getView(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'view not found' });
+    if (!canEditView(req, existing)) throw forbidden(`view '${existing.name}' belongs to ${existing.owner}; only they or a manager can change it`);
+    const view = views.updateView(existing.id, req.body || {});
+    audit(req, { action: 'view-updated', target: view.name, reportType: view.reportType });
+    res.json(view);
+  } catch (err) {
+    sendError(res, err, '/api/views/:id');
+  }
+});
+
+app.delete('/api/views/:id', (req, res) => {
+  try {
+    const existing = views.getView(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'view not found' });
+    if (!canEditView(req, existing)) throw forbidden(`view '${existing.name}' belongs to ${existing.owner}; only they or a manager can delete it`);
+    views.deleteView(existing.id);
+    audit(req, { action: 'view-deleted', target: existing.name, reportType: existing.reportType });
+    res.json({ id: existing.id, deleted: true });
+  } catch (err) {
+    sendError(res, err, '/api/views/:id');
+  }
+});
+
+function start() {
+  auth.ensureBootstrapAdmin();
+  jobs.loadPersistedJobs();
+  if (process.env.SCHEDULER_DISABLED !== '1') scheduler.startScheduler();
+  webhooks.startWebhookWorker();
+  app.listen(PORT, () => console.log(`Server listening on http://localhost:${PORT}`));
+}
+
+// `node server.js` starts everything; tests require the app and listen on their own port
+if (require.main === module) start();
+
+module.exports = app;
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { composeAddressBlob } = require('../lib/brightSites');
+
+test('address fields are used as given', () => {
+  const addr = { first_name: 'Ann', last_name: 'Lee', company: 'Acme', first_address: '1 Main St', second_address: 'Suite 4', city: 'Boston', state: 'MA', zip: '02134', country: 'US', email: 'ann@acme.test', phone: '617-555-1212' };
+  assert.equal(composeAddressBlob(addr, {}, { role: 'billing' }), 'Ann Lee | Acme | 1 Main St Suite 4 | Boston, MA 02134 | US | ann@acme.test | 617-555-1212');
+});
+
+test('names, email and phone fall back to the contact for the role', () => {
+  const order = {
+    billing_contact: { first_name: 'Ann', last_name: 'Lee', email: 'ann@acme.test' },
+    shipping_contact: { first_name: 'Bo', last_name: 'Diaz', phone: '212-555-0000' },
+  };
+  const addr = { first_address: '2 Side Ave', city: 'New York', state: 'NY', zip: '10001' };
+  const sources = {};
+  assert.equal(composeAddressBlob(addr, order, { role: 'shipping', sources }), 'Bo Diaz | 2 Side Ave | New York, NY 10001 | 212-555-0000');
+  assert.equal(sources.name, 'contact');
+  assert.equal(sources.phone, 'contact');
+  assert.equal(composeAddressBlob(addr, order, { role: 'billing' }), 'Ann Lee | 2 Side Ave | New York, NY 10001 | ann@acme.test');
+});
+
+test('a role with no contact of its own borrows the other one', () => {
+  const order = { billing_contact: { first_name: 'Ann', last_name: 'Lee' } };
+  assert.equal(composeAddressBlob({ city: 'Boston' }, order, { role: 'shipping' }), 'Ann Lee | Boston');
+});
+
+test('missing address lines come from the order address', () => {
+  const order = { billing_address: { first_address: '9 Elm Rd', city: 'Austin', state: 'TX', zip: '73301', country: 'US' } };
+  const sources = {};
+  assert.equal(composeAddressBlob({ first_name: 'Carl' }, order, { role: 'billing', sources }), 'Carl | 9 Elm Rd | Austin, TX 73301 | US');
+  assert.equal(sources.address1, 'order_address');
+  assert.equal(sources.city, 'order_address');
+});
+
+test('order-level name and email are used when there is no contact', () => {
+  const order = { customer_name: 'Carl Ng', customer_email: 'carl@example.test' };
+  const sources = {};
+  assert.equal(composeAddressBlob({}, order, { role: 'billing', sources }), 'Carl Ng | carl@example.test');
+  assert.deepEqual([sources.name, sources.email], ['order', 'order']);
+});
+
+test('a shipment address fills in what the order lacks', () => {
+  const shipment = { shipping_address: { name: 'Carl Ng', address1: '500 Dock St', city: 'Austin', state: 'TX', zip: '73301', country: 'US' } };
+  const sources = {};
+  assert.equal(composeAddressBlob({}, {}, { role: 'shipping', shipment, sources }), 'Carl Ng | 500 Dock St | Austin, TX 73301 | US');
+  assert.equal(sources.address1, 'shipment');
+  // without an explicit shipment, the first of `shipments` is used
+  assert.equal(composeAddressBlob({}, {}, { role: 'shipping', shipments: [shipment] }), 'Carl Ng | 500 Dock St | Austin, TX 73301 | US');
+});
+
+test('the address itself wins over every fallback', () => {
+  const order = { shipping_address: { city: 'Order City' }, customer_email: 'order@example.test' };
+  const shipment = { shipping_address: { city: 'Shipment City' } };
+  assert.equal(composeAddressBlob({ city: 'Own City', email: 'own@example.test' }, order, { role: 'shipping', shipment }), 'Own City | own@example.test');
+});
+
+test('nothing known gives an empty string', () => {
+  assert.equal(composeAddressBlob({}, {}, { role: 'billing' }), '');
+  assert.equal(composeAddressBlob(undefined, {}, {}), '');
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { amount, money, periodKey, groupFacts, compareKeys } = require('../lib/aggregates');
+const { getReport } = require('../lib/reports');
+
+test('money is summed in cents, so totals don\'t drift', () => {
+  const facts = [{ total: '0.10' }, { total: 0.2 }, { total: '0.05' }, { total: '' }, { total: 'n/a' }, {}];
+  const [group] = groupFacts(facts, () => ['all'], { sums: ['total'] });
+  assert.equal(group.count, 6);
+  assert.equal(group.sums.total, 35);
+  assert.equal(money(group.sums.total), '0.35');
+  assert.equal(money(-5), '-0.05');
+  assert.deepEqual([amount('1.5'), amount(''), amount(null), amount('x')], [1.5, 0, 0, 0]);
+});
+
+test('groups keep first-seen order and count distinct values once', () => {
+  const facts = [
+    { sku: 'B', order: 1, qty: 1 },
+    { sku: 'A', order: 1, qty: 2 },
+    { sku: 'B', order: 2, qty: 0.5 },
+    { sku: 'B', order: 2, qty: 0.25 },
+  ];
+  const groups = groupFacts(facts, (f) => [f.sku], { sums: ['qty'], distinct: ['order'] });
+  assert.deepEqual(groups.map((g) => [g.key[0], g.count, g.sums.qty, g.distinct.order.size]), [['B', 3, 175, 2], ['A', 1, 200, 1]]);
+  assert.deepEqual([['b', ''], ['a', 'x'], ['', 'x'], ['a', '']].sort(compareKeys), [['a', 'x'], ['a', ''], ['b', ''], ['', 'x']]);
+});
+
+test('periods are ISO weeks, months and days in the timezone', () => {
+  // 3 January 2021 is a Sunday: still the last week of 2020
+  assert.equal(periodKey('2021-01-03T12:00:00Z', 'week', 'UTC'), '2020-W53');
+  assert.equal(periodKey('2024-12-30T12:00:00Z', 'week', 'UTC'), '2025-W01');
+  assert.equal(periodKey('2024-03-01T02:00:00Z', 'day', 'America/New_York'), '2024-02-29');
+  assert.equal(periodKey('2024-03-01T02:00:00Z', 'month', 'America/New_York'), '2024-02');
+  assert.equal(periodKey('', 'day', 'UTC'), '');
+  assert.equal(periodKey('soon', 'day', 'UTC'), '');
+});
+
+test('order totals add up per group and currency, with a total line per currency', () => {
+  const report = getReport('Totals by Status');
+  const orders = [
+    { status: 'paid', currency: 'usd', total: '0.10', subtotal: '0.10', shipping_total: '0', tax_total: '' },
+    { status: 'paid', currency: 'USD', total: '0.20', subtotal: '0.20' },
+    { status: 'paid', currency: 'USD', total: '0.05', subtotal: 0.05 },
+    { status: 'shipped', currency: 'EUR', total: '19.99', subtotal: '17.99', shipping_total: '2.00' },
+    { status: 'shipped', currency: 'USD', total: 'n/a' },
+  ];
+  const rows = report.aggregate(orders.flatMap((order) => report.facts({ order })));
+  const pick = (r) => [r[0], r[1], r[2], r[3], r[4], r[5], r[8]];
+  assert.deepEqual(rows.map(pick), [
+    ['paid', 'USD', '3', '0.35', '0.35', '0.00', '0.12'],
+    ['shipped', 'EUR', '1', '19.99', '17.99', '2.00', '19.99'],
+    ['shipped', 'USD', '1', '0.00', '0.00', '0.00', '0.00'],
+    ['Total', 'EUR', '1', '19.99', '17.99', '2.00', '19.99'],
+    // the average is rounded to the cent: 35 / 4 = 8.75
+    ['Total', 'USD', '4', '0.35', '0.35', '0.00', '0.09'],
+  ]);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, fixture, startApp } = require('./helpers');
+
+useTempDataDir();
+
+let app;
+
+test.before(async () => {
+  app = await startApp({ acme: fixture('acme') });
+});
+
+test.after(() => app.close());
+
+test('a badly encoded cookie next to the session is ignored', async () => {
+  const login = await fetch(`${app.url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'test-password' }),
+  });
+  const session = login.headers.get('set-cookie').split(';')[0];
+  const res = await fetch(`${app.url}/api/stores`, { headers: { Cookie: `theme=%E0; ${session}` } });
+  assert.equal(res.status, 200);
+  assert.equal((await fetch(`${app.url}/api/stores`, { headers: { Cookie: 'theme=%E0' } })).status, 401);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectCarrier, trackingUrl, describeTracking } = require('../lib/carriers');
+
+test('tracking numbers identify their carrier by shape', () => {
+  assert.equal(detectCarrier('1Z999AA10123456784'), 'UPS');
+  assert.equal(detectCarrier('1z 999 aa1 0123456784'), 'UPS');
+  assert.equal(detectCarrier('9400 1000 0000 0000 0000 00'), 'USPS');
+  assert.equal(detectCarrier('EA123456789US'), 'USPS');
+  assert.equal(detectCarrier('123456789012'), 'FedEx');
+  assert.equal(detectCarrier('123456789012345'), 'FedEx');
+  // 20 digits are FedEx, unless they start like a USPS barcode
+  assert.equal(detectCarrier('12345678901234567890'), 'FedEx');
+  assert.equal(detectCarrier('92345678901234567890'), 'USPS');
+  assert.equal(detectCarrier('1234567890'), 'DHL');
+  assert.equal(detectCarrier('JJD0123456789'), 'DHL');
+  assert.equal(detectCarrier('ABC123'), '');
+  assert.equal(detectCarrier(''), '');
+});
+
+test('carrier fields and shipping methods win over the number', () => {
+  assert.equal(detectCarrier('1Z999AA10123456784', { carrier: 'FedEx Ground' }), 'FedEx');
+  assert.equal(detectCarrier('123456789012', { carrier_code: 'dhl' }), 'DHL');
+  assert.equal(detectCarrier('123456789012', { shipping_method: 'UPS Ground' }), 'UPS');
+  assert.equal(detectCarrier('123456789012', {}, { shipping_method: 'USPS Priority Mail' }), 'USPS');
+  assert.equal(detectCarrier('123456789012', { shipping_method: 'Groups Freight' }), 'FedEx');
+  // a carrier we don't know is kept when the number says nothing
+  assert.equal(detectCarrier('C11111111111111', { carrier: 'OnTrac' }), 'OnTrac');
+  assert.equal(detectCarrier('1Z999AA10123456784', { carrier: 'OnTrac' }), 'UPS');
+  assert.equal(detectCarrier('1Z999AA10123456784', null, null), 'UPS');
+});
+
+test('tracking links use the compacted number, and only for known carriers', () => {
+  assert.equal(trackingUrl('UPS', '1z 999aa1-0123456784'), 'https://www.ups.com/track?tracknum=1Z999AA10123456784');
+  assert.equal(trackingUrl('USPS', 'EA123456789US'), 'https://tools.usps.com/go/TrackConfirmAction?tLabels=EA123456789US');
+  assert.equal(trackingUrl('OnTrac', 'C11111111111111'), '');
+  assert.equal(trackingUrl('UPS', ''), '');
+  assert.deepEqual(describeTracking(' 123456789012 ', {}, {}), {
+    number: '123456789012',
+    carrier: 'FedEx',
+    url: 'https://www.fedex.com/fedextrack/?trknbr=123456789012',
+  });
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { useTempDataDir, fixture, startApp } = require('./helpers');
+
+useTempDataDir();
+
+const { dateWindow, resolvePreset, formatDate } = require('../lib/dates');
+
+// the same orders, for a store on New York time; the first one is placed late on
+// 1 March there, which is already 2 March in UTC
+const east = fixture('acme');
+east.orders[0].created_at = '2024-03-02T02:00:00Z';
+
+let app;
+
+test.before(async () => {
+  app = await startApp({ east });
+});
+
+test.after(() => app.close());
+
+async function json(res, status = 200) {
+  assert.equal(res.status, status);
+  return res.json();
+}
+
+function column(result, name) {
+  const idx = result.columns.indexOf(name);
+  return result.rows.map((r) => r[idx]);
+}
+
+test('date windows run from midnight on the start day through the end day in the timezone', () => {
+  assert.deepEqual(dateWindow('2024-03-01', '2024-03-01', 'UTC'), { from: '2024-03-01T00:00:00.000Z', to: '2024-03-01T23:59:59.000Z' });
+  assert.deepEqual(dateWindow('2024-03-01', '2024-03-05', 'America/New_York'), { from: '2024-03-01T05:00:00.000Z', to: '2024-03-06T04:59:59.000Z' });
+  // 10 March 2024 is 23 hours long in New York
+  assert.deepEqual(dateWindow('2024-03-10', '2024-03-10', 'America/New_York'), { from: '2024-03-10T05:00:00.000Z', to: '2024-03-11T03:59:59.000Z' });
+  assert.deepEqual(dateWindow('2024-03-01', '2024-03-01', 'Asia/Tokyo'), { from: '2024-02-29T15:00:00.000Z', to: '2024-03-01T14:59:59.000Z' });
+  // timestamps are kept as they are
+  assert.deepEqual(dateWindow('2024-03-01T12:00:00Z', '2024-03-02T12:00:00Z', 'America/New_York'), { from: '2024-03-01T12:00:00.000Z', to: '2024-03-02T12:00:00.000Z' });
+});
+
+test('presets are evaluated on the day it is in the timezone', () => {
+  // Monday 1 April 2024, 02:30 UTC: still Sunday 31 March in Los Angeles
+  const now = new Date('2024-04-01T02:30:00Z');
+  assert.deepEqual(resolvePreset('today', now, 'UTC'), { start: '2024-04-01', end: '2024-04-01' });
+  assert.deepEqual(resolvePreset('today', now, 'America/Los_Angeles'), { start: '2024-03-31', end: '2024-03-31' });
+  assert.deepEqual(resolvePreset('thisWeek', now, 'America/Los_Angeles'), { start: '2024-03-25', end: '2024-03-31' });
+  assert.deepEqual(resolvePreset('lastWeek', now, 'UTC'), { start: '2024-03-25', end: '2024-03-31' });
+  assert.deepEqual(resolvePreset('monthToDate', now, 'America/Los_Angeles'), { start: '2024-03-01', end: '2024-03-31' });
+  assert.deepEqual(resolvePreset('thisMonth', now, 'UTC'), { start: '2024-04-01', end: '2024-04-30' });
+  assert.deepEqual(resolvePreset('lastMonth', now, 'America/Los_Angeles'), { start: '2024-02-01', end: '2024-02-29' });
+  assert.deepEqual(resolvePreset('thisQuarter', now, 'America/Los_Angeles'), { start: '2024-01-01', end: '2024-03-31' });
+  assert.deepEqual(resolvePreset('lastQuarter', now, 'UTC'), { start: '2024-01-01', end: '2024-03-31' });
+  assert.deepEqual(resolvePreset('last14', now, 'UTC'), { start: '2024-03-19', end: '2024-04-01' });
+  assert.deepEqual(resolvePreset('last1', now, 'UTC'), { start: '2024-04-01', end: '2024-04-01' });
+  assert.equal(resolvePreset('last0', now), null);
+  assert.equal(resolvePreset('nextWeek', now), null);
+});
+
+test('dates are formatted in the timezone; calendar days are not shifted', () => {
+  assert.equal(formatDate('2024-03-02T02:00:00Z', 'MM/DD/YYYY HH:mm', 'America/New_York'), '03/01/2024 21:00');
+  assert.equal(formatDate('2024-03-02T02:00:00Z', 'YYYY-MM-DD', 'Asia/Tokyo'), '2024-03-02');
+  assert.equal(formatDate('2024-03-02', 'DD.MM.YYYY', 'America/New_York'), '02.03.2024');
+  assert.equal(formatDate('2024-03-02T02:00:00Z', '', 'America/New_York'), '2024-03-02T02:00:00Z');
+  assert.equal(formatDate('soon', 'YYYY', 'UTC'), 'soon');
+});
+
+test('a store timezone sets the run window and how Placed and Ship Date are written', async () => {
+  assert.equal((await app.request('PUT', '/api/stores/east', { timezone: 'Mars/Olympus' })).status, 400);
+  assert.equal((await app.request('PUT', '/api/stores/east', { dateFormat: 'soon' })).status, 400);
+  const store = await json(await app.request('PUT', '/api/stores/east', { timezone: 'America/New_York', dateFormat: 'MM/DD/YYYY HH:mm' }));
+  assert.deepEqual([store.timezone, store.dateFormat], ['America/New_York', 'MM/DD/YYYY HH:mm']);
+
+  // the end day is included: ACME-1003 was placed at 03:30 on 5 March, New York time
+  app.mock.requests.length = 0;
+  const result = await json(await app.request('POST', '/api/run', { storeKey: 'east', reportType: 'Shipments', start: '2024-03-01', end: '2024-03-05' }));
+  const list = app.mock.requests.find((r) => r.path.endsWith('/orders'));
+  assert.deepEqual([list.query.created_at_from, list.query.created_at_to], ['2024-03-01T05:00:00.000Z', '2024-03-06T04:59:59.000Z']);
+  assert.deepEqual(column(result, 'Order #'), ['ACME-1001', 'ACME-1002', 'ACME-1003', 'ACME-1003']);
+  assert.deepEqual(column(result, 'Placed'), ['03/01/2024 21:00', '03/03/2024 05:00', '03/05/2024 03:30', '03/05/2024 03:30']);
+  assert.deepEqual(column(result, 'Ship Date'), ['03/02/2024 00:00', '03/04/2024 00:00', '03/06/2024 00:00', '03/07/2024 00:00']);
+
+  // formatted dates go into a spreadsheet as they are shown, not parsed again
+  const res = await app.request('GET', `/api/history/${result.historyId}/export?format=xlsx`);
+  assert.equal(res.status, 200);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(Buffer.from(await res.arrayBuffer()));
+  const sheet = workbook.worksheets[0];
+  const placed = sheet.getRow(1).values.indexOf('Placed');
+  assert.equal(sheet.getRow(2).getCell(placed).value, '03/01/2024 21:00');
+
+  // daily totals count the order on the store's day
+  const totals = await json(await app.request('POST', '/api/run', { storeKey: 'east', reportType: 'Daily Totals' }));
+  assert.deepEqual(column(totals, 'Period').slice(0, 2), ['2024-03-01', '2024-03-03']);
+
+  await json(await app.request('PUT', '/api/stores/east', { timezone: '', dateFormat: '' }));
+});
+
+test('runs resolve presets on the server and record the days they came to', async () => {
+  await json(await app.request('PUT', '/api/stores/east', { timezone: 'Asia/Tokyo' }));
+  const { presets, timezone } = await json(await app.request('GET', '/api/date-presets?storeKey=east'));
+  assert.equal(timezone, 'Asia/Tokyo');
+  // checked against the other presets of the same answer, so a run at midnight can't fail
+  const preset = (id) => presets.find((p) => p.id === id);
+  const thisMonth = new Date(`${preset('thisMonth').start}T00:00:00Z`);
+  assert.deepEqual(preset('lastMonth'), {
+    id: 'lastMonth',
+    label: 'Last month',
+    start: new Date(Date.UTC(thisMonth.getUTCFullYear(), thisMonth.getUTCMonth() - 1, 1)).toISOString().slice(0, 10),
+    end: new Date(thisMonth.getTime() - 86400000).toISOString().slice(0, 10),
+  });
+  assert.deepEqual([preset('today').start, preset('today').end], [preset('monthToDate').end, preset('monthToDate').end]);
+
+  // the run resolves the preset itself: it covers last month as of just before or just after it
+  const before = resolvePreset('lastMonth', new Date(), 'Asia/Tokyo');
+  const result = await json(await app.request('POST', '/api/run', { storeKey: 'east', reportType: 'Orders Summary', datePreset: 'lastMonth' }));
+  const after = resolvePreset('lastMonth', new Date(), 'Asia/Tokyo');
+  const entry = await json(await app.request('GET', `/api/history/${result.historyId}`));
+  assert.equal(entry.params.datePreset, 'lastMonth');
+  assert.ok([before, after].some((w) => w.start === entry.params.start && w.end === entry.params.end), JSON.stringify(entry.params));
+
+  assert.equal((await app.request('POST', '/api/run', { storeKey: 'east', datePreset: 'someday' })).status, 400);
+  assert.equal((await app.request('POST', '/api/run', { storeKey: 'east', start: '2024-03-01' })).status, 400);
+  assert.equal((await app.request('POST', '/api/run', { storeKey: 'east', start: '2024-03-05', end: '2024-03-01' })).status, 400);
+  assert.equal((await app.request('POST', '/api/run', { storeKey: 'east', start: '2024-02-30', end: '2024-03-01' })).status, 400);
+  assert.equal((await app.request('GET', '/api/date-presets?storeKey=nope')).status, 404);
+});
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+
+const { validateDelivery, maskDelivery, sealSecrets, exportRoot, exportDir, deliver } = require('../lib/delivery');
+
+test('folder targets stay under the export root', async () => {
+  const root = exportRoot();
+  assert.equal(exportDir(''), root);
+  assert.equal(exportDir('daily/acme'), path.join(root, 'daily', 'acme'));
+  assert.equal(exportDir(path.join(root, 'daily')), path.join(root, 'daily'));
+  ['../elsewhere', 'daily/../../elsewhere', '/etc', root + '-other'].forEach((p) => {
+    assert.throws(() => validateDelivery({ type: 'folder', path: p }), (err) => err.status === 400, p);
+  });
+
+  const delivered = await deliver({ name: 'a.csv', buffer: Buffer.from('x\n') }, { type: 'folder', path: 'daily' });
+  assert.equal(delivered.location, path.join(root, 'daily', 'a.csv'));
+  assert.equal(fs.readFileSync(delivered.location, 'utf8'), 'x\n');
+  await assert.rejects(deliver({ name: 'a.csv', buffer: Buffer.from('x\n') }, { type: 'folder', path: '../../tmp' }), (err) => err.status === 400);
+});
+
+test('sftp secrets are stored encrypted and only ever shown masked', () => {
+  const input = { type: 'sftp', host: 'sftp.example.com', username: 'ops', password: 'hunter2', privateKey: '-----BEGIN KEY-----' };
+  const stored = sealSecrets(validateDelivery(input));
+  assert.equal(stored.password, undefined);
+  assert.ok(stored.passwordEncrypted && stored.privateKeyEncrypted);
+  assert.ok(!JSON.stringify(stored).includes('hunter2'));
+
+  const shown = maskDelivery(stored);
+  assert.deepEqual([shown.password, shown.privateKey, shown.passwordEncrypted], ['********', '********', undefined]);
+
+  // sending the mask back keeps the stored secret; a new value replaces it
+  const kept = sealSecrets(Object.assign({}, shown, { host: 'other.example.com' }), stored);
+  assert.deepEqual([kept.host, kept.passwordEncrypted, kept.privateKeyEncrypted], ['other.example.com', stored.passwordEncrypted, stored.privateKeyEncrypted]);
+  assert.notEqual(sealSecrets(Object.assign({}, shown, { password: 'new' }), stored).passwordEncrypted, stored.passwordEncrypted);
+
+  assert.throws(() => validateDelivery({ type: 'sftp', host: 'h', username: 'u', privateKeyPath: '/etc/shadow' }), (err) => err.status === 400);
+});
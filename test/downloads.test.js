@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, fixture, startApp } = require('./helpers');
+
+useTempDataDir();
+
+// one order with enough long line items that a download can't be sent in one go
+const big = fixture('acme');
+big.orders = [big.orders[0]];
+big.orders[0].line_items = Array.from({ length: 300 }, (v, i) => ({ id: 7000 + i, name: `Item ${i} ${'x'.repeat(30000)}`, sku: `SKU-${i}`, quantity: 1, price: '1.00' }));
+big.orders[0].shipments = [];
+
+let app;
+
+test.before(async () => {
+  app = await startApp({ big });
+});
+
+test.after(() => app.close());
+
+async function json(res, status = 200) {
+  assert.equal(res.status, status);
+  return res.json();
+}
+
+// start a download, read its first chunk and hang up
+async function dropDownload(method, url, body) {
+  const controller = new AbortController();
+  const res = await app.request(method, url, body, { signal: controller.signal });
+  assert.equal(res.status, 200);
+  const reader = res.body.getReader();
+  await reader.read();
+  controller.abort();
+  await reader.read().catch(() => {});
+  // time for the server to notice and give up on the rest
+  await new Promise((resolve) => setTimeout(resolve, 300));
+}
+
+test('a streamed run whose client hangs up leaves the server running', async () => {
+  await dropDownload('POST', '/api/run', { storeKey: 'big', reportType: 'Needed Excel', format: 'csv' });
+  assert.equal((await app.request('GET', '/api/stores')).status, 200);
+});
+
+test('a change report download whose client hangs up leaves the server running', async () => {
+  // nothing matches the first run, so every line item is new in the second
+  const from = await json(await app.request('POST', '/api/run', { storeKey: 'big', reportType: 'Needed Excel', status: 'none' }));
+  const to = await json(await app.request('POST', '/api/run', { storeKey: 'big', reportType: 'Needed Excel' }));
+  await dropDownload('GET', `/api/history/changes?from=${from.historyId}&to=${to.historyId}&format=csv`);
+  assert.equal((await app.request('GET', '/api/stores')).status, 200);
+});
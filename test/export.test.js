@@ -0,0 +1,43 @@
+const { Writable } = require('stream');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { writeExport } = require('../lib/export');
+
+const result = {
+  columns: ['Order #', 'Quantity'],
+  rows: Array.from({ length: 50 }, (v, i) => [`ACME-${1000 + i}`, String(i)]),
+};
+
+// a writable that takes one chunk and then stalls, like a client that stopped reading
+function stalled() {
+  return new Writable({ highWaterMark: 1, write() {} });
+}
+
+test('an export stops when its output is closed while waiting to drain', async () => {
+  for (const format of ['csv', 'ndjson', 'html']) {
+    const stream = stalled();
+    const done = writeExport(stream, result, { format });
+    setImmediate(() => stream.destroy());
+    await assert.rejects(done, /closed before the export finished/, format);
+  }
+});
+
+test('an XLSX export waits for its output and stops when it is closed', async () => {
+  const big = { columns: result.columns, rows: Array.from({ length: 5000 }, (v, i) => [`ACME-${i}`, String(Math.random())]) };
+  const stream = stalled();
+  const done = writeExport(stream, big, { format: 'xlsx' });
+  let settled = false;
+  done.catch(() => {}).finally(() => { settled = true; });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(settled, false);
+  stream.destroy();
+  await assert.rejects(done, /closed before the export finished/);
+});
+
+test('an export fails with its output\'s error', async () => {
+  const stream = stalled();
+  const done = writeExport(stream, result, { format: 'csv' });
+  setImmediate(() => stream.destroy(new Error('socket hang up')));
+  await assert.rejects(done, /socket hang up/);
+});
@@ -0,0 +1,119 @@
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockApi } = require('./mock-api');
+const { fetchAllPages, loadOrder } = require('../lib/brightSites');
+const { AuthError, ServerError, NetworkError, ClientError } = require('../lib/errors');
+
+const orders = [1, 2, 3, 4, 5].map((id) => ({ id, order_id: `A${id}`, status: 'paid', created_at: `2024-01-0${id}T00:00:00Z` }));
+
+let mock;
+const opts = { subdomain: 'shop', token: 'tok', rps: 1000 };
+
+test.before(async () => {
+  mock = await createMockApi({ stores: { shop: { token: 'tok', orders } } });
+  process.env.BRIGHTSITES_API_BASE = mock.baseUrl;
+});
+
+test.after(() => mock.close());
+
+test.beforeEach(() => mock.reset());
+
+test('pages until a short page', async () => {
+  const got = await fetchAllPages('/orders', {}, 2, opts);
+  assert.deepEqual(got.map((o) => o.id), [1, 2, 3, 4, 5]);
+  assert.deepEqual(mock.requests.map((r) => r.query.page), ['1', '2', '3']);
+});
+
+test('a full last page costs one more, empty request', async () => {
+  const got = await fetchAllPages('/orders', { status: 'paid' }, 5, opts);
+  assert.equal(got.length, 5);
+  assert.deepEqual(mock.requests.map((r) => r.query.page), ['1', '2']);
+  assert.equal(mock.requests[0].query.status, 'paid');
+});
+
+test('every response wrapper is understood', async () => {
+  for (const wrap of ['orders', 'items', 'data', 'results', 'array', 'records']) {
+    const wrapped = await createMockApi({ stores: { shop: { orders, wrap: { orders: wrap } } } });
+    process.env.BRIGHTSITES_API_BASE = wrapped.baseUrl;
+    try {
+      const got = await fetchAllPages('/orders', {}, 200, opts);
+      assert.equal(got.length, 5, `wrapper ${wrap}`);
+    } finally {
+      await wrapped.close();
+      process.env.BRIGHTSITES_API_BASE = mock.baseUrl;
+    }
+  }
+});
+
+test('429 waits for Retry-After, then retries', async () => {
+  mock.inject({ match: '/orders', status: 429, retryAfter: 0, times: 2 });
+  const got = await fetchAllPages('/orders', {}, 200, opts);
+  assert.equal(got.length, 5);
+  assert.equal(mock.requests.length, 3);
+});
+
+test('5xx is retried with backoff', async () => {
+  mock.inject({ match: '/orders/A1', status: 503 });
+  const order = await loadOrder('A1', opts);
+  assert.equal(order.id, 1);
+  assert.equal(mock.requests.length, 2);
+});
+
+test('a 5xx that outlasts the retries is a ServerError', async () => {
+  mock.inject({ match: '/orders/A1', status: 500, times: 5 });
+  await assert.rejects(loadOrder('A1', Object.assign({ retries: 1 }, opts)), (err) => err instanceof ServerError && err.httpStatus === 500);
+  assert.equal(mock.requests.length, 2);
+});
+
+test('a bad token fails at once with an AuthError', async () => {
+  await assert.rejects(fetchAllPages('/orders', {}, 200, Object.assign({}, opts, { token: 'wrong' })), AuthError);
+  assert.equal(mock.requests.length, 1);
+});
+
+test('slow responses are waited for', async () => {
+  mock.inject({ match: '/orders', delayMs: 300 });
+  const started = Date.now();
+  const got = await fetchAllPages('/orders', {}, 200, opts);
+  assert.equal(got.length, 5);
+  assert.ok(Date.now() - started >= 300);
+});
+
+test('a slow response can be aborted', async () => {
+  mock.inject({ match: '/orders', delayMs: 2000 });
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 50);
+  await assert.rejects(fetchAllPages('/orders', {}, 200, Object.assign({ signal: controller.signal }, opts)), { name: 'AbortError' });
+});
+
+test('network errors name the path but never the URL or its token', async () => {
+  process.env.BRIGHTSITES_API_BASE = 'http://127.0.0.1:1/{subdomain}';
+  try {
+    await assert.rejects(loadOrder('A1', Object.assign({}, opts, { retries: 0 })), (err) => {
+      assert.ok(err instanceof NetworkError);
+      assert.match(err.message, /^request failed \(ECONNREFUSED\) on \/orders\/A1$/);
+      assert.ok(!err.message.includes('tok'));
+      return true;
+    });
+  } finally {
+    process.env.BRIGHTSITES_API_BASE = mock.baseUrl;
+  }
+});
+
+test('a 200 that is not JSON fails at once without retrying', async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits += 1;
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html>maintenance</html>');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.BRIGHTSITES_API_BASE = `http://127.0.0.1:${server.address().port}/{subdomain}`;
+  try {
+    await assert.rejects(loadOrder('A1', opts), (err) => err instanceof ClientError && !err.retryable && !err.message.includes('tok'));
+    assert.equal(hits, 1);
+  } finally {
+    process.env.BRIGHTSITES_API_BASE = mock.baseUrl;
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
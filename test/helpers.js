@@ -0,0 +1,74 @@
+// Shared setup for the tests: an empty DATA_DIR per test file, the mock API, and the app
+// signed in as an admin. Call useTempDataDir() before requiring anything from ../lib.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockApi, loadFixture } = require('./mock-api');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+function useTempDataDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bse-test-'));
+  process.env.DATA_DIR = dir;
+  process.env.SECRETS_KEY = 'test-secrets-key';
+  process.env.SCHEDULER_DISABLED = '1';
+  return dir;
+}
+
+function fixture(name) {
+  return loadFixture(path.join(FIXTURES_DIR, `${name}.json`));
+}
+
+// Start the mock API with `mockStores` ({ subdomain: fixture }) and the app with one store per
+// subdomain (key = subdomain), signed in as an admin. Returns { mock, url, request, close }.
+async function startApp(mockStores) {
+  const mock = await createMockApi({ stores: mockStores });
+  process.env.BRIGHTSITES_API_BASE = mock.baseUrl;
+
+  const stores = require('../lib/stores');
+  const auth = require('../lib/auth');
+  Object.entries(mockStores).forEach(([subdomain, f]) => stores.createStore({ key: subdomain, subdomain, token: f.token || 'unused' }));
+  auth.createUser({ username: 'admin', password: 'test-password', role: 'admin', stores: '*' });
+
+  const app = require('../server');
+  const server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const login = await fetch(`${base}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'test-password' }),
+  });
+  const cookie = login.headers.get('set-cookie').split(';')[0];
+  const { csrfToken } = await login.json();
+
+  // `init` adds fetch options, e.g. { signal }
+  const request = (method, url, body, init = {}) => fetch(`${base}${url}`, Object.assign({
+    method,
+    headers: { 'Content-Type': 'application/json', Cookie: cookie, 'X-CSRF-Token': csrfToken },
+    body: body ? JSON.stringify(body) : undefined,
+  }, init));
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await mock.close();
+  };
+  return { mock, url: base, request, close };
+}
+
+// The expected contents of test/golden/<name>. With UPDATE_GOLDEN=1, `actual` is written
+// there first, so the comparison passes and the diff shows up in git.
+function readGolden(name, actual) {
+  const file = path.join(GOLDEN_DIR, name);
+  if (process.env.UPDATE_GOLDEN === '1' && actual !== undefined) fs.writeFileSync(file, actual);
+  return fs.readFileSync(file, 'utf8');
+}
+
+module.exports = {
+  useTempDataDir,
+  fixture,
+  startApp,
+  readGolden,
+};
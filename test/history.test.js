@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, fixture, startApp, readGolden } = require('./helpers');
+
+useTempDataDir();
+
+const acme = fixture('acme');
+// the same store, changed between runs by the tests
+const shop = Object.assign(fixture('acme'), { wrap: {} });
+const later = shop.orders.pop();
+
+let app;
+
+test.before(async () => {
+  app = await startApp({ acme, shop });
+});
+
+test.after(() => app.close());
+
+async function json(res, status = 200) {
+  assert.equal(res.status, status);
+  return res.json();
+}
+
+async function finishedJob(id) {
+  for (;;) {
+    const job = await json(await app.request('GET', `/api/jobs/${id}`));
+    if (!['queued', 'running'].includes(job.status)) return job;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+function byChange(report) {
+  const col = (name) => report.columns.indexOf(name);
+  return report.rows.map((r) => [r[col('Order #')], r[col('Change')], r[col('Previous')], r[col('Current')], r[col('Line Item ID')]]);
+}
+
+test('a run is recorded with its parameters and counts, and downloads again unchanged', async () => {
+  const result = await json(await app.request('POST', '/api/run', { storeKey: 'acme', reportType: 'Needed Excel', refresh: true }));
+  assert.ok(result.historyId);
+  assert.equal(result.snapshot, undefined);
+
+  const entry = await json(await app.request('GET', `/api/history/${result.historyId}`));
+  assert.equal(entry.kind, 'run');
+  assert.equal(entry.user, 'admin');
+  assert.deepEqual(entry.storeKeys, ['acme']);
+  assert.equal(entry.reportType, 'Needed Excel');
+  assert.deepEqual([entry.orders, entry.rows, entry.errors], [4, 5, 0]);
+  assert.equal(entry.comparable, true);
+
+  const res = await app.request('GET', `/api/history/${entry.id}/export?format=csv`);
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), readGolden('needed-excel.csv'));
+  const after = await json(await app.request('GET', `/api/history/${entry.id}`));
+  assert.deepEqual(after.downloads.map((d) => [d.user, d.format]), [['admin', 'csv']]);
+
+  const list = await json(await app.request('GET', '/api/history?kind=run'));
+  assert.ok(list.some((e) => e.id === entry.id));
+});
+
+test('finished jobs keep their result in the history', async () => {
+  const { id } = await json(await app.request('POST', '/api/jobs', { storeKey: 'acme', reportType: 'Orders Summary' }), 202);
+  const job = await finishedJob(id);
+  assert.equal(job.status, 'done');
+  const entry = await json(await app.request('GET', `/api/history/${job.historyId}`));
+  assert.deepEqual([entry.kind, entry.jobId], ['job', id]);
+  const result = await json(await app.request('GET', `/api/jobs/${id}/result`));
+  assert.deepEqual(result, await json(await app.request('GET', `/api/history/${job.historyId}/result`)));
+});
+
+test('a job whose file can\'t be written doesn\'t take the server down', async () => {
+  const jobsDir = path.join(process.env.DATA_DIR, 'jobs');
+  fs.renameSync(jobsDir, `${jobsDir}.saved`);
+  fs.writeFileSync(jobsDir, 'not a directory');
+  try {
+    const { id } = await json(await app.request('POST', '/api/jobs', { storeKey: 'acme', reportType: 'Orders Summary' }), 202);
+    assert.equal((await finishedJob(id)).status, 'done');
+  } finally {
+    fs.unlinkSync(jobsDir);
+    fs.renameSync(`${jobsDir}.saved`, jobsDir);
+  }
+});
+
+test('the change report lists new orders, status and tracking changes and new line items', async () => {
+  const before = await json(await app.request('POST', '/api/run', { storeKey: 'shop', reportType: 'Needed Excel' }));
+
+  const [o1001, o1002, o1003] = shop.orders;
+  o1001.status = 'delivered';
+  o1002.line_items.push({ id: 5010, name: 'Sticker', sku: 'STK', quantity: 3, price: '1.00' });
+  o1003.shipments.push({ id: 9010, tracking_number: 'NEW123', line_item_ids: [] });
+  [o1001, o1002, o1003].forEach((o) => { o.updated_at = '2024-04-01T00:00:00Z'; });
+  shop.orders.push(later);
+
+  // "changes since": the same export again, then compared with the earlier run
+  const { id } = await json(await app.request('POST', `/api/history/${before.historyId}/rerun`), 202);
+  const job = await finishedJob(id);
+  const report = await json(await app.request('GET', `/api/history/changes?from=${before.historyId}&to=${job.historyId}`));
+  assert.deepEqual(byChange(report), [
+    ['ACME-1001', 'Status changed', 'completed', 'delivered', ''],
+    ['ACME-1002', 'New line item', '', '', '5010'],
+    ['ACME-1003', 'New tracking', '9400111899223847562931; 9400111899223847562948', 'NEW123', ''],
+    ...later.line_items.map((li) => ['ACME-1004', 'New order', '', later.status, String(li.id)]),
+  ]);
+  assert.deepEqual([report.meta.newOrders, report.meta.statusChanged, report.meta.trackingChanged, report.meta.newLineItems], [1, 1, 1, 1]);
+
+  const csv = await app.request('GET', `/api/history/changes?from=${before.historyId}&to=${job.historyId}&format=csv`);
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-disposition'), /shop_changes_/);
+  assert.equal((await csv.text()).trim().split('\n').length, report.rows.length + 1);
+
+  // nothing changed since the rerun
+  const again = await json(await app.request('GET', `/api/history/changes?from=${job.historyId}&to=${job.historyId}`));
+  assert.deepEqual(again.rows, []);
+});
+
+test('bad comparisons are refused', async () => {
+  const { historyId } = await json(await app.request('POST', '/api/run', { storeKey: 'acme', reportType: 'Needed Excel' }));
+  assert.equal((await app.request('GET', `/api/history/changes?from=${historyId}`)).status, 400);
+  assert.equal((await app.request('GET', `/api/history/changes?from=${historyId}&to=nope`)).status, 404);
+  assert.equal((await app.request('DELETE', `/api/history/${historyId}`)).status, 200);
+  assert.equal((await app.request('GET', `/api/history/${historyId}`)).status, 404);
+});
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// Local stand-in for the BrightSites API, serving orders from fixtures. Used by the tests, and
+// can be run on its own to point a dev server at it:
+//
+//   node test/mock-api.js --port 4010 test/fixtures/acme.json
+//   BRIGHTSITES_API_BASE=http://127.0.0.1:4010/{subdomain}/api/v2.6.1 npm start
+//
+// Fixtures are { token, orders: [...], wrap }, one per subdomain. Each order carries its own
+// `line_items` and `shipments`; they are served by the sub-resource routes and left out of the
+// order itself, as the real API does. Paths look like /<subdomain>/api/v2.6.1/orders.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// how each list is wrapped by default; 'array' serves a bare array
+const DEFAULT_WRAP = { orders: 'orders', line_items: 'line_items', shipments: 'shipments' };
+
+function withoutChildren(order) {
+  const out = Object.assign({}, order);
+  delete out.line_items;
+  delete out.shipments;
+  return out;
+}
+
+function matches(match, pathname) {
+  if (!match) return true;
+  if (match instanceof RegExp) return match.test(pathname);
+  return pathname === match || pathname.endsWith(match);
+}
+
+function inRange(value, from, to) {
+  const t = Date.parse(value);
+  if (from && !(t >= Date.parse(from))) return false;
+  if (to && !(t <= Date.parse(to))) return false;
+  return true;
+}
+
+function filterOrders(orders, query) {
+  return orders.filter((o) => {
+    if (query.get('status') && String(o.status || '').toLowerCase() !== query.get('status').toLowerCase()) return false;
+    return ['created_at', 'updated_at'].every((field) => {
+      const from = query.get(`${field}_from`);
+      const to = query.get(`${field}_to`);
+      return (!from && !to) || inRange(o[field], from, to);
+    });
+  });
+}
+
+function paginate(list, query) {
+  const perPage = Number(query.get('per_page')) || 25;
+  const page = Math.max(1, Number(query.get('page')) || 1);
+  return list.slice((page - 1) * perPage, page * perPage);
+}
+
+function wrapList(store, kind, list) {
+  const key = Object.assign({}, DEFAULT_WRAP, store.wrap || {})[kind];
+  return key === 'array' ? list : { [key]: list };
+}
+
+// Options:
+//   stores: { subdomain: fixture }
+//   latencyMs: delay added to every response
+//   port: defaults to any free port
+// Returns { url, baseUrl, requests, inject, reset, close }. `inject({ match, status, times,
+// retryAfter, delayMs, body })` makes the next `times` requests whose path matches `match`
+// (a string suffix or RegExp) wait `delayMs` and, if `status` is set, fail with it.
+function createMockApi({ stores = {}, latencyMs = 0, port = 0 } = {}) {
+  let faults = [];
+  const requests = [];
+
+  function inject(fault) {
+    faults.push(Object.assign({ times: 1 }, fault));
+  }
+
+  function takeFault(pathname) {
+    const fault = faults.find((f) => f.times > 0 && matches(f.match, pathname));
+    if (fault) fault.times -= 1;
+    faults = faults.filter((f) => f.times > 0);
+    return fault || null;
+  }
+
+  function route(pathname, query) {
+    const m = pathname.match(/^\/([^/]+)\/api\/v2\.6\.1(\/.*)$/);
+    const store = m && stores[m[1]];
+    if (!store) return [404, { error: 'unknown store' }];
+    if (store.token && query.get('token') !== store.token) return [401, { error: 'invalid token' }];
+    const rest = m[2].replace(/\/+$/, '');
+    const findOrder = (id) => (store.orders || []).find((o) => String(o.id) === id || String(o.order_id) === id);
+    let r;
+    if (rest === '/orders') {
+      return [200, wrapList(store, 'orders', paginate(filterOrders(store.orders || [], query), query).map(withoutChildren))];
+    }
+    if ((r = rest.match(/^\/orders\/([^/]+)$/))) {
+      const order = findOrder(r[1]);
+      return order ? [200, withoutChildren(order)] : [404, { error: 'order not found' }];
+    }
+    if ((r = rest.match(/^\/orders\/([^/]+)\/(line_items|shipments)$/))) {
+      const order = findOrder(r[1]);
+      if (!order) return [404, { error: 'order not found' }];
+      return [200, wrapList(store, r[2], paginate(order[r[2]] || [], query))];
+    }
+    return [404, { error: 'not found' }];
+  }
+
+  // test control over HTTP, for when the mock runs as its own process
+  function control(req, pathname, body) {
+    if (pathname === '/__mock/faults' && req.method === 'POST') {
+      const fault = JSON.parse(body || '{}');
+      inject(Object.assign(fault, { match: fault.match || undefined }));
+      return [201, { faults: faults.length }];
+    }
+    if (pathname === '/__mock/reset' && req.method === 'POST') {
+      reset();
+      return [200, { reset: true }];
+    }
+    if (pathname === '/__mock/requests') return [200, requests];
+    return [404, { error: 'not found' }];
+  }
+
+  function reset() {
+    faults = [];
+    requests.length = 0;
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://mock');
+      const send = ([status, json, headers = {}]) => {
+        if (res.destroyed) return;
+        res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+        res.end(JSON.stringify(json));
+      };
+      if (url.pathname.startsWith('/__mock/')) return send(control(req, url.pathname, body));
+
+      requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+      const fault = takeFault(url.pathname);
+      const delay = latencyMs + ((fault && fault.delayMs) || 0);
+      const respond = () => {
+        if (fault && fault.status) {
+          const headers = fault.retryAfter !== undefined ? { 'Retry-After': String(fault.retryAfter) } : {};
+          return send([fault.status, fault.body || { error: `injected ${fault.status}` }, headers]);
+        }
+        return send(route(url.pathname, url.searchParams));
+      };
+      if (delay) setTimeout(respond, delay);
+      else respond();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        // for BRIGHTSITES_API_BASE
+        baseUrl: `${url}/{subdomain}/api/v2.6.1`,
+        requests,
+        inject,
+        reset,
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(done);
+        }),
+      });
+    });
+  });
+}
+
+function loadFixture(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+if (require.main === module) {
+  const { values, positionals } = parseArgs({ options: { port: { type: 'string', default: '4010' } }, allowPositionals: true });
+  const stores = {};
+  // the fixture's file name is its subdomain
+  positionals.forEach((file) => { stores[path.basename(file, '.json')] = loadFixture(file); });
+  createMockApi({ stores, port: Number(values.port) }).then((mock) => {
+    console.log(`Mock BrightSites API on ${mock.url} serving ${Object.keys(stores).join(', ') || 'no stores'}`);
+    console.log(`BRIGHTSITES_API_BASE=${mock.baseUrl}`);
+  });
+}
+
+module.exports = {
+  createMockApi,
+  loadFixture,
+};
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { countryCode, subdivisionCode, postalCode, e164, normalizeEntry } = require('../lib/normalize');
+
+test('countries become ISO codes from names, aliases and codes', () => {
+  assert.equal(countryCode('United States of America'), 'US');
+  assert.equal(countryCode(' usa '), 'US');
+  assert.equal(countryCode('UK'), 'GB');
+  assert.equal(countryCode('Germany'), 'DE');
+  assert.equal(countryCode('deu'), 'DE');
+  assert.equal(countryCode('Côte d’Ivoire'), 'CI');
+  assert.equal(countryCode('fr'), 'FR');
+  // regions that are not countries
+  assert.equal(countryCode('EU'), null);
+  assert.equal(countryCode('Narnia'), null);
+  assert.equal(countryCode(''), '');
+});
+
+test('US states and Canadian provinces become their abbreviations', () => {
+  assert.equal(subdivisionCode('Massachusetts', 'US'), 'MA');
+  assert.equal(subdivisionCode('ma', 'US'), 'MA');
+  assert.equal(subdivisionCode('N.Y.', 'US'), 'NY');
+  assert.equal(subdivisionCode('Washington D.C.', 'US'), 'DC');
+  assert.equal(subdivisionCode('Québec', 'CA'), 'QC');
+  assert.equal(subdivisionCode('PEI', 'CA'), 'PE');
+  assert.equal(subdivisionCode('Atlantis', 'US'), null);
+  // other countries keep what they have
+  assert.equal(subdivisionCode(' Bavaria ', 'DE'), 'Bavaria');
+});
+
+test('postal codes get the country\'s format', () => {
+  assert.equal(postalCode('2134', 'US'), '02134');
+  assert.equal(postalCode('021341234', 'US'), '02134-1234');
+  assert.equal(postalCode('02134 1234', 'US'), '02134-1234');
+  assert.equal(postalCode('0213412', 'US'), null);
+  assert.equal(postalCode('k1a0b1', 'CA'), 'K1A 0B1');
+  assert.equal(postalCode('sw1a1aa', 'GB'), 'SW1A 1AA');
+  assert.equal(postalCode('1234ab', 'NL'), '1234 AB');
+  assert.equal(postalCode('1010', 'DE'), '01010');
+  assert.equal(postalCode('123456', 'DE'), null);
+  assert.equal(postalCode(' d02 x285 ', 'IE'), 'D02 X285');
+});
+
+test('phones become E.164', () => {
+  assert.equal(e164('(617) 555-1212', 'US'), '+16175551212');
+  // NANP numbers may carry their leading 1
+  assert.equal(e164('1-617-555-1212', 'US'), '+16175551212');
+  assert.equal(e164('26175551212', 'US'), null);
+  assert.equal(e164('555-1212', 'US'), null);
+  assert.equal(e164('617-555-1212 ext. 12', 'CA'), '+16175551212');
+  // the national trunk 0 is dropped
+  assert.equal(e164('020 7946 0018', 'GB'), '+442079460018');
+  assert.equal(e164('030 123456', 'DE'), '+4930123456');
+  assert.equal(e164('0044 20 7946 0018', 'US'), '+442079460018');
+  assert.equal(e164('+33 1 23 45 67 89', ''), '+33123456789');
+  assert.equal(e164('01 23 45 67 89', ''), null);
+});
+
+test('an order is normalized and what can\'t be is reported', () => {
+  const entry = {
+    order: {
+      billing_address: { country: 'United States', state: 'massachusetts', zip: '2134', phone: '617.555.1212' },
+      shipping_address: { country: 'Narnia', zip: '???' },
+      customer_phone: '12',
+    },
+    shipments: [{ shipping_address: { state: 'Ontario', zip: 'm5v3l9' } }],
+  };
+  const out = normalizeEntry(entry);
+  assert.deepEqual(out.order.billing_address, { country: 'US', state: 'MA', zip: '02134', phone: '+16175551212' });
+  assert.equal(entry.order.billing_address.zip, '2134');
+  assert.deepEqual(out.addressProblems, [
+    { where: 'shipping', field: 'country', value: 'Narnia' },
+    { where: 'order', field: 'phone', value: '12' },
+  ]);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, fixture, startApp } = require('./helpers');
+
+useTempDataDir();
+
+const { splitName } = require('../lib/profiles');
+
+const acme = fixture('acme');
+// a pound-weighted tee and a mug weighed in grams; the other items have no weight
+Object.assign(acme.orders[0].line_items[0], { weight: '0.5' });
+Object.assign(acme.orders[0].line_items[1], { weight: '400', weight_unit: 'g' });
+
+let app;
+
+test.before(async () => {
+  app = await startApp({ acme });
+});
+
+test.after(() => app.close());
+
+async function json(res, status = 200) {
+  assert.equal(res.status, status);
+  return res.json();
+}
+
+async function run(reportType) {
+  return json(await app.request('POST', '/api/run', { storeKey: 'acme', reportType }));
+}
+
+function records({ columns, rows }) {
+  return rows.map((r) => Object.fromEntries(columns.map((c, i) => [c, r[i]])));
+}
+
+test('names are split into first and last', () => {
+  assert.deepEqual(splitName('Bo Diaz'), ['Bo', 'Diaz']);
+  assert.deepEqual(splitName('Ann Marie Lee'), ['Ann Marie', 'Lee']);
+  assert.deepEqual(splitName('Lee, Ann'), ['Ann', 'Lee']);
+  assert.deepEqual(splitName('Bo Diaz Jr.'), ['Bo', 'Diaz Jr.']);
+  assert.deepEqual(splitName('Cher'), ['Cher', '']);
+});
+
+test('profiles are listed with the reports', async () => {
+  const reports = await json(await app.request('GET', '/api/reports'));
+  const profiles = reports.filter((r) => r.profile).map((r) => [r.profile, r.name, r.resource]);
+  assert.deepEqual(profiles, [
+    ['shipstation', 'ShipStation Orders', 'orders'],
+    ['worldship', 'UPS WorldShip Addresses', 'orders'],
+    ['3pl', '3PL Pick List', 'orders'],
+  ]);
+});
+
+test('ShipStation rows convert weights, split names and report the rows ShipStation would reject', async () => {
+  const result = await run('ShipStation Orders');
+  const rows = records(result);
+  const [tee, mug] = rows;
+  assert.deepEqual([tee['Order Number'], tee['Order Date'], tee['Order Status']], ['ACME-1001', '03/01/2024', 'shipped']);
+  assert.deepEqual([tee['Recipient First Name'], tee['Recipient Last Name'], tee.City, tee.State, tee['Country Code']], ['Bo', 'Diaz', 'New York', 'NY', 'US']);
+  assert.deepEqual([tee['Item Weight'], mug['Item Weight'], mug['Item Weight Units']], ['8', '14.11', 'ounces']);
+  // no shipping address: the billing address is the ship-to
+  const dee = rows.find((r) => r['Order Number'] === 'ACME-1003');
+  assert.deepEqual([dee['Recipient First Name'], dee['Recipient Last Name'], dee['Address Line 1'], dee['Postal Code']], ['Dee', 'Park', '77 Oak Ln', '80202']);
+
+  const rejected = result.diagnostics.map((d, i) => [rows[i]['Order Number'], d.rejections]).filter(([, r]) => r);
+  assert.deepEqual(rejected.map(([order]) => order), ['ACME-1002', 'ACME-1004']);
+  assert.ok(rejected[0][1].includes('Address Line 1 is empty'));
+  assert.ok(rejected[0][1].includes('Country Code is empty'));
+  assert.equal(result.meta.diagnostics.rejected, 2);
+});
+
+test('order dates are the day the order was placed in the store\'s timezone', async () => {
+  // ACME-1001 was placed at 15:04 UTC on 1 March: already 2 March in Tokyo
+  await json(await app.request('PUT', '/api/stores/acme', { timezone: 'Asia/Tokyo' }));
+  assert.equal(records(await run('ShipStation Orders'))[0]['Order Date'], '03/02/2024');
+  await json(await app.request('PUT', '/api/stores/acme', { timezone: 'UTC' }));
+  assert.equal(records(await run('ShipStation Orders'))[0]['Order Date'], '03/01/2024');
+});
+
+test('WorldShip needs a weight per package, and the profile settings can give one', async () => {
+  let result = await run('UPS WorldShip Addresses');
+  let rows = records(result);
+  const first = rows.find((r) => r['Reference 1'] === 'ACME-1001');
+  // 2 x 0.5 lb + 2 x 400 g, rounded up to a tenth
+  assert.deepEqual([first['Company or Name'], first.Attention, first.Weight, first['Residential Indicator'], first.Telephone], ['Bo Diaz', 'Bo Diaz', '2.8', 'Y', '2125550000']);
+
+  const reasons = (order) => result.diagnostics[records(result).findIndex((r) => r['Reference 1'] === order)].rejections || [];
+  assert.match(reasons('ACME-1003').join(), /Weight is unknown/);
+
+  const profile = await json(await app.request('PUT', '/api/profiles/worldship', { defaultWeight: 1.5, service: '2nd Day Air' }));
+  assert.equal(profile.settings.defaultWeight, '1.5');
+  result = await run('UPS WorldShip Addresses');
+  rows = records(result);
+  const dee = rows.find((r) => r['Reference 1'] === 'ACME-1003');
+  assert.deepEqual([dee.Weight, dee.Service], ['4.5', '2nd Day Air']);
+  assert.deepEqual(reasons('ACME-1003'), []);
+
+  await json(await app.request('PUT', '/api/profiles/worldship', { defaultWeight: null, service: null }));
+  assert.equal((await app.request('PUT', '/api/profiles/worldship', { weightUnit: 'oz' })).status, 400);
+  assert.equal((await app.request('PUT', '/api/profiles/nope', {})).status, 404);
+});
+
+test('the 3PL pick list takes its columns, headers and required fields from the settings', async () => {
+  await json(await app.request('PUT', '/api/profiles/3pl', {
+    columns: [
+      { field: 'orderNumber', header: 'PO' },
+      { field: 'sku', header: 'Item' },
+      { field: 'quantity', header: 'Units' },
+      { field: 'lineWeight', header: 'Weight (kg)' },
+      { field: 'lastName', header: 'Surname' },
+      { field: 'country', header: 'Country' },
+    ],
+    required: ['orderNumber', 'sku', 'country'],
+    weightUnit: 'kg',
+    countryFormat: 'name',
+  }));
+  const result = await run('3PL Pick List');
+  assert.deepEqual(result.columns, ['PO', 'Item', 'Units', 'Weight (kg)', 'Surname', 'Country']);
+  assert.deepEqual(result.rows.slice(0, 2), [
+    ['ACME-1001', 'TEE-L', '2', '0.454', 'Diaz', 'United States'],
+    ['ACME-1001', 'MUG', '2', '0.8', 'Diaz', 'United States'],
+  ]);
+  assert.deepEqual(result.diagnostics.map((d) => d.rejections || []).filter((r) => r.length), [['Country is empty'], ['Country is empty']]);
+
+  assert.equal((await app.request('PUT', '/api/profiles/3pl', { columns: [{ field: 'colour' }] })).status, 400);
+  assert.equal((await app.request('PUT', '/api/profiles/3pl', { columns: [{ field: 'sku', header: 'A' }, { field: 'quantity', header: 'A' }] })).status, 400);
+});
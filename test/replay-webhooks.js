@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Replay BrightSites webhook events against a running server, signed like BrightSites would:
+//
+//   node test/replay-webhooks.js --url http://localhost:3000 --store acme --secret s3cret test/fixtures/acme-events.json
+//
+// The file holds an array of event bodies ({ id, event, data }), sent in order.
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+
+function sign(secret, rawBody) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+}
+
+// POST each event to /webhooks/brightsites/<storeKey>; resolves with [{ status, body }]
+async function replayEvents({ url, storeKey, secret, events, delayMs = 0 }) {
+  const out = [];
+  for (const event of events) {
+    const rawBody = JSON.stringify(event);
+    const res = await fetch(`${url.replace(/\/+$/, '')}/webhooks/brightsites/${encodeURIComponent(storeKey)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-BrightSites-Signature': sign(secret, rawBody) },
+      body: rawBody,
+    });
+    out.push({ status: res.status, body: await res.json() });
+    if (delayMs) await new Promise((resolve) => setTimeout(resolve, delayMs));
+  }
+  return out;
+}
+
+if (require.main === module) {
+  const { values, positionals } = parseArgs({
+    options: {
+      url: { type: 'string', default: 'http://localhost:3000' },
+      store: { type: 'string' },
+      secret: { type: 'string' },
+      delay: { type: 'string', default: '0' },
+    },
+    allowPositionals: true,
+  });
+  if (!values.store || !values.secret || positionals.length !== 1) {
+    console.error('usage: replay-webhooks.js --store <key> --secret <secret> [--url http://localhost:3000] [--delay ms] <events.json>');
+    process.exit(2);
+  }
+  const events = JSON.parse(fs.readFileSync(positionals[0], 'utf8'));
+  replayEvents({ url: values.url, storeKey: values.store, secret: values.secret, events, delayMs: Number(values.delay) })
+    .then((results) => results.forEach((r, i) => console.log(`${events[i].id || i}\t${r.status}\t${JSON.stringify(r.body)}`)))
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  sign,
+  replayEvents,
+};
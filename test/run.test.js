@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, fixture, startApp, readGolden } = require('./helpers');
+
+useTempDataDir();
+
+const acme = fixture('acme');
+// the same orders behind other response wrappers
+const wrapped = Object.assign({}, acme, { wrap: { orders: 'data', line_items: 'array', shipments: 'results' } });
+// one shipment that covers only the first of the order's two line items
+const partial = fixture('acme');
+partial.orders = [partial.orders[0]];
+partial.orders[0].shipments[0].line_item_ids = [5001];
+
+let app;
+
+test.before(async () => {
+  app = await startApp({ acme, wrapped, partial });
+});
+
+test.after(() => app.close());
+
+test.beforeEach(() => app.mock.reset());
+
+// `refresh` skips the order cache so every order is fetched (and any injected fault is hit)
+async function neededExcelCsv(storeKey) {
+  const res = await app.request('POST', '/api/run', { storeKey, reportType: 'Needed Excel', format: 'csv', refresh: true });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/csv/);
+  return res.text();
+}
+
+test('Needed Excel CSV matches the golden file', async () => {
+  const csv = await neededExcelCsv('acme');
+  assert.equal(csv, readGolden('needed-excel.csv', csv));
+});
+
+test('other response wrappers give the same CSV', async () => {
+  assert.equal(await neededExcelCsv('wrapped'), readGolden('needed-excel.csv'));
+});
+
+test('transient 429s and 5xx during enrichment do not change the output', async () => {
+  app.mock.inject({ match: '/orders/1002/line_items', status: 429, retryAfter: 0, times: 2 });
+  app.mock.inject({ match: '/orders/1003', status: 502 });
+  app.mock.inject({ match: '/orders/1001/shipments', delayMs: 200 });
+  assert.equal(await neededExcelCsv('acme'), readGolden('needed-excel.csv'));
+});
+
+test('an order that keeps failing is reported and left out', async () => {
+  app.mock.inject({ match: '/orders/1004/line_items', status: 404, times: 10 });
+  const res = await app.request('POST', '/api/run', { storeKey: 'acme', reportType: 'Needed Excel', refresh: true });
+  const result = await res.json();
+  assert.deepEqual(result.rows.map((r) => r[0]), ['ACME-1001', 'ACME-1001', 'ACME-1002', 'ACME-1003']);
+  assert.equal(result.meta.errors.length, 1);
+  assert.equal(result.meta.errors[0].httpStatus, 404);
+});
+
+test('status and date filters reach the API', async () => {
+  const res = await app.request('POST', '/api/run', { storeKey: 'acme', reportType: 'Needed Excel', status: 'shipped', start: '2024-03-04', end: '2024-03-31' });
+  const result = await res.json();
+  assert.deepEqual(result.rows.map((r) => r[0]), ['ACME-1003']);
+  const list = app.mock.requests.find((r) => r.path.endsWith('/orders'));
+  assert.equal(list.query.status, 'shipped');
+  assert.ok(list.query.created_at_from.startsWith('2024-03-04'));
+});
+
+test('row builder: tracking, carriers, shipment fields and address fallbacks', async () => {
+  const res = await app.request('POST', '/api/run', { storeKey: 'acme', reportType: 'Needed Excel' });
+  const { columns, rows } = await res.json();
+  const row = (orderNumber, i = 0) => {
+    const r = rows.filter((x) => x[0] === orderNumber)[i];
+    return Object.fromEntries(columns.map((c, idx) => [c, r[idx]]));
+  };
+  assert.equal(row('ACME-1001')['Tracking #'], '1Z999AA10123456784');
+  assert.equal(row('ACME-1001').Carrier, 'UPS');
+  // both tracking numbers of a line item split over two shipments
+  assert.equal(row('ACME-1003')['Tracking #'], '9400111899223847562931; 9400111899223847562948');
+  assert.equal(row('ACME-1003').Carrier, 'USPS');
+  assert.equal(row('ACME-1003')['Tracking URL'].split('; ').length, 2);
+  // cost, method and date come from the first shipment listing the item; the method from the order
+  assert.deepEqual([row('ACME-1003')['Shipping Landded Cost'], row('ACME-1003')['Ship Date'], row('ACME-1003')['Ship Method']], ['6.00', '2024-03-06', 'USPS Priority Mail']);
+  // a shipment that lists no line items tracks none of them, nor lends its cost, method or date
+  assert.deepEqual(['Tracking #', 'Carrier', 'Shipping Landded Cost', 'Ship Method', 'Ship Date'].map((c) => row('ACME-1002')[c]), ['', '', '', '', '']);
+  // no order addresses: billing comes from order-level fields, shipping from the shipment
+  assert.equal(row('ACME-1002')['Billing Info'], 'Carl Ng | carl@example.test');
+  assert.equal(row('ACME-1002')['Shipping Info'], 'Carl Ng | 500 Dock St | Austin, TX 73301 | US | carl@example.test');
+  // shipping falls back to the shipping contact, billing to the billing contact
+  assert.equal(row('ACME-1001')['Billing Name'], 'Ann Lee');
+  assert.equal(row('ACME-1001')['Shipping Name'], 'Bo Diaz');
+  assert.equal(row('ACME-1001')['Product Options'], 'Size: L; Color: Navy');
+  assert.equal(row('ACME-1004')['Tracking #'], '');
+});
+
+test('a line item no shipment lists gets no tracking or shipment details, and is flagged', async () => {
+  const res = await app.request('POST', '/api/run', { storeKey: 'partial', reportType: 'Needed Excel' });
+  const { columns, rows, diagnostics } = await res.json();
+  const fields = ['Line Item ID', 'Tracking #', 'Carrier', 'Tracking URL', 'Ship Method', 'Ship Date'];
+  assert.deepEqual(rows.map((r) => fields.map((c) => r[columns.indexOf(c)])), [
+    ['5001', '1Z999AA10123456784', 'UPS', 'https://www.ups.com/track?tracknum=1Z999AA10123456784', 'UPS Ground', '2024-03-02'],
+    ['5002', '', '', '', '', ''],
+  ]);
+  assert.deepEqual(diagnostics.map((d) => d.issues.includes('unmatchedLineItem')), [false, true]);
+});
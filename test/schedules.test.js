@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, fixture, startApp } = require('./helpers');
+
+useTempDataDir();
+
+let app;
+
+test.before(async () => {
+  app = await startApp({ acme: fixture('acme'), shop: fixture('acme') });
+});
+
+test.after(() => app.close());
+
+async function json(res, status = 200) {
+  assert.equal(res.status, status);
+  return res.json();
+}
+
+function create(stores) {
+  const input = { name: 'Daily', cron: '0 6 * * *', reportType: 'Needed Excel', format: 'csv', delivery: { type: 'folder', path: 'daily' } };
+  return app.request('POST', '/api/schedules', Object.assign(input, stores));
+}
+
+test('"all" stores is kept however it is given, and the schedule runs over every store', async () => {
+  for (const stores of [{ storeKeys: 'all' }, { storeKey: 'all', storeKeys: ['acme'] }, { storeKeys: ['acme', 'all'] }]) {
+    const schedule = await json(await create(stores), 201);
+    assert.deepEqual([schedule.storeKey, schedule.storeKeys], ['all', undefined], JSON.stringify(stores));
+  }
+  const schedules = await json(await app.request('GET', '/api/schedules'));
+  const entry = await json(await app.request('POST', `/api/schedules/${schedules[0].id}/run`));
+  assert.equal(entry.status, 'done');
+  assert.equal(entry.params.storeKey, 'all');
+  assert.equal(entry.orders, 8);
+});
+
+test('stores given in an update replace the schedule\'s, and must be a list or "all"', async () => {
+  const { id } = await json(await create({ storeKeys: ['acme', 'shop'] }), 201);
+  const updated = await json(await app.request('PUT', `/api/schedules/${id}`, { storeKey: 'shop' }));
+  assert.deepEqual([updated.storeKey, updated.storeKeys], ['shop', undefined]);
+  const res = await app.request('PUT', `/api/schedules/${id}`, { storeKeys: 'acme' });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /storeKeys must be an array/);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, fixture, startApp } = require('./helpers');
+
+useTempDataDir();
+process.env.STORE_TEST_TIMEOUT_MS = '1000';
+
+let app;
+
+test.before(async () => {
+  app = await startApp({ acme: fixture('acme') });
+});
+
+test.after(() => app.close());
+
+async function json(res, status = 200) {
+  assert.equal(res.status, status);
+  return res.json();
+}
+
+test('a connection test reports why it failed without echoing the token', async () => {
+  let result = await json(await app.request('POST', '/api/stores/acme/test'));
+  assert.deepEqual([result.ok, result.authenticated], [true, true]);
+
+  await json(await app.request('PUT', '/api/stores/acme', { token: 'stale-token' }));
+  result = await json(await app.request('POST', '/api/stores/acme/test'));
+  assert.deepEqual([result.ok, result.authenticated, result.httpStatus, result.error], [false, false, 401, 'HTTP 401']);
+  assert.ok(!JSON.stringify(result).includes('stale-token'));
+  await json(await app.request('PUT', '/api/stores/acme', { token: 'acme-token' }));
+
+  // a store that doesn't answer is given up on
+  app.mock.inject({ match: '/orders', delayMs: 3000 });
+  result = await json(await app.request('POST', '/api/stores/acme/test'));
+  assert.deepEqual([result.ok, result.authenticated, result.error], [false, null, 'no answer within 1s']);
+  assert.ok(result.latencyMs < 3000);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trackingForLineItem, trackingEntriesForLineItem } = require('../lib/brightSites');
+
+test('only shipments that list the line item are used', () => {
+  const shipments = [
+    { tracking_number: 'A', line_item_ids: [1] },
+    { tracking_number: 'B', line_item_ids: [2] },
+    { tracking_number: 'C', line_items: [{ id: 1 }] },
+  ];
+  assert.equal(trackingForLineItem({ shipments }, 1), 'A; C');
+  assert.equal(trackingForLineItem({ shipments }, '2'), 'B');
+});
+
+test('line items listed as bare ids match too', () => {
+  assert.equal(trackingForLineItem({ shipments: [{ tracking: 'T1', line_items: ['7'] }] }, 7), 'T1');
+});
+
+test('without a matching shipment, other shipments\' tracking is not used', () => {
+  const shipments = [{ tracking_number: 'A', line_item_ids: [9] }, { tracking_number: 'B' }];
+  assert.equal(trackingForLineItem({ shipments }, 1), '');
+});
+
+test('repeated numbers are listed once, with the first shipment', () => {
+  const first = { id: 1, tracking_number: 'A', line_item_ids: [1] };
+  const entries = trackingEntriesForLineItem({ shipments: [first, { id: 2, tracking_number: 'A', line_item_ids: [1] }] }, 1);
+  assert.deepEqual(entries, [{ number: 'A', shipment: first }]);
+});
+
+test('shipments without tracking and orders without shipments give nothing', () => {
+  assert.equal(trackingForLineItem({ shipments: [{ line_item_ids: [1] }] }, 1), '');
+  assert.equal(trackingForLineItem({ shipments: [] }, 1), '');
+  assert.equal(trackingForLineItem({}, 1), '');
+});
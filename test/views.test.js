@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempDataDir, fixture, startApp } = require('./helpers');
+
+useTempDataDir();
+
+let app;
+let runId;
+
+test.before(async () => {
+  app = await startApp({ acme: fixture('acme') });
+  const result = await json(await app.request('POST', '/api/run', { storeKey: 'acme', reportType: 'Needed Excel' }));
+  runId = result.historyId;
+});
+
+test.after(() => app.close());
+
+async function json(res, status = 200) {
+  assert.equal(res.status, status);
+  return res.json();
+}
+
+async function query(body) {
+  return json(await app.request('POST', `/api/history/${runId}/query`, body));
+}
+
+// a second signed-in user, with the exporter role
+async function signIn(username) {
+  await json(await app.request('POST', '/api/users', { username, password: 'other-password', role: 'exporter', stores: '*' }), 201);
+  const login = await fetch(`${app.url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password: 'other-password' }),
+  });
+  const cookie = login.headers.get('set-cookie').split(';')[0];
+  const { csrfToken } = await login.json();
+  return (method, url, body) => fetch(`${app.url}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Cookie: cookie, 'X-CSRF-Token': csrfToken },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+}
+
+test('a stored run is paged through, with diagnostics per row', async () => {
+  const page = await query({ offset: 1, limit: 2 });
+  assert.deepEqual([page.total, page.totalRows, page.offset, page.limit], [5, 5, 1, 2]);
+  assert.equal(page.columns.length, page.allColumns.length);
+  assert.deepEqual(page.rows.map((r) => [r.index, r.cells[0], r.cells[3]]), [[1, 'ACME-1001', '5002'], [2, 'ACME-1002', '5003']]);
+  assert.deepEqual(page.rows[1].issues, ['missingTracking', 'unmatchedLineItem', 'addressFallback']);
+  assert.equal(page.meta.reportType, 'Needed Excel');
+});
+
+test('views pick, rename and order columns, sort, filter and search', async () => {
+  const columns = [{ name: 'Quantity', label: 'Qty' }, { name: 'Order #' }];
+  let page = await query({ view: { columns, sort: [{ column: 'Quantity', dir: 'desc' }] } });
+  assert.deepEqual(page.columns, [{ name: 'Quantity', label: 'Qty' }, { name: 'Order #', label: 'Order #' }]);
+  // numbers sort as numbers
+  assert.deepEqual(page.rows.map((r) => r.cells), [['5', 'ACME-1004'], ['3', 'ACME-1003'], ['2', 'ACME-1001'], ['2', 'ACME-1001'], ['1', 'ACME-1002']]);
+
+  page = await query({ view: { columns, filters: { Quantity: '>1', 'Order Status': '!pending' } } });
+  assert.deepEqual(page.rows.map((r) => r.cells[1]), ['ACME-1001', 'ACME-1001', 'ACME-1003']);
+  assert.equal(page.total, 3);
+
+  page = await query({ view: { columns, filters: { 'Order Status': '=shipped' }, search: 'hoodie' } });
+  assert.deepEqual(page.rows.map((r) => r.cells[1]), ['ACME-1003']);
+
+  page = await query({ view: { columns, issue: 'missingTracking' } });
+  assert.deepEqual(page.rows.map((r) => r.index), [2, 4]);
+
+  // empty cells sort last in either direction
+  page = await query({ view: { columns: ['Ship Method'], sort: [{ column: 'Ship Method', dir: 'asc' }] } });
+  assert.deepEqual(page.rows.map((r) => r.cells[0]), ['UPS Ground', 'UPS Ground', 'USPS Priority Mail', '', '']);
+
+  assert.equal((await app.request('POST', `/api/history/${runId}/query`, { view: { sort: [{ column: 'Quantity', dir: 'up' }] } })).status, 400);
+  assert.equal((await app.request('POST', `/api/history/${runId}/query`, { view: { sort: [null] } })).status, 400);
+  assert.equal((await app.request('POST', `/api/history/${runId}/query`, { view: { filters: { Quantity: { gt: 1 } } } })).status, 400);
+});
+
+test('rows are grouped by order', async () => {
+  const page = await query({ view: { columns: ['Order #', 'Line Item ID'], groupBy: 'order', sort: [{ column: 'Line Item ID', dir: 'desc' }] }, limit: 3 });
+  assert.deepEqual(page.rows.map((r) => [r.group, r.cells[1]]), [['ACME-1004', '5005'], ['ACME-1003', '5004'], ['ACME-1002', '5003']]);
+  assert.deepEqual(page.groups, { 'ACME-1004': 1, 'ACME-1003': 1, 'ACME-1002': 1 });
+  const rest = await query({ view: { columns: ['Order #', 'Line Item ID'], groupBy: 'order', sort: [{ column: 'Line Item ID', dir: 'desc' }] }, offset: 3 });
+  assert.deepEqual(rest.rows.map((r) => r.cells[1]), ['5002', '5001']);
+  assert.deepEqual(rest.groups, { 'ACME-1001': 2 });
+});
+
+test('a download through a view holds exactly the rows the grid shows', async () => {
+  const view = { columns: [{ name: 'Order #', label: 'Order' }, { name: 'Line Item ID', label: 'Line' }], filters: { Quantity: '>1' }, sort: [{ column: 'Line Item ID', dir: 'desc' }] };
+  const shown = await query({ view });
+  const res = await app.request('GET', `/api/history/${runId}/export?format=csv&view=${encodeURIComponent(JSON.stringify(view))}`);
+  assert.equal(res.status, 200);
+  const lines = (await res.text()).trim().split(/\r?\n/);
+  assert.deepEqual(lines, ['Order,Line'].concat(shown.rows.map((r) => r.cells.join(','))));
+  assert.equal(lines.length, 5);
+
+  // relabelled columns keep their cell types: tracking URLs are still links
+  const linked = { columns: [{ name: 'Order #' }, { name: 'Tracking URL', label: 'Track it' }], filters: { 'Tracking URL': 'http' } };
+  const html = await (await app.request('GET', `/api/history/${runId}/export?format=html&view=${encodeURIComponent(JSON.stringify(linked))}`)).text();
+  assert.match(html, /<th>Track it<\/th>/);
+  assert.match(html, /<td><a href="https?:\/\//);
+
+  assert.equal((await app.request('GET', `/api/history/${runId}/export?format=csv&view=nope`)).status, 400);
+  assert.equal((await app.request('GET', `/api/history/${runId}/export?format=csv&viewId=nope`)).status, 404);
+});
+
+test('saved views are shared, and only their owner or a manager may change them', async () => {
+  const view = await json(await app.request('POST', '/api/views', { name: 'Open orders', reportType: 'Needed Excel', filters: { 'Order Status': '!completed' }, columns: ['Order #'] }), 201);
+  assert.equal(view.owner, 'admin');
+  assert.equal((await app.request('POST', '/api/views', { name: 'Open orders', reportType: 'Needed Excel' })).status, 400);
+  assert.equal((await app.request('POST', '/api/views', { name: 'No report' })).status, 400);
+
+  const page = await query({ viewId: view.id });
+  assert.deepEqual(page.rows.map((r) => r.cells), [['ACME-1002'], ['ACME-1003'], ['ACME-1004']]);
+  const res = await app.request('GET', `/api/history/${runId}/export?format=csv&viewId=${view.id}`);
+  assert.equal((await res.text()).trim().split(/\r?\n/).length, 4);
+
+  const other = await signIn('casey');
+  assert.deepEqual((await json(await other('GET', '/api/views?reportType=Needed%20Excel'))).map((v) => v.name), ['Open orders']);
+  assert.deepEqual(await json(await other('GET', '/api/views?reportType=Simple')), []);
+  assert.equal((await other('PUT', `/api/views/${view.id}`, { search: 'x' })).status, 403);
+  assert.equal((await other('DELETE', `/api/views/${view.id}`)).status, 403);
+  const theirs = await json(await other('POST', '/api/views', { name: 'Mine', reportType: 'Needed Excel' }), 201);
+  const updated = await json(await other('PUT', `/api/views/${theirs.id}`, { sort: [{ column: 'Placed', dir: 'desc' }] }));
+  assert.deepEqual([updated.name, updated.owner, updated.sort], ['Mine', 'casey', [{ column: 'Placed', dir: 'desc' }]]);
+
+  // the admin outranks a manager
+  await json(await app.request('DELETE', `/api/views/${theirs.id}`));
+  assert.equal((await app.request('GET', `/api/views/${theirs.id}`)).status, 404);
+});
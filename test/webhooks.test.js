@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, fixture, startApp, readGolden } = require('./helpers');
+const { replayEvents } = require('./replay-webhooks');
+
+useTempDataDir();
+process.env.WEBHOOK_RETRY_BASE_MS = '20';
+
+const { exportRoot } = require('../lib/delivery');
+const { resolvePreset } = require('../lib/dates');
+
+const acme = fixture('acme');
+const shop = fixture('acme');
+const events = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'acme-events.json'), 'utf8'));
+
+let app;
+let webhooks;
+let url;
+
+test.before(async () => {
+  app = await startApp({ acme, shop });
+  webhooks = require('../lib/webhooks');
+  url = app.url;
+  for (const key of ['acme', 'shop']) {
+    assert.equal((await app.request('PUT', `/api/stores/${key}`, { webhookSecret: `${key}-secret` })).status, 200);
+  }
+});
+
+test.after(() => app.close());
+
+test.beforeEach(() => app.mock.reset());
+
+function send(storeKey, list, secret = `${storeKey}-secret`) {
+  return replayEvents({ url, storeKey, secret, events: list });
+}
+
+async function eventsFor(storeKey) {
+  await webhooks.processQueue();
+  const res = await app.request('GET', `/api/webhooks/events?storeKey=${storeKey}`);
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+test('events need the store\'s secret', async () => {
+  const [wrong] = await send('acme', events.slice(0, 1), 'not-the-secret');
+  assert.equal(wrong.status, 401);
+  const res = await fetch(`${url}/webhooks/brightsites/nostore`, { method: 'POST', body: '{}' });
+  assert.equal(res.status, 404);
+  assert.deepEqual(await eventsFor('acme'), []);
+});
+
+test('a signed body that is not a JSON object is rejected', async () => {
+  const results = await send('acme', [null, 42, 'order.updated', [events[0]]]);
+  assert.deepEqual(results.map((r) => [r.status, r.body.error]), Array(4).fill([400, 'webhook body must be a JSON object']));
+  assert.deepEqual(await eventsFor('acme'), []);
+});
+
+test('each event refreshes its order and records what changed; repeats are ignored', async () => {
+  const results = await send('acme', events);
+  assert.deepEqual(results.map((r) => r.status), [202, 202, 202, 200]);
+  assert.equal(results[3].body.duplicate, true);
+
+  const received = await eventsFor('acme');
+  assert.deepEqual(received.map((e) => [e.type, e.orderNumber, e.status]), [
+    ['shipment.created', 'ACME-1003', 'done'],
+    ['order.updated', 'ACME-1001', 'done'],
+    ['order.created', 'ACME-1004', 'done'],
+  ]);
+  // nothing was cached before, so every order is new to the app
+  assert.deepEqual(received[2].changes.map((c) => [c.change, c.current, c.lineItem.id]), [['New order', 'pending', '5005']]);
+  const calls = app.mock.requests.map((r) => r.path.replace(/^.*\/api\/v2\.6\.1/, ''));
+  ['/orders/1004', '/orders/1004/line_items', '/orders/1004/shipments'].forEach((p) => assert.ok(calls.includes(p), p));
+  const status = await (await app.request('GET', '/api/cache')).json();
+  assert.equal(status.find((s) => s.storeKey === 'acme').orders, 3);
+
+  // the next event for a cached order lists only what changed since
+  const order = acme.orders.find((o) => o.id === 1003);
+  order.status = 'delivered';
+  order.shipments.push({ id: 9003, tracking_number: 'NEW-TRACK', line_item_ids: [5004] });
+  await send('acme', [{ id: 'evt-4', event: 'shipment_created', data: { order_id: 1003 } }]);
+  const [latest] = await eventsFor('acme');
+  assert.deepEqual(latest.changes.map((c) => [c.change, c.previous, c.current]), [
+    ['Status changed', 'shipped', 'delivered'],
+    ['New tracking', '9400111899223847562931; 9400111899223847562948', 'NEW-TRACK'],
+  ]);
+});
+
+test('a refresh that fails is retried', async () => {
+  app.mock.inject({ match: '/orders/1002/line_items', status: 404, times: 2 });
+  await send('acme', [{ id: 'evt-5', event: 'order.updated', data: { order_id: 1002 } }]);
+  let event;
+  for (let i = 0; i < 100; i += 1) {
+    [event] = await eventsFor('acme');
+    if (event.status === 'done') break;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.equal(event.status, 'done');
+  assert.equal(event.attempts, 3);
+});
+
+test('an export rule appends each matching order to today\'s file once', async () => {
+  const res = await app.request('POST', '/api/webhooks/rules', { name: 'Shipped orders', storeKey: 'shop', status: 'shipped', reportType: 'Needed Excel', path: 'shipped' });
+  assert.equal(res.status, 201);
+  const dir = path.join(exportRoot(), 'shipped');
+  const bad = await app.request('POST', '/api/webhooks/rules', { name: 'Totals', storeKey: 'shop', reportType: 'Daily Totals' });
+  assert.equal(bad.status, 400);
+  // rules write under the export root only
+  assert.equal((await app.request('POST', '/api/webhooks/rules', { name: 'Out', storeKey: 'shop', reportType: 'Needed Excel', path: '../../elsewhere' })).status, 400);
+  assert.equal((await app.request('POST', '/api/webhooks/rules', { name: 'Out', storeKey: 'shop', reportType: 'Needed Excel', path: '/tmp' })).status, 400);
+
+  // the day's file is the store's day: in Kiribati, UTC+14, it is tomorrow for much of the day
+  assert.equal((await app.request('PUT', '/api/stores/shop', { timezone: 'Pacific/Kiritimati' })).status, 200);
+  const before = resolvePreset('today', new Date(), 'Pacific/Kiritimati').start;
+  await send('shop', [1002, 1004, 1003, 1002].map((id, i) => ({ id: `shop-${i}`, event: 'order.updated', data: { order_id: id } })));
+  const received = await eventsFor('shop');
+  const after = resolvePreset('today', new Date(), 'Pacific/Kiritimati').start;
+  assert.ok(received.every((e) => e.status === 'done'));
+  assert.deepEqual(received.map((e) => e.exports.length), [0, 1, 0, 1]);
+  assert.equal((await app.request('PUT', '/api/stores/shop', { timezone: '' })).status, 200);
+
+  const files = fs.readdirSync(dir);
+  assert.equal(files.length, 1);
+  assert.ok([before, after].map((day) => `shop_needed-excel_${day}.csv`).includes(files[0]), files[0]);
+  const golden = readGolden('needed-excel.csv').split('\n');
+  const expected = [golden[0]].concat(golden.filter((l) => l.startsWith('ACME-1002')), golden.filter((l) => l.startsWith('ACME-1003')));
+  assert.deepEqual(fs.readFileSync(path.join(dir, files[0]), 'utf8').trim().split('\n'), expected);
+});